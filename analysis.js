@@ -0,0 +1,1868 @@
+/**
+ * Módulo de análisis climatológico
+ * Estadísticas, tendencias, probabilidades y predicción horaria a partir de datos diarios de NASA POWER
+ */
+
+import { calculateRiskScores, FROST_THRESHOLD, HEAT_STRESS_THRESHOLD } from './risk-scores.js';
+import { calculateCalibration } from './calibration-store.js';
+import { buildQuantileMapping, compareAnalyses } from './quantile-mapping.js';
+import { testTrendSignificance } from './trend-significance.js';
+import { analyzeExtremes } from './extreme-values.js';
+import { analyzePersistence, PERSISTENCE_EVENTS } from './persistence.js';
+import {
+  analyzeApparentTemperature,
+  calculateHourlyApparentTemperatures,
+  saturationVaporPressure,
+  relativeHumidityAt
+} from './apparent-temperature.js';
+import { CUSTOM_THRESHOLD_VARIABLES } from './custom-thresholds.js';
+import { bootstrapByYear, jeffreysInterval, CONFIDENCE_LEVEL, BOOTSTRAP_RESAMPLES } from './uncertainty.js';
+
+/**
+ * Utilidades
+ */
+
+// Obtener nombre del mes
+export function getMonthName(monthNum) {
+  const months = [
+    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+  ];
+  return months[monthNum - 1] || 'Desconocido';
+}
+
+// Retraso de la máxima respecto al mediodía solar (inercia térmica del suelo y del aire)
+const MAX_TEMPERATURE_LAG_HOURS = 2.5;
+// Forma de la curva: calentamiento rápido tras el amanecer, enfriamiento gradual por la noche
+const WARMING_SPEED = 1.5;
+const COOLING_SPEED = 0.8;
+
+/**
+ * Interpola temperatura para una hora específica basada en min/max diarios
+ * Las fases se fijan con la geometría solar del punto (ver solar-geometry.js): mínima al
+ * amanecer y máxima MAX_TEMPERATURE_LAG_HOURS después del mediodía solar
+ * Sin solarTimes se asume amanecer a las 6:00 y mediodía solar a las 12:00
+ * Es el modelo de respaldo cuando no hay datos horarios de POWER (ver hourly-climatology.js)
+ */
+export function interpolateHourlyTemperature(tempMin, tempMax, hour, solarTimes = null) {
+  const solarNoon = solarTimes?.hours.solarNoon ?? 12;
+  // En noche o día polar no hay amanecer: mínima 6 horas antes del mediodía solar
+  const hourOfMin = solarTimes ? (solarTimes.hours.sunrise ?? solarNoon - 6) : 6;
+  const hourOfMax = solarNoon + MAX_TEMPERATURE_LAG_HOURS;
+
+  const amplitude = tempMax - tempMin;
+  const warmingHours = hourOfMax - hourOfMin;
+  const hoursSinceMin = ((hour - hourOfMin) % 24 + 24) % 24;
+
+  let temp;
+
+  if (hoursSinceMin <= warmingHours) {
+    // FASE DE CALENTAMIENTO (amanecer a máxima)
+    const t = hoursSinceMin / warmingHours;
+    const curve = Math.pow(Math.sin(t * Math.PI / 2), WARMING_SPEED);
+    temp = tempMin + amplitude * curve;
+  } else {
+    // FASE DE ENFRIAMIENTO (máxima al amanecer siguiente) - CON INERCIA TÉRMICA
+    const t = (hoursSinceMin - warmingHours) / (24 - warmingHours);
+    // La temperatura se mantiene alta en las primeras horas tras el pico
+    const thermalInertiaFactor = Math.pow(1 - t, COOLING_SPEED);
+    temp = tempMin + amplitude * thermalInertiaFactor;
+  }
+
+  return parseFloat(temp.toFixed(1));
+}
+
+// Años recientes cuya anomalía mensual se compara con el período de referencia
+const SEASONAL_RECENT_YEARS = 5;
+// Días válidos mínimos para que un mes cuente en la climatología mensual
+const MIN_DAYS_PER_MONTH = 20;
+// Límites de los factores multiplicativos (lluvia y humedad)
+const SEASONAL_FACTOR_LIMITS = { min: 0.5, max: 2.0 };
+
+// Estaciones meteorológicas del hemisferio sur; en el norte se invierten
+const SOUTHERN_SEASONS = {
+  12: 'Verano', 1: 'Verano', 2: 'Verano',
+  3: 'Otoño', 4: 'Otoño', 5: 'Otoño',
+  6: 'Invierno', 7: 'Invierno', 8: 'Invierno',
+  9: 'Primavera', 10: 'Primavera', 11: 'Primavera'
+};
+const OPPOSITE_SEASON = { Verano: 'Invierno', Invierno: 'Verano', Otoño: 'Primavera', Primavera: 'Otoño' };
+
+function getSeasonName(month, lat) {
+  const season = SOUTHERN_SEASONS[month];
+  return lat !== null && lat >= 0 ? OPPOSITE_SEASON[season] : season;
+}
+
+// Media de cada año para un mes: { año: media } (solo años con MIN_DAYS_PER_MONTH días válidos)
+function getMonthlyMeansByYear(paramData = {}, month) {
+  const byYear = {};
+  for (const [dateStr, value] of Object.entries(paramData)) {
+    if (dateStr.length !== 8 || parseInt(dateStr.substring(4, 6)) !== month) continue;
+    if (typeof value !== 'number' || value <= -900) continue;
+    const year = parseInt(dateStr.substring(0, 4));
+    (byYear[year] = byYear[year] || []).push(value);
+  }
+
+  return Object.fromEntries(
+    Object.entries(byYear)
+      .filter(([, values]) => values.length >= MIN_DAYS_PER_MONTH)
+      .map(([year, values]) => [year, calculateMean(values)])
+  );
+}
+
+/**
+ * Anomalía del mes en los años recientes respecto al período de referencia
+ * La anomalía se encoge hacia 0 según su error estándar (anomalía² / (anomalía² + EE²)):
+ * unos pocos años recientes ruidosos apenas mueven la predicción
+ */
+function calculateMonthlyAnomaly(means, baselineYears, recentYears, relative) {
+  const baselineMeans = baselineYears.map(year => means[year]);
+  const recentMeans = recentYears.map(year => means[year]);
+  const baselineMean = calculateMean(baselineMeans);
+  const recentMean = calculateMean(recentMeans);
+  const standardError = calculateStdDev(baselineMeans, baselineMean) / Math.sqrt(recentMeans.length);
+
+  const anomaly = recentMean - baselineMean;
+  const shrinkage = anomaly === 0 ? 0 : anomaly * anomaly / (anomaly * anomaly + standardError * standardError);
+
+  let adjustment;
+  if (relative) {
+    const ratio = baselineMean > 0 ? 1 + anomaly * shrinkage / baselineMean : 1;
+    adjustment = Math.max(SEASONAL_FACTOR_LIMITS.min, Math.min(SEASONAL_FACTOR_LIMITS.max, ratio));
+  } else {
+    adjustment = anomaly * shrinkage;
+  }
+
+  return {
+    baselineMean: parseFloat(baselineMean.toFixed(2)),
+    recentMean: parseFloat(recentMean.toFixed(2)),
+    anomaly: parseFloat(anomaly.toFixed(2)),
+    standardError: parseFloat(standardError.toFixed(2)),
+    shrinkage: parseFloat(shrinkage.toFixed(2)),
+    adjustment: parseFloat(adjustment.toFixed(2))
+  };
+}
+
+/**
+ * Ajustes estacionales derivados de la propia serie de POWER del punto
+ * Compara la media del mes objetivo en los últimos SEASONAL_RECENT_YEARS años del período de
+ * referencia con su media en el resto del período (sin los años recientes, que si no encogerían la
+ * anomalía al compararse en parte consigo mismos). Los días de margen de la descarga no cuentan:
+ * con un período cerrado (ej: wmo-1991-2020) la anomalía se mide al final del período, no hoy
+ * La temperatura (T2M) se ajusta sumando la anomalía y la lluvia y la humedad multiplicando por
+ * el cociente reciente / referencia
+ * Sin años suficientes no se ajusta (temp 0, factores 1)
+ */
+export function getSeasonalAdjustments(params, month, lat, { baseline = null, referenceYear }) {
+  const temperature = getMonthlyMeansByYear(params.T2M, month);
+  const precipitation = getMonthlyMeansByYear(params.PRECTOTCORR, month);
+  const humidity = getMonthlyMeansByYear(params.RH2M, month);
+
+  // Años del período de referencia con los tres parámetros completos
+  const years = Object.keys(temperature)
+    .map(Number)
+    .filter(year => year <= referenceYear && year in precipitation && year in humidity)
+    .filter(year => !baseline || (year >= baseline.startYear && year <= baseline.endYear))
+    .sort((a, b) => a - b);
+  const recentYears = years.slice(-SEASONAL_RECENT_YEARS);
+  const baselineYears = years.filter(year => !recentYears.includes(year));
+
+  const adjustments = {
+    season: getSeasonName(month, lat),
+    temp: 0,
+    precip: 1.0,
+    humidity: 1.0,
+    method: 'recent-monthly-anomaly'
+  };
+
+  if (baselineYears.length < 2 * SEASONAL_RECENT_YEARS || recentYears.length < SEASONAL_RECENT_YEARS) {
+    return { ...adjustments, note: 'Sin años suficientes para derivar el ajuste estacional' };
+  }
+
+  const anomalies = {
+    temperature: calculateMonthlyAnomaly(temperature, baselineYears, recentYears, false),
+    precipitation: calculateMonthlyAnomaly(precipitation, baselineYears, recentYears, true),
+    humidity: calculateMonthlyAnomaly(humidity, baselineYears, recentYears, true)
+  };
+
+  return {
+    ...adjustments,
+    temp: anomalies.temperature.adjustment,
+    precip: anomalies.precipitation.adjustment,
+    humidity: anomalies.humidity.adjustment,
+    baselineYears: { start: baselineYears[0], end: baselineYears[baselineYears.length - 1], count: baselineYears.length },
+    recentYears: { start: recentYears[0], end: recentYears[recentYears.length - 1], count: recentYears.length },
+    anomalies,
+    note: `Media de ${getMonthName(month).toLowerCase()} en ${recentYears[0]}-${recentYears[recentYears.length - 1]} ` +
+      `(últimos años del período de referencia) frente a ${baselineYears[0]}-${baselineYears[baselineYears.length - 1]}, encogida según su error estándar`
+  };
+}
+
+/**
+ * Aplica el ajuste estacional a la predicción híbrida de una variable
+ * Temperaturas: suma la anomalía; humedad y lluvia: multiplican por el factor; viento: sin ajuste
+ * Lo usan la predicción y el backtest, así el backtest evalúa la misma salida que /weather
+ */
+export function applySeasonalAdjustment(name, value, seasonalAdj) {
+  switch (name) {
+    case 'tempMax':
+    case 'tempMin':
+      return value + seasonalAdj.temp;
+    case 'humidity':
+      return Math.max(0, Math.min(100, value * seasonalAdj.humidity));
+    case 'precipitation':
+      return Math.max(0, value * seasonalAdj.precip);
+    default:
+      return value;
+  }
+}
+
+// Fracción de días con lluvia en los que llueve a una hora dada, antes del factor horario:
+// con el factor medio de getHourlyRainFactor (~0.8) son unas 5 horas con lluvia por día húmedo
+const WET_HOUR_SHARE = 0.25;
+
+/**
+ * Calcula factor de probabilidad de lluvia por hora
+ * Basado en patrones climáticos de la región andina (Cochabamba, Bolivia):
+ * - Precipitación máxima: tarde (14:00-18:00) por convección térmica
+ * - Precipitación mínima: madrugada (2:00-7:00)
+ * - Transición matutina y nocturna gradual
+ */
+function getHourlyRainFactor(hour) {
+  // Pico convectivo de tarde (calentamiento diurno)
+  if (hour >= 14 && hour <= 17) {
+    return 2.0; // 100% más probable (pico máximo)
+  }
+  // Tarde-noche temprana (actividad residual)
+  else if (hour >= 18 && hour <= 20) {
+    return 1.3; // 30% más probable
+  }
+  // Noche (baja actividad)
+  else if (hour >= 21 || hour <= 1) {
+    return 0.4; // 60% menos probable
+  }
+  // Madrugada (mínimo absoluto)
+  else if (hour >= 2 && hour <= 7) {
+    return 0.2; // 80% menos probable
+  }
+  // Mañana (aumento gradual)
+  else if (hour >= 8 && hour <= 13) {
+    return 0.7; // 30% menos probable que el promedio
+  }
+  
+  return 1.0; // Probabilidad base
+}
+
+/**
+ * Funciones estadísticas
+ */
+
+// Calcular percentil
+// Con pesos (uno por valor) se usa la versión ponderada, que con pesos iguales coincide con la no ponderada
+function calculatePercentile(arr, percentile, weights = null) {
+  if (arr.length === 0) return 0;
+  if (weights) return calculateWeightedPercentile(arr, weights, percentile);
+  const sorted = arr.slice().sort((a, b) => a - b);
+  const index = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+// Percentil ponderado: el k-ésimo valor ordenado se ubica en S(k-1) / (S(n) - w(n)),
+// donde S es el peso acumulado; con pesos iguales es la misma interpolación lineal de arriba
+function calculateWeightedPercentile(arr, weights, percentile) {
+  const pairs = arr.map((value, i) => ({ value, weight: weights[i] }))
+    .sort((a, b) => a.value - b.value);
+  return calculateSortedWeightedPercentile(pairs.map(p => p.value), pairs.map(p => p.weight), percentile);
+}
+
+// Mismo percentil ponderado sobre valores ya ordenados (el bootstrap los entrega así)
+function calculateSortedWeightedPercentile(values, weights, percentile) {
+  let total = 0;
+  let last = -1;
+  for (let i = 0; i < values.length; i++) {
+    if (weights[i] > 0) {
+      total += weights[i];
+      last = i;
+    }
+  }
+  if (last === -1) return 0;
+  const span = total - weights[last];
+  if (span === 0) return values[last];
+  const target = percentile / 100;
+
+  let cumulative = 0;
+  let previous = null;
+  for (let i = 0; i <= last; i++) {
+    if (!(weights[i] > 0)) continue;
+    const position = cumulative / span;
+    if (position >= target) {
+      if (!previous) return values[i];
+      const fraction = (target - previous.position) / (position - previous.position);
+      return previous.value * (1 - fraction) + values[i] * fraction;
+    }
+    previous = { value: values[i], position };
+    cumulative += weights[i];
+  }
+  return values[last];
+}
+
+// Media (opcionalmente ponderada)
+function calculateMean(arr, weights = null) {
+  if (arr.length === 0) return 0;
+  if (!weights) return arr.reduce((a, b) => a + b, 0) / arr.length;
+  const sumWeights = weights.reduce((a, b) => a + b, 0);
+  return arr.reduce((sum, value, i) => sum + value * weights[i], 0) / sumWeights;
+}
+
+// Calcular desviación estándar (opcionalmente ponderada)
+function calculateStdDev(arr, mean, weights = null) {
+  if (arr.length === 0) return 0;
+  const squareDiffs = arr.map(value => Math.pow(value - mean, 2));
+  const avgSquareDiff = calculateMean(squareDiffs, weights);
+  return Math.sqrt(avgSquareDiff);
+}
+
+// Tamaño de muestra efectivo de Kish: (Σw)² / Σw²
+// Con pesos iguales es n; con un núcleo no uniforme es menor que la cantidad de muestras
+function calculateEffectiveSampleSize(weights) {
+  const sumWeights = weights.reduce((a, b) => a + b, 0);
+  const sumSquares = weights.reduce((a, b) => a + b * b, 0);
+  return sumSquares > 0 ? (sumWeights * sumWeights) / sumSquares : 0;
+}
+
+// Filtrar outliers usando método IQR (Interquartile Range)
+// Más robusto que desviación estándar para datos climáticos
+function filterOutliers(values) {
+  if (values.length < 4) return values; // Muy pocos datos para filtrar
+  
+  const sorted = values.slice().sort((a, b) => a - b);
+  const q1 = calculatePercentile(values, 25);
+  const q3 = calculatePercentile(values, 75);
+  const iqr = q3 - q1;
+  
+  // Rango aceptable: [Q1 - 1.5*IQR, Q3 + 1.5*IQR]
+  // 1.5 es estándar, pero usamos 2.0 para ser más conservadores con datos climáticos
+  const lowerBound = q1 - 2.0 * iqr;
+  const upperBound = q3 + 2.0 * iqr;
+  
+  const filtered = values.filter(v => v >= lowerBound && v <= upperBound);
+  
+  // Si filtramos más del 10% de datos, algo puede estar mal - mantener originales
+  if (filtered.length < values.length * 0.9) {
+    return values;
+  }
+  
+  return filtered;
+}
+
+/**
+ * Calcula nivel de confianza de la predicción
+ * Basado en: R² de tendencia, cantidad de datos, variabilidad histórica
+ */
+function calculatePredictionConfidence(rSquared, dataCount, stdDev, range) {
+  // Factor 1: Calidad de tendencia (R²)
+  let trendScore = 0;
+  if (rSquared >= 0.7) trendScore = 100;
+  else if (rSquared >= 0.5) trendScore = 85;
+  else if (rSquared >= 0.3) trendScore = 70;
+  else if (rSquared >= 0.1) trendScore = 50;
+  else trendScore = 30;
+  
+  // Factor 2: Cantidad de datos (mínimo 10 años, óptimo 30+)
+  let dataScore = Math.min(100, (dataCount / 30) * 100);
+  
+  // Factor 3: Consistencia histórica (baja variabilidad = alta confianza)
+  // CoV (Coefficient of Variation) = stdDev / mean
+  const mean = (range.max + range.min) / 2;
+  const coefficientOfVariation = mean > 0 ? (stdDev / mean) : 0;
+  let consistencyScore = 100;
+  if (coefficientOfVariation > 0.3) consistencyScore = 50;
+  else if (coefficientOfVariation > 0.2) consistencyScore = 70;
+  else if (coefficientOfVariation > 0.1) consistencyScore = 85;
+  
+  // Promedio ponderado: Tendencia (40%), Datos (30%), Consistencia (30%)
+  const overallConfidence = (
+    trendScore * 0.4 +
+    dataScore * 0.3 +
+    consistencyScore * 0.3
+  );
+  
+  return {
+    score: parseFloat(overallConfidence.toFixed(1)),
+    level: overallConfidence >= 85 ? 'ALTA' :
+           overallConfidence >= 70 ? 'MEDIA-ALTA' :
+           overallConfidence >= 50 ? 'MEDIA' : 'BAJA',
+    factors: {
+      trendQuality: trendScore,
+      dataAvailability: parseFloat(dataScore.toFixed(1)),
+      historicalConsistency: consistencyScore
+    }
+  };
+}
+
+// Calcular intervalo de confianza 95%
+function calculateConfidenceInterval(mean, stdDev, n) {
+  if (n === 0) return { lower: 0, upper: 0, margin: 0 };
+  const zScore = 1.96; // 95% confianza
+  const marginError = zScore * (stdDev / Math.sqrt(n));
+
+  return {
+    lower: mean - marginError,
+    upper: mean + marginError,
+    margin: marginError
+  };
+}
+
+// Calcular probabilidad real basada en datos históricos
+// Con pesos, cada muestra cuenta según su peso (ver extractWindowSamples)
+export function calculateRealProbability(values, threshold, isAbove = true, weights = null) {
+  if (values.length === 0) return 0;
+  const exceeds = values.map(v => (isAbove ? v > threshold : v < threshold) ? 1 : 0);
+
+  return calculateMean(exceeds, weights) * 100;
+}
+
+// Puntos de cada curva de excedencia, repartidos entre el mínimo y el máximo de la muestra
+const EXCEEDANCE_CURVE_POINTS = 50;
+
+/**
+ * Umbrales del usuario y curvas de excedencia empíricas (ver custom-thresholds.js)
+ * samplesByVariable: muestras de la ventana por variable; como en las condiciones, cada muestra
+ * pesa según el núcleo. Son frecuencias empíricas: no llevan ajuste estacional
+ */
+export function calculateExceedance(samplesByVariable, { thresholds, curves }) {
+  const round = value => parseFloat(value.toFixed(2));
+
+  const evaluated = thresholds.map(({ variable, operator, value }) => {
+    const samples = samplesByVariable[variable];
+    const probability = calculateRealProbability(samples.map(d => d.value), value, operator === '>', samples.map(d => d.weight));
+    // Años con al menos un día que supera el umbral
+    const exceeding = samples.filter(d => operator === '>' ? d.value > value : d.value < value);
+    return {
+      variable,
+      operator,
+      threshold: value,
+      probability: round(probability),
+      yearsExceeded: countYears(exceeding),
+      totalYears: countYears(samples),
+      sampleSize: samples.length,
+      unit: CUSTOM_THRESHOLD_VARIABLES[variable].unit,
+      confidenceInterval: calculateProbabilityInterval(probability, countYears(samples))
+    };
+  });
+
+  const curveData = {};
+  for (const variable of curves) {
+    const samples = samplesByVariable[variable];
+    if (samples.length === 0) continue;
+
+    const values = samples.map(d => d.value);
+    const weights = samples.map(d => d.weight);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const step = (max - min) / (EXCEEDANCE_CURVE_POINTS - 1);
+    const points = [];
+    for (let i = 0; i < EXCEEDANCE_CURVE_POINTS; i++) {
+      const value = min + step * i;
+      const exceedance = calculateRealProbability(values, value, true, weights);
+      points.push({ value: round(value), exceedance: round(exceedance), cdf: round(100 - exceedance) });
+      if (step === 0) break;
+    }
+
+    curveData[variable] = { unit: CUSTOM_THRESHOLD_VARIABLES[variable].unit, sampleSize: samples.length, points };
+  }
+
+  return {
+    thresholds: evaluated,
+    curves: curveData,
+    note: 'Frecuencia ponderada de las muestras de la ventana que superan (>) o no alcanzan (<) cada umbral, sin ajuste ' +
+      'estacional. En las curvas, exceedance = P(X > value) y cdf = P(X <= value), en %'
+  };
+}
+
+// Calcular estadísticas completas de un array
+// weights: peso opcional por valor (núcleo de la ventana de días)
+export function calculateStatistics(values, removeOutliers = false, weights = null) {
+  if (values.length === 0) {
+    return {
+      mean: 0,
+      median: 0,
+      stdDev: 0,
+      min: 0,
+      max: 0,
+      count: 0,
+      percentiles: { p10: 0, p25: 0, p50: 0, p75: 0, p90: 0 },
+      confidenceInterval95: { lower: 0, upper: 0, margin: 0 }
+    };
+  }
+
+  // Opcional: filtrar outliers para estadísticas más robustas
+  // (el filtro no conserva la correspondencia con los pesos, así que solo aplica sin ellos)
+  let dataToAnalyze = removeOutliers && !weights ? filterOutliers(values) : values;
+  
+  if (dataToAnalyze.length === 0) {
+    // Si el filtro eliminó todo, usar datos originales
+    dataToAnalyze = values;
+  }
+
+  const mean = calculateMean(dataToAnalyze, weights);
+  const stdDev = calculateStdDev(dataToAnalyze, mean, weights);
+  const effectiveN = weights ? calculateEffectiveSampleSize(weights) : dataToAnalyze.length;
+  const ci95 = calculateConfidenceInterval(mean, stdDev, effectiveN);
+  const percentile = p => parseFloat(calculatePercentile(dataToAnalyze, p, weights).toFixed(2));
+
+  return {
+    mean: parseFloat(mean.toFixed(2)),
+    median: percentile(50),
+    stdDev: parseFloat(stdDev.toFixed(2)),
+    min: parseFloat(Math.min(...dataToAnalyze).toFixed(2)),
+    max: parseFloat(Math.max(...dataToAnalyze).toFixed(2)),
+    count: dataToAnalyze.length,
+    percentiles: {
+      p10: percentile(10),
+      p25: percentile(25),
+      p50: percentile(50),
+      p75: percentile(75),
+      p90: percentile(90)
+    },
+    confidenceInterval95: {
+      lower: parseFloat(ci95.lower.toFixed(2)),
+      upper: parseFloat(ci95.upper.toFixed(2)),
+      margin: parseFloat(ci95.margin.toFixed(2))
+    }
+  };
+}
+
+/**
+ * Intervalos bootstrap (remuestreando años) de la media, la mediana y los percentiles de una
+ * muestra de la ventana. El intervalo normal de confidenceInterval95 supone días independientes
+ */
+function calculateStatisticsIntervals(samples) {
+  const intervals = bootstrapByYear(samples, {
+    mean: (values, weights) => calculateMean(values, weights),
+    p10: (values, weights) => calculateSortedWeightedPercentile(values, weights, 10),
+    p25: (values, weights) => calculateSortedWeightedPercentile(values, weights, 25),
+    p50: (values, weights) => calculateSortedWeightedPercentile(values, weights, 50),
+    p75: (values, weights) => calculateSortedWeightedPercentile(values, weights, 75),
+    p90: (values, weights) => calculateSortedWeightedPercentile(values, weights, 90)
+  });
+  if (!intervals) return null;
+
+  const { mean, ...percentiles } = intervals;
+  return {
+    method: 'bootstrap-by-year',
+    confidenceLevel: CONFIDENCE_LEVEL * 100,
+    resamples: BOOTSTRAP_RESAMPLES,
+    years: new Set(samples.map(d => d.year)).size,
+    sampleSize: samples.length,
+    mean,
+    median: percentiles.p50,
+    percentiles
+  };
+}
+
+// Estadísticas de una muestra de la ventana con sus intervalos de confianza
+// Con menos de 2 años no hay bootstrap y la estadística va sin intervals
+function calculateSampleStatistics(samples) {
+  const stats = calculateStatistics(samples.map(d => d.value), false, samples.map(d => d.weight));
+  const intervals = calculateStatisticsIntervals(samples);
+  return intervals ? { ...stats, intervals } : stats;
+}
+
+// Intervalo de Jeffreys de la probabilidad (%) de una condición: el año es la unidad independiente
+function calculateProbabilityInterval(probability, years) {
+  return {
+    ...jeffreysInterval(probability, years),
+    confidenceLevel: CONFIDENCE_LEVEL * 100,
+    method: 'jeffreys',
+    n: years
+  };
+}
+
+// Nivel de alerta según la categoría de temperatura aparente predicha (ver apparent-temperature.js)
+const COMFORT_LEVELS = {
+  extremeCaution: 'warning',
+  danger: 'danger',
+  extremeDanger: 'danger',
+  greatDiscomfort: 'warning',
+  dangerous: 'danger',
+  cold: 'warning',
+  moderateRisk: 'danger',
+  highRisk: 'danger',
+  veryHighRisk: 'danger'
+};
+
+// Día con lluvia: PRECTOTCORR ≥ 1 mm (umbral habitual de día húmedo; por debajo es llovizna o ruido)
+export const WET_DAY_THRESHOLD = 1;
+// Montos (mm) cuya probabilidad se informa dado que llueve
+const WET_DAY_AMOUNTS = [5, 10, 20];
+
+/**
+ * Modelo de dos partes de la lluvia: probabilidad de día con lluvia y distribución del monto
+ * dado que llueve. La media de todos los días mezcla días secos y húmedos y no describe ninguno
+ */
+export function calculateWetDayModel(samples) {
+  const wet = samples.filter(d => d.value >= WET_DAY_THRESHOLD);
+  const years = countYears(samples);
+  const probability = samples.length > 0
+    ? calculateMean(samples.map(d => d.value >= WET_DAY_THRESHOLD ? 1 : 0), samples.map(d => d.weight)) * 100
+    : 0;
+  const wetValues = wet.map(d => d.value);
+  const wetWeights = wet.map(d => d.weight);
+
+  return {
+    threshold: WET_DAY_THRESHOLD,
+    unit: 'mm',
+    probability: parseFloat(probability.toFixed(2)),
+    confidenceInterval: calculateProbabilityInterval(probability, years),
+    wetDays: wet.length,
+    totalDays: samples.length,
+    yearsWithRain: countYears(wet),
+    totalYears: years,
+    // Monto en los días con lluvia: mediana y percentiles son "cuánto llueve si llueve"
+    amountIfWet: {
+      statistics: calculateSampleStatistics(wet),
+      // Desde el monto inclusive (≥), igual que el umbral de día con lluvia
+      exceedance: WET_DAY_AMOUNTS.map(amount => {
+        const probabilityIfWet = wet.length > 0 ? calculateMean(wetValues.map(v => v >= amount ? 1 : 0), wetWeights) * 100 : 0;
+        return {
+          amount,
+          probabilityIfWet: parseFloat(probabilityIfWet.toFixed(2)),
+          probability: parseFloat((probability * probabilityIfWet / 100).toFixed(2))
+        };
+      })
+    }
+  };
+}
+
+/**
+ * Ventana de días alrededor de la fecha objetivo
+ */
+
+export const DEFAULT_SAMPLING_WINDOW = 7;
+export const MAX_SAMPLING_WINDOW = 30;
+
+// Núcleos de ponderación según la distancia u = offset / (window + 1), en (-1, 1)
+// Ninguno llega a cero dentro de la ventana: los días de los bordes siempre aportan algo
+const SAMPLING_KERNELS = {
+  uniform: () => 1,
+  triangular: u => 1 - Math.abs(u),
+  epanechnikov: u => 1 - u * u,
+  gaussian: u => Math.exp(-0.5 * Math.pow(u / 0.5, 2))
+};
+
+export const SAMPLING_KERNEL_NAMES = Object.keys(SAMPLING_KERNELS);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isLeapYear = year => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Días del mes (febrero con 29 para aceptar la fecha bisiesta)
+export function getDaysInMonth(month, year = 2000) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+const formatDateKey = time => new Date(time).toISOString().substring(0, 10).replace(/-/g, '');
+
+/**
+ * Fechas (YYYYMMDD) de la ventana de ±window días alrededor de mes/día en un año dado
+ * En años no bisiestos el 29 de febrero se centra en el 28
+ */
+export function getWindowDates(year, month, day, window = 0) {
+  const centerDay = month === 2 && day === 29 && !isLeapYear(year) ? 28 : day;
+  const center = Date.UTC(year, month - 1, centerDay);
+  const dates = [];
+
+  for (let offset = -window; offset <= window; offset++) {
+    dates.push({ date: formatDateKey(center + offset * DAY_MS), offset });
+  }
+  return dates;
+}
+
+/**
+ * Extrae las muestras de un parámetro en una ventana de ±window días alrededor de la fecha
+ * objetivo (mes/día) de cada año. Cada muestra queda asignada al año de su fecha central,
+ * así una ventana alrededor del 2 de enero incluye días de diciembre del año anterior.
+ * En años no bisiestos el 29 de febrero se centra en el 28.
+ * Devuelve [{ year, date, offset, value, weight }] ordenado por año y offset, sin datos faltantes (-999)
+ */
+export function extractWindowSamples(paramData, month, day, { window = 0, kernel = 'uniform', startYear = null, endYear = null } = {}) {
+  if (!paramData || day > getDaysInMonth(month)) return [];
+  const kernelFn = SAMPLING_KERNELS[kernel] || SAMPLING_KERNELS.uniform;
+
+  const years = Object.keys(paramData)
+    .filter(dateStr => dateStr.length === 8) // Formato YYYYMMDD
+    .map(dateStr => parseInt(dateStr.substring(0, 4)));
+  if (years.length === 0) return [];
+  const firstYear = startYear ?? Math.min(...years);
+  const lastYear = endYear ?? Math.max(...years);
+
+  const samples = [];
+  for (let year = firstYear; year <= lastYear; year++) {
+    for (const { date, offset } of getWindowDates(year, month, day, window)) {
+      const value = paramData[date];
+      if (typeof value === 'number' && value > -900) {
+        samples.push({ year, date, offset, value, weight: kernelFn(offset / (window + 1)) });
+      }
+    }
+  }
+
+  return samples;
+}
+
+// Años distintos con datos: la ventana aporta varias muestras por año
+const countYears = samples => new Set(samples.map(d => d.year)).size;
+
+// ANÁLISIS DE TENDENCIA: Calcular si hay calentamiento/enfriamiento
+// Usa regresión PONDERADA para dar más peso a años recientes
+export function calculateTrend(dataWithYear, currentYear) {
+  if (countYears(dataWithYear) < 10) return { slope: 0, confidence: 'low', method: 'insufficient_data' };
+
+  // WEIGHTED REGRESSION: Mayor peso a años recientes (decaimiento exponencial)
+  // τ = 5 años (constante de tiempo), multiplicado por el peso del núcleo de la ventana
+  const dataWithWeights = dataWithYear.map(d => ({
+    ...d,
+    weight: Math.exp(-Math.abs(currentYear - d.year) / 5) * d.weight
+  }));
+
+  const sumWeights = dataWithWeights.reduce((sum, d) => sum + d.weight, 0);
+  const sumWX = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year, 0);
+  const sumWY = dataWithWeights.reduce((sum, d) => sum + d.weight * d.value, 0);
+  const sumWXY = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year * d.value, 0);
+  const sumWXX = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year * d.year, 0);
+
+  const slope = (sumWXY - (sumWX * sumWY) / sumWeights) / (sumWXX - (sumWX * sumWX) / sumWeights);
+  const intercept = (sumWY - slope * sumWX) / sumWeights;
+
+  // Calcular R² ponderado para confianza
+  const yMeanWeighted = sumWY / sumWeights;
+  const ssTotalWeighted = dataWithWeights.reduce((sum, d) =>
+    sum + d.weight * Math.pow(d.value - yMeanWeighted, 2), 0);
+  const ssResidualWeighted = dataWithWeights.reduce((sum, d) => {
+    const predicted = slope * d.year + intercept;
+    return sum + d.weight * Math.pow(d.value - predicted, 2);
+  }, 0);
+  const rSquared = 1 - (ssResidualWeighted / ssTotalWeighted);
+
+  return {
+    slope: parseFloat(slope.toFixed(4)),
+    intercept: parseFloat(intercept.toFixed(2)),
+    rSquared: parseFloat(rSquared.toFixed(3)),
+    confidence: rSquared > 0.5 ? 'high' : rSquared > 0.2 ? 'medium' : 'low',
+    method: 'weighted_regression'
+  };
+}
+
+/**
+ * Tendencia para la respuesta: regresión ponderada más test de Mann-Kendall y pendiente de Sen
+ * Sin significancia estadística la confianza es baja aunque el R² sea alto
+ */
+function describeTrend(trend, samples) {
+  const mannKendall = testTrendSignificance(samples);
+  const significant = mannKendall?.significant ?? false;
+  return {
+    slope: trend.slope,
+    rSquared: trend.rSquared ?? 0,
+    confidence: significant ? trend.confidence : 'low',
+    significant,
+    senSlope: mannKendall?.senSlope ?? null,
+    mannKendall
+  };
+}
+
+// Pendiente que se proyecta en los umbrales: la de Sen si la tendencia es significativa, 0 si no
+const getProjectedSlope = trend => trend.significant ? trend.senSlope : 0;
+
+// Cuánto movió la tendencia al umbral base y por qué
+function describeTrendProjection(trend, projection, years) {
+  return {
+    applied: trend.significant,
+    slope: trend.significant ? trend.senSlope : 0,
+    years,
+    adjustment: parseFloat(projection.toFixed(2)),
+    pValue: trend.mannKendall?.pValue ?? null,
+    note: trend.significant
+      ? `Tendencia significativa (Mann-Kendall): pendiente de Sen proyectada ${years} años`
+      : 'Tendencia no significativa (Mann-Kendall): el umbral no se ajusta por tendencia'
+  };
+}
+
+// Pesos del modelo híbrido (ver backtest.js para medirlos contra la climatología)
+export const HYBRID_WEIGHTS = { weightedAverage: 0.40, trend: 0.35, recentPercentile: 0.25 };
+
+/**
+ * Componentes de la predicción híbrida para un año: promedio ponderado (decay τ = 3 años),
+ * valor de la tendencia y percentil 60 de los últimos 3 años
+ * Los pesos usan la distancia en años en valor absoluto: en el backtest también hay años
+ * posteriores al que se predice
+ */
+export function calculateHybridComponents(samples, trend, stats, currentYear, targetMonth) {
+  const currentYearFloat = currentYear + (targetMonth - 1) / 12;
+  const weighted = samples.map(d => ({ value: d.value, weight: Math.exp(-Math.abs(currentYearFloat - d.year) / 3) * d.weight }));
+  const sumWeights = weighted.reduce((sum, item) => sum + item.weight, 0);
+  const weightedAverage = weighted.reduce((sum, item) => sum + item.value * item.weight, 0) / sumWeights;
+
+  // Sin tendencia calculable se usa el promedio ponderado en su lugar
+  const trendValue = trend.method === 'weighted_regression' ? trend.slope * currentYear + trend.intercept : weightedAverage;
+
+  const recent = samples.filter(d => d.year >= currentYear - 3 && d.year <= currentYear);
+  const recentPercentile = recent.length > 0
+    ? calculatePercentile(recent.map(d => d.value), 60, recent.map(d => d.weight))
+    : stats.percentiles.p50;
+
+  return { weightedAverage, trend: trendValue, recentPercentile };
+}
+
+// Combina los componentes con los pesos del modelo híbrido
+export function blendHybridPrediction(components, weights = HYBRID_WEIGHTS) {
+  return components.weightedAverage * weights.weightedAverage +
+    components.trend * weights.trend +
+    components.recentPercentile * weights.recentPercentile;
+}
+
+// Predicción híbrida: 40% promedio ponderado + 35% tendencia + 25% percentil 60 reciente
+function calculateHybridPrediction(samples, trend, stats, currentYear, targetMonth) {
+  return blendHybridPrediction(calculateHybridComponents(samples, trend, stats, currentYear, targetMonth));
+}
+
+/**
+ * Estadística circular para direcciones (grados desde el norte, sentido horario)
+ * El promedio aritmético de 350° y 10° daría 180°; el circular da 0°
+ */
+
+const COMPASS_SECTORS = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO'];
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const normalizeDegrees = degrees => ((degrees % 360) + 360) % 360;
+const getCompassSector = degrees => COMPASS_SECTORS[Math.round(normalizeDegrees(degrees) / 45) % 8];
+
+// Dirección media y longitud del vector resultante R (1 = siempre la misma dirección, 0 = sin dirección dominante)
+function calculateCircularMean(degrees, weights) {
+  const sumWeights = weights.reduce((a, b) => a + b, 0);
+  const sin = degrees.reduce((sum, d, i) => sum + Math.sin(toRadians(d)) * weights[i], 0) / sumWeights;
+  const cos = degrees.reduce((sum, d, i) => sum + Math.cos(toRadians(d)) * weights[i], 0) / sumWeights;
+
+  return {
+    direction: normalizeDegrees(Math.atan2(sin, cos) * 180 / Math.PI),
+    resultantLength: Math.sqrt(sin * sin + cos * cos)
+  };
+}
+
+function calculateCircularStatistics(degrees, weights) {
+  const { direction, resultantLength } = calculateCircularMean(degrees, weights);
+  const sumWeights = weights.reduce((a, b) => a + b, 0);
+
+  // Frecuencia (%) de cada sector de 45°
+  const sectors = Object.fromEntries(COMPASS_SECTORS.map(sector => [sector, 0]));
+  degrees.forEach((d, i) => {
+    sectors[getCompassSector(d)] += weights[i];
+  });
+  for (const sector of COMPASS_SECTORS) {
+    sectors[sector] = parseFloat((sectors[sector] / sumWeights * 100).toFixed(2));
+  }
+  const prevailingSector = COMPASS_SECTORS.reduce((best, sector) => sectors[sector] > sectors[best] ? sector : best);
+
+  return {
+    meanDirection: parseFloat(direction.toFixed(1)),
+    meanSector: getCompassSector(direction),
+    resultantLength: parseFloat(resultantLength.toFixed(3)),
+    // Desviación estándar circular: sqrt(-2 ln R)
+    circularStdDev: parseFloat((Math.sqrt(-2 * Math.log(Math.max(resultantLength, 1e-12))) * 180 / Math.PI).toFixed(1)),
+    count: degrees.length,
+    prevailingSector,
+    sectors
+  };
+}
+
+/**
+ * Variables extendidas de POWER (opt-in: extended=true en /weather)
+ * Radiación solar y presión para usuarios de energía solar y aviación
+ */
+const EXTENDED_VARIABLES = {
+  solarRadiation: { parameter: 'ALLSKY_SFC_SW_DWN', unit: 'kWh/m²/día' },
+  dewPoint: { parameter: 'T2MDEW', unit: '°C' },
+  pressure: { parameter: 'PS', unit: 'kPa' },
+  windDirection: { parameter: 'WD2M', unit: '°' }
+};
+
+export const EXTENDED_PARAMETERS = Object.values(EXTENDED_VARIABLES).map(v => v.parameter);
+
+// Umbrales base de las variables extendidas
+const EXTENDED_BASE_THRESHOLDS = {
+  lowSolar: 3.0,      // kWh/m²/día - día muy nublado, baja producción fotovoltaica
+  muggyDewPoint: 16,  // °C - sobre este punto de rocío el aire se percibe bochornoso
+  fogSpread: 2        // °C - mínima a menos de 2°C del punto de rocío favorece niebla/neblina
+};
+
+/**
+ * Analiza las variables extendidas con el mismo esquema que las básicas:
+ * estadísticas, tendencia, predicción híbrida, confianza y condiciones
+ * getSamples(paramName) devuelve las muestras de la ventana (ver extractWindowSamples)
+ * Las variables sin datos se omiten
+ */
+function analyzeExtendedVariables(getSamples, tempMinData, currentYear, targetMonth) {
+  const predictions = {};
+  const trends = {};
+  const confidence = {};
+  const sections = {};
+
+  // exceeding: muestras que cumplen la condición; yearsExceeded cuenta los años con al menos una
+  const buildCondition = (probability, threshold, samples, exceeding, unit) => ({
+    probability: parseFloat(probability.toFixed(2)),
+    threshold: parseFloat(threshold.toFixed(2)),
+    yearsExceeded: countYears(exceeding),
+    totalYears: countYears(samples),
+    sampleSize: samples.length,
+    unit,
+    confidenceInterval: calculateProbabilityInterval(probability, countYears(samples))
+  });
+
+  const samplesByVariable = Object.fromEntries(
+    Object.entries(EXTENDED_VARIABLES).map(([name, { parameter }]) => [name, getSamples(parameter)])
+  );
+
+  // Variables lineales: mismo tratamiento que viento, humedad y lluvia
+  for (const name of ['solarRadiation', 'dewPoint', 'pressure']) {
+    const samples = samplesByVariable[name];
+    if (samples.length === 0) continue;
+
+    const stats = calculateSampleStatistics(samples);
+    const trend = calculateTrend(samples, currentYear);
+
+    predictions[name] = parseFloat(calculateHybridPrediction(samples, trend, stats, currentYear, targetMonth).toFixed(2));
+    trends[name] = describeTrend(trend, samples);
+    confidence[name] = calculatePredictionConfidence(trend.rSquared ?? 0, countYears(samples), stats.stdDev, { min: stats.min, max: stats.max });
+    sections[name] = { statistics: stats, unit: EXTENDED_VARIABLES[name].unit, conditions: {} };
+  }
+
+  if (sections.solarRadiation) {
+    const samples = samplesByVariable.solarRadiation;
+    const threshold = Math.min(sections.solarRadiation.statistics.percentiles.p10, EXTENDED_BASE_THRESHOLDS.lowSolar);
+    const probability = calculateRealProbability(samples.map(d => d.value), threshold, false, samples.map(d => d.weight));
+    sections.solarRadiation.conditions.lowSolar = buildCondition(probability, threshold, samples, samples.filter(d => d.value < threshold), 'kWh/m²/día');
+  }
+
+  if (sections.dewPoint) {
+    const samples = samplesByVariable.dewPoint;
+    const muggy = calculateRealProbability(samples.map(d => d.value), EXTENDED_BASE_THRESHOLDS.muggyDewPoint, true, samples.map(d => d.weight));
+    sections.dewPoint.conditions.muggy = buildCondition(muggy, EXTENDED_BASE_THRESHOLDS.muggyDewPoint, samples,
+      samples.filter(d => d.value > EXTENDED_BASE_THRESHOLDS.muggyDewPoint), '°C');
+
+    // Riesgo de niebla: diferencia entre la mínima y el punto de rocío del mismo día
+    const tempMinByDate = new Map(tempMinData.map(d => [d.date, d.value]));
+    const paired = samples.filter(d => tempMinByDate.has(d.date));
+    if (paired.length > 0) {
+      const spreads = paired.map(d => tempMinByDate.get(d.date) - d.value);
+      const fog = calculateRealProbability(spreads, EXTENDED_BASE_THRESHOLDS.fogSpread, false, paired.map(d => d.weight));
+      sections.dewPoint.conditions.fogRisk = buildCondition(fog, EXTENDED_BASE_THRESHOLDS.fogSpread, paired,
+        paired.filter((d, i) => spreads[i] < EXTENDED_BASE_THRESHOLDS.fogSpread), '°C');
+    }
+  }
+
+  if (sections.pressure) {
+    // La presión superficial depende de la altitud: solo tiene sentido un umbral local
+    const samples = samplesByVariable.pressure;
+    const threshold = sections.pressure.statistics.percentiles.p10;
+    const probability = calculateRealProbability(samples.map(d => d.value), threshold, false, samples.map(d => d.weight));
+    sections.pressure.conditions.lowPressure = buildCondition(probability, threshold, samples, samples.filter(d => d.value < threshold), 'kPa');
+  }
+
+  // Dirección del viento: estadística circular
+  const directionSamples = samplesByVariable.windDirection;
+  if (directionSamples.length > 0) {
+    const degrees = directionSamples.map(d => d.value);
+    const weights = directionSamples.map(d => d.weight);
+    const stats = calculateCircularStatistics(degrees, weights);
+
+    // Tendencia: giro (°/año) de la desviación respecto a la dirección media, en [-180, 180)
+    const deviations = directionSamples.map(d => ({
+      ...d,
+      value: normalizeDegrees(d.value - stats.meanDirection + 180) - 180
+    }));
+    const trend = calculateTrend(deviations, currentYear);
+
+    // Predicción: dirección media con más peso a años recientes (decay τ = 3 años)
+    const currentYearFloat = currentYear + (targetMonth - 1) / 12;
+    const recentWeights = directionSamples.map(d => Math.exp(-Math.abs(currentYearFloat - d.year) / 3) * d.weight);
+    const predicted = calculateCircularMean(degrees, recentWeights);
+
+    predictions.windDirection = parseFloat(predicted.direction.toFixed(1));
+    trends.windDirection = describeTrend(trend, deviations);
+
+    const prevailingProbability = stats.sectors[stats.prevailingSector];
+    sections.windDirection = {
+      statistics: stats,
+      unit: '°',
+      conditions: {
+        // Probabilidad de que el viento sople desde el sector dominante
+        prevailingWind: {
+          probability: prevailingProbability,
+          sector: stats.prevailingSector,
+          yearsExceeded: countYears(directionSamples.filter(d => getCompassSector(d.value) === stats.prevailingSector)),
+          totalYears: countYears(directionSamples),
+          sampleSize: directionSamples.length,
+          unit: '°',
+          confidenceInterval: calculateProbabilityInterval(prevailingProbability, countYears(directionSamples))
+        }
+      }
+    };
+  }
+
+  return { predictions, trends, confidence, sections };
+}
+
+/**
+ * Calcula probabilidades de condiciones extremas con análisis estadístico completo (DIARIO)
+ * Aplica corrección topográfica por elevación
+ * referenceYear: año para el que se proyecta la predicción (por defecto el actual)
+ * baseline: período de referencia { name, startYear, endYear } (ver baseline-periods.js);
+ *           sin baseline se usan todos los años presentes en los datos
+ * window/kernel: ventana de ±window días alrededor de la fecha y núcleo de ponderación
+ *           (ver extractWindowSamples); window = 0 usa solo el mismo día de cada año
+ * extended: analizar también EXTENDED_PARAMETERS (radiación, punto de rocío, presión, dirección del viento)
+ * calibration: ubicación calibrada cercana (ver findCalibrationLocation en calibration-store.js)
+ * customThresholds: umbrales y curvas pedidos por el usuario (ver parseCustomThresholds)
+ */
+export function calculateDailyProbabilities(data, targetDate, elevation = 0, lat = null, lon = null, {
+  referenceYear = new Date().getFullYear(),
+  baseline = null,
+  window = DEFAULT_SAMPLING_WINDOW,
+  kernel = 'uniform',
+  extended = false,
+  calibration = null,
+  customThresholds = null
+} = {}) {
+  console.log('\n🔍 === PASO 2: Procesando datos diarios ===');
+  console.log(`📅 Fecha objetivo: ${targetDate} (ventana ±${window} días, núcleo ${kernel})`);
+  console.log(`🏔️  Elevación: ${elevation}m`);
+
+  const params = data.properties.parameter;
+
+  // Umbrales base que se ajustarán dinámicamente según:
+  // 1. Datos históricos locales (percentiles)
+  // 2. Tendencias climáticas (calentamiento/enfriamiento)
+  // 3. Proyección a corto plazo (próxima década)
+  const baseThresholds = {
+    veryHot: 35,      // Se ajustará con P90 de temperaturas máximas históricas
+    veryCold: 5,      // Se ajustará con P10 de temperaturas mínimas históricas
+    veryWindy: 10,    // m/s - estándar para vientos fuertes
+    veryHumid: 80,    // % - umbral de alta humedad
+    heavyRain: 10     // mm - lluvia significativa en un día
+  };
+
+  // Extraer mes y día del target date (formato: MMDD)
+  const targetMonth = parseInt(targetDate.substring(0, 2));
+  const targetDay = parseInt(targetDate.substring(2, 4));
+
+  // Mapeo de cuantiles contra la estación calibrada cercana (si tiene pares suficientes)
+  const quantileMapping = calibration ? buildQuantileMapping(calibration, params, targetMonth, targetDay) : null;
+  if (quantileMapping?.applied) {
+    console.log(`🎯 Mapeo de cuantiles con ${calibration.name}: ${Object.keys(quantileMapping.variables).join(', ')}`);
+  }
+
+  // Obtener los valores de la ventana de días alrededor de la fecha en todos los años CON AÑO
+  // Con mapeo de cuantiles los valores de POWER se reemplazan por su equivalente en la estación
+  const getDailyValuesWithYear = (paramName) => {
+    const samples = extractWindowSamples(params[paramName], targetMonth, targetDay, {
+      window,
+      kernel,
+      startYear: baseline ? baseline.startYear : null,
+      endYear: baseline ? baseline.endYear : null
+    });
+    const map = quantileMapping?.mappers[paramName];
+    return map ? samples.map(sample => ({ ...sample, value: map(sample.value, sample.date) })) : samples;
+  };
+
+  // Obtener valores de todos los años para cada parámetro CON ANÁLISIS DE TENDENCIA
+  console.log('\n📊 Extrayendo valores históricos de la ventana de días...');
+  const tempMaxData = getDailyValuesWithYear('T2M_MAX');
+  const tempMinData = getDailyValuesWithYear('T2M_MIN');
+  const tempAvgData = getDailyValuesWithYear('T2M');
+  const windMaxData = getDailyValuesWithYear('WS2M_MAX');
+  const windAvgData = getDailyValuesWithYear('WS2M');
+  const humidityData = getDailyValuesWithYear('RH2M');
+  const rainData = getDailyValuesWithYear('PRECTOTCORR');
+
+  // Extraer valores y pesos del núcleo para estadísticas tradicionales
+  const valuesOf = samples => samples.map(d => d.value);
+  const weightsOf = samples => samples.map(d => d.weight);
+  const tempMaxValues = valuesOf(tempMaxData);
+  const tempMinValues = valuesOf(tempMinData);
+  const tempAvgValues = valuesOf(tempAvgData);
+  const windMaxValues = valuesOf(windMaxData);
+  const windAvgValues = valuesOf(windAvgData);
+  const humidityValues = valuesOf(humidityData);
+  const rainValues = valuesOf(rainData);
+
+  // PREDICCIÓN AJUSTADA POR TENDENCIA para el año de referencia
+  const currentYear = referenceYear;
+
+  const tempMaxTrend = calculateTrend(tempMaxData, currentYear);
+  const tempMinTrend = calculateTrend(tempMinData, currentYear);
+
+  // Calcular tendencias para otras variables también
+  const windMaxTrend = calculateTrend(windMaxData, currentYear);
+  const humidityTrend = calculateTrend(humidityData, currentYear);
+  const rainTrend = calculateTrend(rainData, currentYear);
+
+  console.log(`   📈 Tendencia Temp Max: ${tempMaxTrend.slope > 0 ? '+' : ''}${tempMaxTrend.slope}°C/año (R²=${tempMaxTrend.rSquared})`);
+  console.log(`   📈 Tendencia Temp Min: ${tempMinTrend.slope > 0 ? '+' : ''}${tempMinTrend.slope}°C/año (R²=${tempMinTrend.rSquared})`);
+  console.log(`   📈 Tendencia Viento Max: ${windMaxTrend.slope > 0 ? '+' : ''}${windMaxTrend.slope} m/s/año (R²=${windMaxTrend.rSquared})`);
+  console.log(`   📈 Tendencia Humedad: ${humidityTrend.slope > 0 ? '+' : ''}${humidityTrend.slope}%/año (R²=${humidityTrend.rSquared})`);
+  console.log(`   📈 Tendencia Lluvia: ${rainTrend.slope > 0 ? '+' : ''}${rainTrend.slope} mm/año (R²=${rainTrend.rSquared})`);
+
+  // Significancia de cada tendencia (Mann-Kendall con corrección por autocorrelación)
+  const trendSummaries = {
+    max: describeTrend(tempMaxTrend, tempMaxData),
+    min: describeTrend(tempMinTrend, tempMinData),
+    windMax: describeTrend(windMaxTrend, windMaxData),
+    humidity: describeTrend(humidityTrend, humidityData),
+    precipitation: describeTrend(rainTrend, rainData)
+  };
+  for (const [name, summary] of Object.entries(trendSummaries)) {
+    if (!summary.mannKendall) continue;
+    console.log(`   🧪 Mann-Kendall ${name}: p=${summary.mannKendall.pValue} (${summary.significant ? 'significativa' : 'no significativa'}), Sen ${summary.senSlope > 0 ? '+' : ''}${summary.senSlope}/año`);
+  }
+
+  console.log(`   🌡️  Temp Max: ${tempMaxValues.length} días en ${countYears(tempMaxData)} años`);
+  console.log(`   🌡️  Temp Min: ${tempMinValues.length} días en ${countYears(tempMinData)} años`);
+  console.log(`   💨 Viento: ${windMaxValues.length} días en ${countYears(windMaxData)} años`);
+  console.log(`   💧 Humedad: ${humidityValues.length} días en ${countYears(humidityData)} años`);
+  console.log(`   🌧️  Lluvia: ${rainValues.length} días en ${countYears(rainData)} años`);
+
+  // Calcular estadísticas completas para cada parámetro
+  console.log('\n🔢 === PASO 3: Calculando estadísticas ===');
+  console.log('   Calculando percentiles (p10, p25, p50, p75, p90)...');
+  console.log('   Calculando desviación estándar...');
+  console.log('   Calculando intervalos de confianza 95%...');
+
+  const tempMaxStats = calculateSampleStatistics(tempMaxData);
+  const tempMinStats = calculateSampleStatistics(tempMinData);
+  const tempAvgStats = calculateSampleStatistics(tempAvgData);
+  const windMaxStats = calculateSampleStatistics(windMaxData);
+  const windAvgStats = calculateSampleStatistics(windAvgData);
+  const humidityStats = calculateSampleStatistics(humidityData);
+  const rainStats = calculateSampleStatistics(rainData);
+  const wetDayModel = calculateWetDayModel(rainData);
+  console.log(`   🌧️  Día con lluvia (≥${WET_DAY_THRESHOLD}mm): ${wetDayModel.probability}%, mediana si llueve ${wetDayModel.amountIfWet.statistics.median.toFixed(1)}mm`);
+
+  // MODELO HÍBRIDO: 40% weighted average (decay τ = 3 años) + 35% tendencia + 25% percentil 60 reciente
+  let predictedTempMax = calculateHybridPrediction(tempMaxData, tempMaxTrend, tempMaxStats, currentYear, targetMonth);
+  let predictedTempMin = calculateHybridPrediction(tempMinData, tempMinTrend, tempMinStats, currentYear, targetMonth);
+
+  // 4. AJUSTE ESTACIONAL derivado de la propia serie
+  const seasonalAdj = getSeasonalAdjustments(params, targetMonth, lat, { baseline, referenceYear: currentYear });
+  predictedTempMax = applySeasonalAdjustment('tempMax', predictedTempMax, seasonalAdj);
+  predictedTempMin = applySeasonalAdjustment('tempMin', predictedTempMin, seasonalAdj);
+
+  // 5. CALIBRACIÓN CON OBSERVACIONES LOCALES (ver calibration-store.js)
+  // El sesgo estación - POWER se suma a la predicción con un peso según los días observados
+  const calibrationResult = calibration
+    ? calculateCalibration(calibration, params, targetMonth, Object.keys(quantileMapping.variables))
+    : null;
+  const calibrationCorrection = name => calibrationResult?.variables[name]?.correction ?? 0;
+  if (calibrationResult?.applied) {
+    console.log(`   🎯 Calibración con ${calibrationResult.location.name} (${calibrationResult.location.distanceKm} km): ` +
+      Object.entries(calibrationResult.variables).map(([name, v]) => `${name} ${v.correction > 0 ? '+' : ''}${v.correction}`).join(', '));
+  }
+  predictedTempMax += calibrationCorrection('tempMax');
+  predictedTempMin += calibrationCorrection('tempMin');
+
+  console.log('✅ Estadísticas calculadas');
+  console.log(`\n🎯 === Predicción ajustada por tendencia + estación (${currentYear}) ===`);
+  console.log(`   Temp Max predicha: ${predictedTempMax.toFixed(1)}°C (vs mediana: ${tempMaxStats.median}°C, ajuste estacional: ${seasonalAdj.temp > 0 ? '+' : ''}${seasonalAdj.temp}°C)`);
+  console.log(`   Temp Min predicha: ${predictedTempMin.toFixed(1)}°C (vs mediana: ${tempMinStats.median}°C, estación: ${seasonalAdj.season})`);
+  
+  // Calcular niveles de confianza de las predicciones
+  const tempMaxConfidence = calculatePredictionConfidence(
+    tempMaxTrend.rSquared,
+    countYears(tempMaxData),
+    tempMaxStats.stdDev,
+    { min: tempMaxStats.min, max: tempMaxStats.max }
+  );
+  const tempMinConfidence = calculatePredictionConfidence(
+    tempMinTrend.rSquared,
+    countYears(tempMinData),
+    tempMinStats.stdDev,
+    { min: tempMinStats.min, max: tempMinStats.max }
+  );
+  
+  console.log(`   Confianza Temp Max: ${tempMaxConfidence.level} (${tempMaxConfidence.score}%)`);
+  console.log(`   Confianza Temp Min: ${tempMinConfidence.level} (${tempMinConfidence.score}%)`);
+
+  // PREDICCIONES PARA VIENTO, HUMEDAD Y LLUVIA usando mismo modelo híbrido
+  // Calcular predicciones con mismo método: 40% weighted avg + 35% tendencia + 25% percentil reciente
+
+  // VIENTO MÁXIMO
+  const predictedWindMax = calculateHybridPrediction(windMaxData, windMaxTrend, windMaxStats, currentYear, targetMonth);
+  // Sin ajustes estacionales para viento en Bolivia (no hay patrón marcado)
+
+  // HUMEDAD
+  let predictedHumidity = calculateHybridPrediction(humidityData, humidityTrend, humidityStats, currentYear, targetMonth);
+  // Aplicar ajuste estacional para humedad
+  predictedHumidity = applySeasonalAdjustment('humidity', predictedHumidity, seasonalAdj);
+  predictedHumidity += calibrationCorrection('humidity');
+  predictedHumidity = Math.max(0, Math.min(100, predictedHumidity)); // Limitar 0-100%
+
+  // PRECIPITACIÓN
+  // Se queda en la media de todos los días (secos y con lluvia): es el valor esperado que se compara
+  // con lo observado en la verificación y el backtest. Probabilidad y monto si llueve: wetDayModel
+  let predictedRain = calculateHybridPrediction(rainData, rainTrend, rainStats, currentYear, targetMonth);
+  // Aplicar ajuste estacional para lluvia (crítico en Bolivia); no puede ser negativa
+  predictedRain = applySeasonalAdjustment('precipitation', predictedRain, seasonalAdj);
+
+  console.log(`\n   💨 Viento Max predicho: ${predictedWindMax.toFixed(2)} m/s (${(predictedWindMax * 3.6).toFixed(1)} km/h) vs mediana: ${windMaxStats.median.toFixed(2)} m/s`);
+  console.log(`   💧 Humedad predicha: ${predictedHumidity.toFixed(1)}% vs mediana: ${humidityStats.median.toFixed(1)}% (ajuste estacional: ${seasonalAdj.humidity}x)`);
+  console.log(`   🌧️  Lluvia predicha: ${predictedRain.toFixed(2)} mm vs mediana: ${rainStats.median.toFixed(2)} mm (ajuste estacional: ${seasonalAdj.precip}x)`);
+
+  // Calcular confianza de las predicciones
+  const windConfidence = calculatePredictionConfidence(
+    windMaxTrend.rSquared,
+    countYears(windMaxData),
+    windMaxStats.stdDev,
+    { min: windMaxStats.min, max: windMaxStats.max }
+  );
+  const humidityConfidence = calculatePredictionConfidence(
+    humidityTrend.rSquared,
+    countYears(humidityData),
+    humidityStats.stdDev,
+    { min: humidityStats.min, max: humidityStats.max }
+  );
+  const rainConfidence = calculatePredictionConfidence(
+    rainTrend.rSquared,
+    countYears(rainData),
+    rainStats.stdDev,
+    { min: rainStats.min, max: rainStats.max }
+  );
+
+  console.log(`   Confianza Viento: ${windConfidence.level} (${windConfidence.score}%)`);
+  console.log(`   Confianza Humedad: ${humidityConfidence.level} (${humidityConfidence.score}%)`);
+  console.log(`   Confianza Lluvia: ${rainConfidence.level} (${rainConfidence.score}%)`);
+
+  // NOTA: NASA POWER ya incluye ajuste por elevación del punto consultado
+  // No aplicamos corrección adicional (los datos satelitales ya están calibrados)
+  const elevationCorrection = 0; // Sin corrección (datos ya ajustados)
+
+  // UMBRALES ADAPTATIVOS - Método mejorado de 3 factores:
+  // 1. Percentiles históricos locales (P90 para calor, P10 para frío)
+  // 2. Ajuste por tendencia climática (calentamiento/enfriamiento observado)
+  // 3. Proyección a corto plazo (próxima década)
+  
+  const decadeProjection = 10; // años hacia adelante para proyección
+  // Solo las tendencias significativas se proyectan (pendiente de Sen); las demás no mueven el umbral
+  const tempMaxProjection = getProjectedSlope(trendSummaries.max) * decadeProjection;
+  const tempMinProjection = getProjectedSlope(trendSummaries.min) * decadeProjection;
+  
+  // Umbrales dinámicos basados en clima LOCAL + tendencias
+  const thresholds = {
+    // Muy caluroso: usa P90 histórico + proyección de tendencia
+    veryHot: Math.max(
+      tempMaxStats.percentiles.p90,  // Lo que localmente es "muy caluroso"
+      baseThresholds.veryHot + tempMaxProjection // Ajuste por tendencia significativa
+    ),
+    
+    // Muy frío: usa P10 histórico + proyección de tendencia
+    veryCold: Math.min(
+      tempMinStats.percentiles.p10,  // Lo que localmente es "muy frío"
+      baseThresholds.veryCold + tempMinProjection // Ajuste por tendencia significativa
+    ),
+    
+    // Viento: usa P90 de viento máximo como umbral local
+    veryWindy: Math.max(windMaxStats.percentiles.p90, baseThresholds.veryWindy),
+    
+    // Humedad: mantener estándar meteorológico
+    veryHumid: baseThresholds.veryHumid,
+    
+    // Lluvia intensa: usa P75 histórico (eventos significativos)
+    heavyRain: Math.max(rainStats.percentiles.p75, baseThresholds.heavyRain)
+  };
+
+  console.log(`\n🎯 === UMBRALES ADAPTATIVOS (ajustados por climate velocity) ===`);
+  console.log(`   Muy caluroso: ${baseThresholds.veryHot}°C → ${thresholds.veryHot.toFixed(1)}°C (${tempMaxProjection > 0 ? '+' : ''}${tempMaxProjection.toFixed(1)}°C${trendSummaries.max.significant ? '' : ', tendencia no significativa'})`);
+  console.log(`   Muy frío: ${baseThresholds.veryCold}°C → ${thresholds.veryCold.toFixed(1)}°C (${tempMinProjection > 0 ? '+' : ''}${tempMinProjection.toFixed(1)}°C${trendSummaries.min.significant ? '' : ', tendencia no significativa'})`);
+
+  // Calcular probabilidades reales basadas en umbrales ADAPTATIVOS
+  console.log('\n🎲 === PASO 4: Calculando probabilidades con ajuste estacional ===');
+  const probVeryHot = calculateRealProbability(tempMaxValues, thresholds.veryHot, true, weightsOf(tempMaxData));
+  const probVeryCold = calculateRealProbability(tempMinValues, thresholds.veryCold, false, weightsOf(tempMinData));
+  const probVeryWindy = calculateRealProbability(windMaxValues, thresholds.veryWindy, true, weightsOf(windMaxData));
+  const probVeryHumid = Math.min(100, calculateRealProbability(humidityValues, thresholds.veryHumid, true, weightsOf(humidityData)) * seasonalAdj.humidity);
+  
+  // Ajustar probabilidad de lluvia por estación (crucial para precisión)
+  let probHeavyRain = calculateRealProbability(rainValues, thresholds.heavyRain, true, weightsOf(rainData)) * seasonalAdj.precip;
+  probHeavyRain = Math.min(100, probHeavyRain); // Cap al 100%
+
+  console.log(`   ☀️  Muy caluroso (>${thresholds.veryHot.toFixed(1)}°C): ${probVeryHot.toFixed(1)}%`);
+  console.log(`   ❄️  Muy frío (<${thresholds.veryCold.toFixed(1)}°C): ${probVeryCold.toFixed(1)}%`);
+  console.log(`   💨 Muy ventoso (>${thresholds.veryWindy}m/s): ${probVeryWindy.toFixed(1)}%`);
+  console.log(`   💧 Muy húmedo (>${thresholds.veryHumid}%): ${probVeryHumid.toFixed(1)}% (ajuste estacional: ${seasonalAdj.humidity}x)`);
+  console.log(`   🌧️  Lluvia intensa (>${thresholds.heavyRain}mm): ${probHeavyRain.toFixed(1)}% (ajuste estacional: ${seasonalAdj.precip}x)`);
+
+  // ALERTAS TRANSPARENTES BASADAS EN DATOS HISTÓRICOS
+  console.log('\n⚠️  === PASO 5: Generando Alertas Climáticas Transparentes ===');
+
+  // Calcular estadísticas históricas para alertas
+  const minTempEverRecorded = tempMinValues.reduce((min, v) => Math.min(min, v), Infinity);
+  const maxTempEverRecorded = tempMaxValues.reduce((max, v) => Math.max(max, v), -Infinity);
+  const daysWithFrost = tempMinValues.filter(v => v < 0).length;
+  const daysWithHeavyRain = rainValues.filter(v => v > 5).length;
+  const maxRainRecorded = rainValues.reduce((max, v) => Math.max(max, v), 0);
+  const maxWindRecorded = windMaxValues.reduce((max, v) => Math.max(max, v), 0);
+
+  // Valores extremos: niveles de retorno de los máximos anuales de la ventana (ver extreme-values.js)
+  const extremes = {
+    precipitation: analyzeExtremes(rainData, { unit: 'mm', windowDays: window }),
+    windMax: analyzeExtremes(windMaxData, { unit: 'm/s', windowDays: window })
+  };
+  for (const [name, extreme] of Object.entries(extremes)) {
+    if (!extreme.fitted) continue;
+    const levels = extreme.returnLevels.map(l => `${l.period} años: ${l.value} ${extreme.unit} [${l.lower}-${l.upper}]`).join(', ');
+    console.log(`   📐 Niveles de retorno ${name} (${extreme.distribution.toUpperCase()}): ${levels}`);
+  }
+  // Persistencia: rachas de varios días sobre la serie diaria completa (ver persistence.js)
+  // La ola de calor usa el P90 de la máxima de la ventana como umbral
+  const persistenceSamples = { heatWave: tempMaxData, frostNights: tempMinData, drySpell: rainData };
+  const persistence = Object.fromEntries(Object.entries(PERSISTENCE_EVENTS).map(([name, event]) => [
+    name,
+    analyzePersistence(params[event.parameter], persistenceSamples[name], {
+      ...event,
+      threshold: name === 'heatWave' ? tempMaxStats.percentiles.p90 : event.threshold,
+      map: quantileMapping?.mappers[event.parameter]
+    })
+  ]));
+  for (const [name, event] of Object.entries(persistence)) {
+    console.log(`   🔁 ${name}: ${event.yearsCoveringDate}/${event.years} años con racha en la fecha, duración típica ${event.duration.median} días`);
+  }
+
+  // Temperatura aparente de cada día histórico de la ventana y de la predicción (ver apparent-temperature.js)
+  // El viento de la predicción es el medio histórico (WS2M): solo se predice la ráfaga máxima
+  const valueByDate = samples => new Map(samples.map(d => [d.date, d.value]));
+  const tempMinByDate = valueByDate(tempMinData);
+  const tempAvgByDate = valueByDate(tempAvgData);
+  const humidityByDate = valueByDate(humidityData);
+  const windByDate = valueByDate(windAvgData);
+  const apparentDays = tempMaxData
+    .filter(d => tempMinByDate.has(d.date) && tempAvgByDate.has(d.date) && humidityByDate.has(d.date) && windByDate.has(d.date))
+    .map(d => ({
+      year: d.year,
+      date: d.date,
+      offset: d.offset,
+      weight: d.weight,
+      tempMax: d.value,
+      tempMin: tempMinByDate.get(d.date),
+      tempAvg: tempAvgByDate.get(d.date),
+      humidity: humidityByDate.get(d.date),
+      wind: windByDate.get(d.date)
+    }));
+  const apparentTemperature = analyzeApparentTemperature(apparentDays, {
+    tempMax: predictedTempMax,
+    tempMin: predictedTempMin,
+    tempAvg: (predictedTempMax + predictedTempMin) / 2,
+    humidity: predictedHumidity,
+    wind: windAvgStats.mean
+  });
+  const { heatIndex: predictedHeatIndex, humidex: predictedHumidex, windChill: predictedWindChill } = apparentTemperature.predicted;
+  console.log(`   🥵 Índice de calor: ${predictedHeatIndex.value}°C, humidex: ${predictedHumidex.value}°C, sensación por viento: ${predictedWindChill.value}°C`);
+
+  // "3/450 días (±7 días en 30 años)": las alertas cuentan días de la ventana, no años
+  const sampleLabel = samples => window > 0
+    ? `días (±${window} días en ${countYears(samples)} años)`
+    : 'años';
+
+  // Alerta de HELADA: mínima predicha y sensación térmica por viento
+  const comfortProbability = (index, category) => apparentTemperature.exceedance[index].find(e => e.category === category).probability;
+  const windChillNote = predictedWindChill.value < parseFloat(predictedTempMin.toFixed(1))
+    ? `, sensación térmica ${predictedWindChill.value}°C`
+    : '';
+  const frostHistory = `Histórico: ${daysWithFrost}/${tempMinValues.length} ${sampleLabel(tempMinData)} con helada` +
+    `, sensación térmica ≤0°C en ${comfortProbability('windChill', 'cold')}%. Mínima registrada: ${minTempEverRecorded.toFixed(1)}°C`;
+  const windChillLevel = COMFORT_LEVELS[predictedWindChill.category];
+  let frostAlert = {};
+  if (predictedTempMin < 0 || windChillLevel === 'danger') {
+    frostAlert = {
+      level: 'danger',
+      title: 'Alto riesgo de helada',
+      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C${windChillNote}`,
+      data: frostHistory
+    };
+  } else if (predictedTempMin < 5 || windChillLevel === 'warning') {
+    frostAlert = {
+      level: 'warning',
+      title: 'Temperatura baja, posible helada',
+      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C${windChillNote}`,
+      data: frostHistory
+    };
+  } else {
+    frostAlert = {
+      level: 'success',
+      title: 'Sin riesgo de helada',
+      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C${windChillNote}`,
+      data: frostHistory
+    };
+  }
+
+  // Alerta de PRECIPITACIÓN: probabilidad de día con lluvia y monto si llueve (modelo de dos partes)
+  let rainAlert = {};
+  const wetDayProbability = wetDayModel.probability;
+  const heavyRainChance = wetDayModel.amountIfWet.exceedance.find(e => e.amount === 10).probability;
+  const wetAmounts = wetDayModel.amountIfWet.statistics;
+  const rainHistory = `Histórico: ${wetDayModel.wetDays}/${rainValues.length} ${sampleLabel(rainData)} con ≥${WET_DAY_THRESHOLD}mm` +
+    (wetDayModel.wetDays > 0 ? `; si llueve, mediana ${wetAmounts.median.toFixed(1)}mm y P90 ${wetAmounts.percentiles.p90.toFixed(1)}mm` : '') +
+    `. Máxima: ${maxRainRecorded.toFixed(1)}mm`;
+  if (heavyRainChance >= 20) {
+    rainAlert = {
+      level: 'danger',
+      title: 'Alta probabilidad de lluvia intensa',
+      description: `Probabilidad de ≥10mm: ${heavyRainChance.toFixed(0)}% (día con lluvia: ${wetDayProbability.toFixed(0)}%)`,
+      data: rainHistory
+    };
+  } else if (wetDayProbability >= 30) {
+    rainAlert = {
+      level: 'info',
+      title: 'Lluvia probable',
+      description: `Probabilidad de día con lluvia: ${wetDayProbability.toFixed(0)}%. Si llueve, típicamente ${wetAmounts.median.toFixed(1)}mm`,
+      data: rainHistory
+    };
+  } else {
+    rainAlert = {
+      level: 'success',
+      title: 'Probablemente seco',
+      description: `Probabilidad de día con lluvia: ${wetDayProbability.toFixed(0)}%`,
+      data: rainHistory
+    };
+  }
+
+  // Alerta de CALOR: máxima predicha y sensación térmica (índice de calor y humidex)
+  const heatFeel = `sensación: índice de calor ${predictedHeatIndex.value}°C, humidex ${predictedHumidex.value}°C`;
+  const heatIndexHistory = `Índice de calor ≥32°C en ${comfortProbability('heatIndex', 'extremeCaution')}% de los ${sampleLabel(tempMaxData)}`;
+  const heatLevels = [COMFORT_LEVELS[predictedHeatIndex.category], COMFORT_LEVELS[predictedHumidex.category]];
+  let heatAlert = {};
+  if (predictedTempMax > 35 || heatLevels.includes('danger')) {
+    heatAlert = {
+      level: 'danger',
+      title: 'Calor extremo',
+      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C (${heatFeel})`,
+      data: `Histórico: Máxima registrada ${maxTempEverRecorded.toFixed(1)}°C. Promedio: ${tempMaxStats.mean.toFixed(1)}°C. ${heatIndexHistory}`
+    };
+  } else if (predictedTempMax > 30 || heatLevels.includes('warning')) {
+    heatAlert = {
+      level: 'warning',
+      title: 'Temperatura alta',
+      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C (${heatFeel})`,
+      data: `Histórico: Máxima registrada ${maxTempEverRecorded.toFixed(1)}°C. Promedio: ${tempMaxStats.mean.toFixed(1)}°C. ${heatIndexHistory}`
+    };
+  } else {
+    heatAlert = {
+      level: 'success',
+      title: 'Temperatura normal',
+      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C (${heatFeel})`,
+      data: `Histórico: Promedio ${tempMaxStats.mean.toFixed(1)}°C (rango: ${minTempEverRecorded.toFixed(1)}°C - ${maxTempEverRecorded.toFixed(1)}°C). ${heatIndexHistory}`
+    };
+  }
+
+  // Alerta de VIENTO - USAR PREDICCIÓN en lugar de promedio histórico
+  let windAlert = {};
+  if (predictedWindMax > 15) {
+    windAlert = {
+      level: 'danger',
+      title: 'Vientos muy fuertes',
+      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
+      data: `Histórico: Máxima registrada ${maxWindRecorded.toFixed(1)} m/s. Promedio: ${windMaxStats.mean.toFixed(1)} m/s`
+    };
+  } else if (predictedWindMax > 10) {
+    windAlert = {
+      level: 'warning',
+      title: 'Vientos moderados a fuertes',
+      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
+      data: `Histórico: Máxima registrada ${maxWindRecorded.toFixed(1)} m/s. Promedio: ${windMaxStats.mean.toFixed(1)} m/s`
+    };
+  } else {
+    windAlert = {
+      level: 'success',
+      title: 'Vientos normales',
+      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
+      data: `Histórico: Promedio ${windMaxStats.mean.toFixed(1)} m/s (rango: ${windMaxStats.min.toFixed(1)} - ${maxWindRecorded.toFixed(1)} m/s)`
+    };
+  }
+
+  console.log(`   ❄️  ${frostAlert.title} - ${frostAlert.description}`);
+  console.log(`   ⛈️  ${rainAlert.title} - ${rainAlert.description}`);
+  console.log(`   🌡️  ${heatAlert.title} - ${heatAlert.description}`);
+  console.log(`   💨 ${windAlert.title} - ${windAlert.description}`);
+
+  // Variables extendidas (opt-in)
+  const extendedAnalysis = extended
+    ? analyzeExtendedVariables(getDailyValuesWithYear, tempMinData, currentYear, targetMonth)
+    : { predictions: {}, trends: {}, confidence: {}, sections: {} };
+  if (extended) {
+    console.log(`   ☀️  Variables extendidas: ${Object.keys(extendedAnalysis.sections).join(', ') || 'sin datos'}`);
+  }
+
+  // Índices de riesgo compuestos (ver risk-scores.js)
+  const riskScores = calculateRiskScores({
+    predicted: {
+      tempMax: predictedTempMax,
+      tempMin: predictedTempMin,
+      humidity: predictedHumidity
+    },
+    stdDev: { tempMax: tempMaxStats.stdDev, tempMin: tempMinStats.stdDev },
+    probabilities: {
+      veryHot: probVeryHot,
+      veryCold: probVeryCold,
+      veryWindy: probVeryWindy,
+      heavyRain: probHeavyRain,
+      wetDay: wetDayModel.probability
+    },
+    frostFrequency: calculateRealProbability(tempMinValues, FROST_THRESHOLD, false, weightsOf(tempMinData)),
+    heatFrequency: calculateRealProbability(tempMaxValues, HEAT_STRESS_THRESHOLD, true, weightsOf(tempMaxData))
+  });
+
+  console.log(`   🧮 Riesgo helada: ${riskScores.frost.score} (${riskScores.frost.level}), tormenta: ${riskScores.storm.score} (${riskScores.storm.level}), estrés térmico: ${riskScores.heatStress.score} (${riskScores.heatStress.level})`);
+
+  // Período de referencia efectivamente analizado
+  const yearsWithData = [...new Set(tempMaxData.map(d => d.year))];
+
+  const result = {
+    baseline: {
+      name: baseline ? baseline.name : 'data',
+      description: baseline ? baseline.description : 'Todos los años presentes en los datos',
+      startYear: baseline ? baseline.startYear : Math.min(...yearsWithData),
+      endYear: baseline ? baseline.endYear : Math.max(...yearsWithData),
+      yearsWithData: yearsWithData.length
+    },
+    sampling: {
+      window,
+      kernel,
+      days: window * 2 + 1,
+      samples: tempMaxData.length,
+      effectiveSampleSize: parseFloat(calculateEffectiveSampleSize(weightsOf(tempMaxData)).toFixed(1)),
+      note: window > 0
+        ? `Cada año aporta los días entre ${window} días antes y ${window} después de la fecha`
+        : 'Cada año aporta solo el mismo día calendario'
+    },
+    trendPrediction: {
+      tempMax: parseFloat(predictedTempMax.toFixed(2)),
+      tempMin: parseFloat(predictedTempMin.toFixed(2)),
+      windMax: parseFloat(predictedWindMax.toFixed(2)),
+      humidity: parseFloat(predictedHumidity.toFixed(1)),
+      precipitation: parseFloat(predictedRain.toFixed(2)),
+      ...extendedAnalysis.predictions,
+      year: currentYear,
+      seasonalAdjustment: {
+        season: seasonalAdj.season,
+        tempAdjustment: seasonalAdj.temp,
+        precipFactor: seasonalAdj.precip,
+        humidityFactor: seasonalAdj.humidity,
+        method: seasonalAdj.method,
+        baselineYears: seasonalAdj.baselineYears,
+        recentYears: seasonalAdj.recentYears,
+        anomalies: seasonalAdj.anomalies,
+        note: seasonalAdj.note
+      },
+      ...(calibrationResult && { calibration: calibrationResult }),
+      confidence: {
+        tempMax: tempMaxConfidence,
+        tempMin: tempMinConfidence,
+        windMax: windConfidence,
+        humidity: humidityConfidence,
+        precipitation: rainConfidence,
+        ...extendedAnalysis.confidence
+      },
+      trend: {
+        ...trendSummaries,
+        ...extendedAnalysis.trends
+      }
+    },
+    temperature: {
+      statistics: tempAvgStats,
+      max: {
+        statistics: tempMaxStats,
+        unit: '°C'
+      },
+      min: {
+        statistics: tempMinStats,
+        unit: '°C'
+      },
+      conditions: {
+        veryHot: {
+          probability: parseFloat(probVeryHot.toFixed(2)),
+          threshold: thresholds.veryHot,
+          yearsExceeded: Math.round((probVeryHot / 100) * countYears(tempMaxData)),
+          totalYears: countYears(tempMaxData),
+          sampleSize: tempMaxValues.length,
+          unit: '°C',
+          confidenceInterval: calculateProbabilityInterval(probVeryHot, countYears(tempMaxData)),
+          trendProjection: describeTrendProjection(trendSummaries.max, tempMaxProjection, decadeProjection)
+        },
+        veryCold: {
+          probability: parseFloat(probVeryCold.toFixed(2)),
+          threshold: thresholds.veryCold,
+          yearsExceeded: Math.round((probVeryCold / 100) * countYears(tempMinData)),
+          totalYears: countYears(tempMinData),
+          sampleSize: tempMinValues.length,
+          unit: '°C',
+          confidenceInterval: calculateProbabilityInterval(probVeryCold, countYears(tempMinData)),
+          trendProjection: describeTrendProjection(trendSummaries.min, tempMinProjection, decadeProjection)
+        }
+      }
+    },
+    wind: {
+      statistics: windAvgStats,
+      max: {
+        statistics: windMaxStats,
+        unit: 'm/s'
+      },
+      conditions: {
+        veryWindy: {
+          probability: parseFloat(probVeryWindy.toFixed(2)),
+          threshold: thresholds.veryWindy,
+          yearsExceeded: Math.round((probVeryWindy / 100) * countYears(windMaxData)),
+          totalYears: countYears(windMaxData),
+          sampleSize: windMaxValues.length,
+          unit: 'm/s',
+          confidenceInterval: calculateProbabilityInterval(probVeryWindy, countYears(windMaxData))
+        }
+      }
+    },
+    humidity: {
+      statistics: humidityStats,
+      conditions: {
+        veryHumid: {
+          probability: parseFloat(probVeryHumid.toFixed(2)),
+          threshold: thresholds.veryHumid,
+          yearsExceeded: Math.round((probVeryHumid / 100) * countYears(humidityData)),
+          totalYears: countYears(humidityData),
+          sampleSize: humidityValues.length,
+          unit: '%',
+          confidenceInterval: calculateProbabilityInterval(probVeryHumid, countYears(humidityData))
+        }
+      }
+    },
+    precipitation: {
+      statistics: rainStats,
+      wetDay: wetDayModel,
+      conditions: {
+        heavyRain: {
+          probability: parseFloat(probHeavyRain.toFixed(2)),
+          threshold: thresholds.heavyRain,
+          yearsExceeded: Math.round((probHeavyRain / 100) * countYears(rainData)),
+          totalYears: countYears(rainData),
+          sampleSize: rainValues.length,
+          unit: 'mm',
+          confidenceInterval: calculateProbabilityInterval(probHeavyRain, countYears(rainData))
+        }
+      }
+    },
+    ...extendedAnalysis.sections,
+    alerts: {
+      frost: frostAlert,
+      rain: rainAlert,
+      heat: heatAlert,
+      wind: windAlert
+    },
+    riskScores,
+    historicalData: {
+      precipitation: {
+        avg: parseFloat(rainStats.mean.toFixed(2)),
+        min: parseFloat(rainStats.min.toFixed(2)),
+        max: parseFloat(maxRainRecorded.toFixed(2)),
+        daysWithHeavyRain: daysWithHeavyRain,
+        totalDays: rainValues.length
+      },
+      windMax: {
+        avg: parseFloat(windMaxStats.mean.toFixed(1)),
+        min: parseFloat(windMaxStats.min.toFixed(1)),
+        max: parseFloat(maxWindRecorded.toFixed(1)),
+        avgKmh: parseFloat((windMaxStats.mean * 3.6).toFixed(1))
+      },
+      humidity: {
+        avg: parseFloat(humidityStats.mean.toFixed(1)),
+        min: parseFloat(humidityStats.min.toFixed(1)),
+        max: parseFloat(humidityStats.max.toFixed(1))
+      },
+      thermalAmplitude: {
+        avg: parseFloat((tempMaxStats.mean - tempMinStats.mean).toFixed(1)),
+        description: `Diferencia promedio entre temperatura máxima y mínima`
+      }
+    },
+    extremes,
+    persistence,
+    apparentTemperature,
+    elevationData: {
+      elevation: elevation,
+      correction: 0,
+      unit: 'm',
+      note: 'NASA POWER data ya incluye ajuste por elevación del punto consultado'
+    }
+  };
+
+  if (customThresholds && (customThresholds.thresholds.length > 0 || customThresholds.curves.length > 0)) {
+    result.exceedance = calculateExceedance({
+      tempMax: tempMaxData,
+      tempMin: tempMinData,
+      windMax: windMaxData,
+      humidity: humidityData,
+      precipitation: rainData
+    }, customThresholds);
+  }
+
+  if (quantileMapping) {
+    const { mappers, ...mapping } = quantileMapping;
+    result.quantileMapping = {
+      ...mapping,
+      station: { id: calibration.id, name: calibration.name, distanceKm: calibration.distanceKm, source: calibration.source }
+    };
+
+    // El mismo análisis solo con POWER, para mostrar valores sin corregir y corregidos
+    if (quantileMapping.applied) {
+      console.log('\n🔁 Análisis sin corregir para comparar con el mapeo de cuantiles');
+      const raw = calculateDailyProbabilities(data, targetDate, elevation, lat, lon, { referenceYear, baseline, window, kernel, extended });
+      result.quantileMapping.comparison = compareAnalyses(raw, result);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Construye la predicción horaria a partir del análisis diario
+ * Con climatología horaria (ver hourly-climatology.js) la forma de la curva diaria, la lluvia
+ * y las comparaciones históricas salen de datos horarios reales; sin ella se usa el modelo
+ * sinusoidal con las horas solares del punto (solarTimes, ver solar-geometry.js)
+ */
+export function buildHourlyForecast(analysis, hourNum, solarTimes = null, climatology = null) {
+  if (climatology) {
+    return buildEmpiricalHourlyForecast(analysis, hourNum, climatology);
+  }
+
+  // Usar predicción por tendencia (más preciso que percentiles)
+  const tempMin = analysis.trendPrediction.tempMin;
+  const tempMax = analysis.trendPrediction.tempMax;
+  
+  const hourlyTemp = interpolateHourlyTemperature(tempMin, tempMax, hourNum, solarTimes);
+
+  // Sin humedad horaria: la presión de vapor del día se mantiene y la humedad sube al bajar la temperatura
+  const vaporPressure = saturationVaporPressure((tempMin + tempMax) / 2) * analysis.trendPrediction.humidity / 100;
+  const hourlyHumidity = relativeHumidityAt(hourlyTemp, vaporPressure);
+
+  // Lluvia: P(día con lluvia) × P(llueve a esta hora | día con lluvia)
+  const rainFactor = getHourlyRainFactor(hourNum);
+  const rainProbability = analysis.precipitation.wetDay.probability * rainFactor * WET_HOUR_SHARE;
+
+  return {
+    hour: hourNum,
+    source: 'sinusoidal',
+    temperature: {
+      expected: hourlyTemp,
+      range: {
+        min: parseFloat((hourlyTemp - analysis.temperature.statistics.stdDev * 0.5).toFixed(1)),
+        max: parseFloat((hourlyTemp + analysis.temperature.statistics.stdDev * 0.5).toFixed(1))
+      },
+      unit: '°C',
+      note: `Predicción por regresión lineal de tendencia histórica (${analysis.trendPrediction.year})`
+    },
+    precipitation: {
+      probability: parseFloat(Math.min(rainProbability, 100).toFixed(1)),
+      note: rainFactor > 1 ? 'Hora de mayor probabilidad de lluvia' :
+            rainFactor < 1 ? 'Hora de menor probabilidad de lluvia' : 'Probabilidad normal'
+    },
+    apparentTemperature: calculateHourlyApparentTemperatures(hourlyTemp, hourlyHumidity, analysis.wind.statistics.mean),
+    historicalComparison: {
+      median: interpolateHourlyTemperature(
+        analysis.temperature.min.statistics.median,
+        analysis.temperature.max.statistics.median,
+        hourNum,
+        solarTimes
+      ),
+      p25: interpolateHourlyTemperature(
+        analysis.temperature.min.statistics.percentiles.p25,
+        analysis.temperature.max.statistics.percentiles.p25,
+        hourNum,
+        solarTimes
+      ),
+      p75: interpolateHourlyTemperature(
+        analysis.temperature.min.statistics.percentiles.p75,
+        analysis.temperature.max.statistics.percentiles.p75,
+        hourNum,
+        solarTimes
+      ),
+      p90: interpolateHourlyTemperature(
+        analysis.temperature.min.statistics.percentiles.p90,
+        analysis.temperature.max.statistics.percentiles.p90,
+        hourNum,
+        solarTimes
+      )
+    }
+  };
+}
+
+/**
+ * Perfil completo del día: las 24 predicciones horarias a partir del mismo análisis y climatología
+ */
+export function buildHourlyProfile(analysis, solarTimes = null, climatology = null) {
+  return Array.from({ length: 24 }, (_, hour) => buildHourlyForecast(analysis, hour, solarTimes, climatology));
+}
+
+/**
+ * Predicción horaria con climatología empírica
+ * La curva horaria media se reescala para ir de la mínima a la máxima predichas por tendencia,
+ * así conserva la forma observada del ciclo diario sin perder el ajuste por tendencia
+ */
+function buildEmpiricalHourlyForecast(analysis, hourNum, climatology) {
+  const hourData = climatology.hours[hourNum];
+  const means = climatology.hours.map(h => h.temperature.mean);
+  const curveMin = Math.min(...means);
+  const curveMax = Math.max(...means);
+  const position = curveMax > curveMin ? (hourData.temperature.mean - curveMin) / (curveMax - curveMin) : 0.5;
+
+  const { tempMin, tempMax } = analysis.trendPrediction;
+  const expected = parseFloat((tempMin + position * (tempMax - tempMin)).toFixed(1));
+  const margin = hourData.temperature.stdDev * 0.5;
+
+  // Lluvia: P(día con lluvia) del período de referencia × P(llueve a esta hora | día con lluvia)
+  // de los años horarios. Sin días con lluvia en esos años, se usa la forma del modelo sinusoidal
+  const shareOf = h => climatology.wetDays > 0
+    ? climatology.hours[h].precipitation.probabilityIfWetDay / 100
+    : getHourlyRainFactor(h) * WET_HOUR_SHARE;
+  const rainProbability = analysis.precipitation.wetDay.probability * shareOf(hourNum);
+  const averageShare = climatology.hours.reduce((sum, h) => sum + shareOf(h.hour), 0) / 24;
+  const rainRatio = averageShare > 0 ? shareOf(hourNum) / averageShare : 1;
+
+  return {
+    hour: hourNum,
+    source: 'power-hourly',
+    temperature: {
+      expected,
+      range: {
+        min: parseFloat((expected - margin).toFixed(1)),
+        max: parseFloat((expected + margin).toFixed(1))
+      },
+      unit: '°C',
+      note: `Ciclo diario observado (${climatology.startYear}-${climatology.endYear}${climatology.missingYears ? `, sin ${climatology.missingYears.join(', ')}` : ''}) ajustado a la predicción por tendencia (${analysis.trendPrediction.year})`
+    },
+    precipitation: {
+      probability: parseFloat(rainProbability.toFixed(1)),
+      note: rainRatio > 1.2 ? 'Hora de mayor probabilidad de lluvia' :
+            rainRatio < 0.8 ? 'Hora de menor probabilidad de lluvia' : 'Probabilidad normal'
+    },
+    humidity: {
+      expected: parseFloat(hourData.humidity.mean.toFixed(1)),
+      unit: '%'
+    },
+    wind: {
+      expected: parseFloat(hourData.wind.mean.toFixed(2)),
+      unit: 'm/s'
+    },
+    apparentTemperature: calculateHourlyApparentTemperatures(expected, hourData.humidity.mean, hourData.wind.mean),
+    historicalComparison: {
+      median: hourData.temperature.median,
+      p25: hourData.temperature.percentiles.p25,
+      p75: hourData.temperature.percentiles.p75,
+      p90: hourData.temperature.percentiles.p90
+    }
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Temperatura aparente: índice de calor (NWS), humidex (Environment Canada) y sensación
+ * térmica por viento (wind chill, NWS / Environment Canada 2001)
+ * POWER da la humedad relativa media del día, no la de la hora más caliente: se asume que la
+ * presión de vapor (el punto de rocío) se mantiene durante el día y se recalcula la humedad a la
+ * temperatura máxima. Usar RH2M media con la máxima sobreestimaría el índice de calor
+ */
+
+import { jeffreysInterval, CONFIDENCE_LEVEL } from './uncertainty.js';
+
+// Rugosidad de terreno abierto (m) para pasar el viento de 2 m (WS2M) a 10 m, la altura de la
+// fórmula de wind chill, con el perfil logarítmico
+const ROUGHNESS_LENGTH = 0.03;
+const WIND_2M_TO_10M = Math.log(10 / ROUGHNESS_LENGTH) / Math.log(2 / ROUGHNESS_LENGTH);
+
+// Categorías de peligro (desde el valor indicado). La probabilidad de cada una es la de alcanzarla
+export const COMFORT_CATEGORIES = {
+  heatIndex: [
+    { name: 'caution', label: 'Precaución', threshold: 27 },
+    { name: 'extremeCaution', label: 'Precaución extrema', threshold: 32 },
+    { name: 'danger', label: 'Peligro', threshold: 41 },
+    { name: 'extremeDanger', label: 'Peligro extremo', threshold: 54 }
+  ],
+  humidex: [
+    { name: 'someDiscomfort', label: 'Algo de incomodidad', threshold: 30 },
+    { name: 'greatDiscomfort', label: 'Gran incomodidad', threshold: 40 },
+    { name: 'dangerous', label: 'Peligroso', threshold: 46 }
+  ],
+  // Wind chill: las categorías van hacia abajo (frío)
+  windChill: [
+    { name: 'cold', label: 'Frío', threshold: 0 },
+    { name: 'moderateRisk', label: 'Riesgo moderado', threshold: -10 },
+    { name: 'highRisk', label: 'Riesgo alto de congelamiento', threshold: -28 },
+    { name: 'veryHighRisk', label: 'Riesgo muy alto de congelamiento', threshold: -40 }
+  ]
+};
+
+const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+// Presión de vapor de saturación (hPa), fórmula de Magnus
+export function saturationVaporPressure(tempC) {
+  return 6.112 * Math.exp(17.67 * tempC / (tempC + 243.5));
+}
+
+// Humedad relativa (%) que tiene una presión de vapor dada a otra temperatura
+export function relativeHumidityAt(tempC, vaporPressure) {
+  return Math.min(100, vaporPressure / saturationVaporPressure(tempC) * 100);
+}
+
+/**
+ * Índice de calor del NWS (°C): fórmula simple de Steadman y, desde 80°F, regresión de
+ * Rothfusz con sus ajustes por humedad baja y alta
+ */
+export function heatIndex(tempC, humidity) {
+  const t = tempC * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+      - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= (13 - rh) / 4 * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += (rh - 85) / 10 * (87 - t) / 5;
+    }
+  } else {
+    hi = (hi + t) / 2;
+  }
+
+  return (hi - 32) * 5 / 9;
+}
+
+// Humidex (°C): temperatura + 5/9 × (presión de vapor en hPa − 10)
+export function humidex(tempC, humidity) {
+  const vaporPressure = saturationVaporPressure(tempC) * humidity / 100;
+  return tempC + 0.5555 * (vaporPressure - 10);
+}
+
+/**
+ * Sensación térmica por viento (°C). windMs es viento a 2 m (WS2M); la fórmula usa viento a
+ * 10 m en km/h. Solo aplica con 10°C o menos y viento de más de 4.8 km/h: si no, es la temperatura
+ */
+export function windChill(tempC, windMs) {
+  const windKmh = windMs * WIND_2M_TO_10M * 3.6;
+  if (tempC > 10 || windKmh <= 4.8) return tempC;
+  const v = Math.pow(windKmh, 0.16);
+  return 13.12 + 0.6215 * tempC - 11.37 * v + 0.3965 * tempC * v;
+}
+
+/**
+ * Los tres índices de un día: calor con la máxima (y la humedad recalculada a esa temperatura),
+ * frío con la mínima y el viento medio
+ */
+export function calculateApparentTemperatures({ tempMax, tempMin, tempAvg, humidity, wind }) {
+  const vaporPressure = saturationVaporPressure(tempAvg) * humidity / 100;
+  const humidityAtMax = relativeHumidityAt(tempMax, vaporPressure);
+  return {
+    heatIndex: round(heatIndex(tempMax, humidityAtMax)),
+    humidex: round(humidex(tempMax, humidityAtMax)),
+    windChill: round(windChill(tempMin, wind)),
+    humidityAtMax: round(humidityAtMax)
+  };
+}
+
+// Los tres índices a una hora: temperatura, humedad y viento de esa misma hora
+export function calculateHourlyApparentTemperatures(tempC, humidity, windMs) {
+  return {
+    heatIndex: round(heatIndex(tempC, humidity)),
+    humidex: round(humidex(tempC, humidity)),
+    windChill: round(windChill(tempC, windMs)),
+    unit: '°C'
+  };
+}
+
+// Categoría alcanzada por un valor (null si no llega a la primera)
+export function getComfortCategory(index, value) {
+  const categories = COMFORT_CATEGORIES[index];
+  const reached = index === 'windChill'
+    ? categories.filter(c => value <= c.threshold)
+    : categories.filter(c => value >= c.threshold);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Índices de cada día histórico de la ventana y probabilidad de alcanzar cada categoría
+ * days: [{ year, date, offset, weight, tempMax, tempMin, tempAvg, humidity, wind }]
+ * predicted: valores predichos del día con la misma forma
+ */
+export function analyzeApparentTemperature(days, predicted) {
+  const indexed = days.map(day => ({ ...day, ...calculateApparentTemperatures(day) }));
+  const totalWeight = indexed.reduce((sum, d) => sum + d.weight, 0);
+  const countYears = list => new Set(list.map(d => d.year)).size;
+  const totalYears = countYears(indexed);
+
+  const exceedance = Object.fromEntries(Object.entries(COMFORT_CATEGORIES).map(([index, categories]) => [
+    index,
+    categories.map(category => {
+      const reached = indexed.filter(d => index === 'windChill' ? d[index] <= category.threshold : d[index] >= category.threshold);
+      const weight = reached.reduce((sum, d) => sum + d.weight, 0);
+      const probability = totalWeight > 0 ? weight / totalWeight * 100 : 0;
+      return {
+        category: category.name,
+        label: category.label,
+        threshold: category.threshold,
+        probability: round(probability, 2),
+        yearsReached: countYears(reached),
+        confidenceInterval: {
+          ...jeffreysInterval(probability, totalYears),
+          confidenceLevel: CONFIDENCE_LEVEL * 100,
+          method: 'jeffreys',
+          n: totalYears
+        }
+      };
+    })
+  ]));
+
+  const predictedValues = calculateApparentTemperatures(predicted);
+  const describe = index => {
+    const category = getComfortCategory(index, predictedValues[index]);
+    return { value: predictedValues[index], category: category ? category.name : 'none', label: category ? category.label : 'Sin riesgo' };
+  };
+
+  return {
+    method: 'heat-index-nws / humidex / wind-chill-2001',
+    unit: '°C',
+    // Índices del día objetivo en cada año del período de referencia
+    years: indexed
+      .filter(d => d.offset === 0)
+      .map(d => ({ year: d.year, heatIndex: d.heatIndex, humidex: d.humidex, windChill: d.windChill })),
+    predicted: {
+      heatIndex: describe('heatIndex'),
+      humidex: describe('humidex'),
+      windChill: describe('windChill'),
+      humidityAtMax: predictedValues.humidityAtMax
+    },
+    exceedance,
+    sampleSize: indexed.length,
+    totalYears,
+    note: 'Índices de calor con la máxima y la humedad recalculada a esa temperatura (punto de rocío constante); ' +
+      'wind chill con la mínima y el viento medio llevado de 2 a 10 m'
+  };
+}
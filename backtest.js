@@ -0,0 +1,277 @@
+/**
+ * Backtest "leave-one-year-out" del predictor híbrido
+ * Para cada año del período de referencia se vuelve a correr el predictor sin ese año y se
+ * compara su predicción con lo observado el día objetivo. La predicción lleva el mismo ajuste
+ * estacional que /weather, calculado sin el año evaluado y con ese año como año de referencia
+ * (solo los años anteriores). Reporta MAE, RMSE, sesgo y skill frente a la mediana
+ * climatológica; opcionalmente busca mejores pesos para la mezcla
+ *
+ * Uso: npm run backtest -- --lat=-17.3935 --lon=-66.157 --date=1004 [--search] [--baseline=...] [--window=7] [--kernel=uniform]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  extractWindowSamples,
+  calculateStatistics,
+  calculateTrend,
+  calculateHybridComponents,
+  blendHybridPrediction,
+  getSeasonalAdjustments,
+  applySeasonalAdjustment,
+  HYBRID_WEIGHTS,
+  DEFAULT_SAMPLING_WINDOW,
+  MAX_SAMPLING_WINDOW
+} from './analysis.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Variables evaluadas y su parámetro de POWER
+export const BACKTEST_VARIABLES = {
+  tempMax: { parameter: 'T2M_MAX', unit: '°C' },
+  tempMin: { parameter: 'T2M_MIN', unit: '°C' },
+  windMax: { parameter: 'WS2M_MAX', unit: 'm/s' },
+  humidity: { parameter: 'RH2M', unit: '%' },
+  precipitation: { parameter: 'PRECTOTCORR', unit: 'mm' }
+};
+
+// Parámetros de los que sale el ajuste estacional (ver getSeasonalAdjustments)
+const SEASONAL_PARAMETERS = ['T2M', 'PRECTOTCORR', 'RH2M'];
+
+// Paso de la grilla de pesos en la búsqueda (0.05 → 231 combinaciones que suman 1)
+const WEIGHT_SEARCH_STEP = 0.05;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// MAE, RMSE y sesgo (predicho - observado) de una lista de pares
+function calculateErrorMetrics(pairs) {
+  const errors = pairs.map(p => p.predicted - p.observed);
+  const mae = errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length;
+  const rmse = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+  const bias = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+  return { mae, rmse, bias };
+}
+
+// Skill respecto a la referencia: 1 = perfecto, 0 = igual que la mediana, < 0 = peor
+const calculateSkill = (mae, referenceMae) => referenceMae > 0 ? 1 - mae / referenceMae : 0;
+
+const describeMetrics = ({ mae, rmse, bias }) => ({ mae: round(mae), rmse: round(rmse), bias: round(bias) });
+
+/**
+ * Combinaciones de pesos (promedio ponderado, tendencia, percentil reciente) que suman 1
+ */
+function getWeightGrid() {
+  const steps = Math.round(1 / WEIGHT_SEARCH_STEP);
+  const grid = [];
+  for (let a = 0; a <= steps; a++) {
+    for (let b = 0; b <= steps - a; b++) {
+      grid.push({
+        weightedAverage: round(a * WEIGHT_SEARCH_STEP),
+        trend: round(b * WEIGHT_SEARCH_STEP),
+        recentPercentile: round((steps - a - b) * WEIGHT_SEARCH_STEP)
+      });
+    }
+  }
+  return grid;
+}
+
+/**
+ * Ajuste estacional que /weather habría aplicado en un año, sin los datos de ese año
+ */
+function getHeldOutSeasonalAdjustment(params, month, year, baseline) {
+  const prefix = String(year);
+  const training = Object.fromEntries(SEASONAL_PARAMETERS.map(parameter => [
+    parameter,
+    Object.fromEntries(Object.entries(params[parameter] || {}).filter(([date]) => !date.startsWith(prefix)))
+  ]));
+  return getSeasonalAdjustments(training, month, null, { baseline, referenceYear: year });
+}
+
+/**
+ * Backtest de una variable: devuelve los pares por año y las métricas
+ * getSeasonal(año): ajuste estacional de ese año sin sus datos (getHeldOutSeasonalAdjustment)
+ */
+function backtestVariable(name, paramData, month, day, { window, kernel, baseline, searchWeights, getSeasonal }) {
+  const samples = extractWindowSamples(paramData, month, day, {
+    window,
+    kernel,
+    startYear: baseline ? baseline.startYear : null,
+    endYear: baseline ? baseline.endYear : null
+  });
+  // El valor observado es el del día objetivo de cada año
+  const observedByYear = new Map(samples.filter(s => s.offset === 0).map(s => [s.year, s.value]));
+
+  const runs = [];
+  for (const [year, observed] of observedByYear) {
+    const training = samples.filter(s => s.year !== year);
+    const stats = calculateStatistics(training.map(s => s.value), false, training.map(s => s.weight));
+    const trend = calculateTrend(training, year);
+    const components = calculateHybridComponents(training, trend, stats, year, month);
+    const seasonal = getSeasonal(year);
+
+    runs.push({
+      year,
+      observed,
+      components,
+      seasonal,
+      predicted: applySeasonalAdjustment(name, blendHybridPrediction(components), seasonal),
+      median: stats.median
+    });
+  }
+
+  if (runs.length === 0) return null;
+
+  const model = calculateErrorMetrics(runs);
+  const climatology = calculateErrorMetrics(runs.map(r => ({ observed: r.observed, predicted: r.median })));
+
+  const result = {
+    model: describeMetrics(model),
+    climatology: describeMetrics(climatology),
+    skill: round(calculateSkill(model.mae, climatology.mae), 3),
+    years: runs.map(r => ({
+      year: r.year,
+      observed: round(r.observed),
+      predicted: round(r.predicted),
+      median: r.median
+    }))
+  };
+
+  if (searchWeights) {
+    let best = null;
+    for (const weights of getWeightGrid()) {
+      const metrics = calculateErrorMetrics(runs.map(r => ({
+        observed: r.observed,
+        predicted: applySeasonalAdjustment(name, blendHybridPrediction(r.components, weights), r.seasonal)
+      })));
+      if (!best || metrics.mae < best.metrics.mae - 1e-12) {
+        best = { weights, metrics };
+      }
+    }
+    result.bestWeights = {
+      weights: best.weights,
+      ...describeMetrics(best.metrics),
+      skill: round(calculateSkill(best.metrics.mae, climatology.mae), 3),
+      improvement: round(model.mae - best.metrics.mae)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Corre el backtest sobre los datos diarios de POWER de una celda
+ * targetDate: MMDD; baseline: período de referencia (ver baseline-periods.js)
+ */
+export function runBacktest(data, targetDate, {
+  baseline = null,
+  window = DEFAULT_SAMPLING_WINDOW,
+  kernel = 'uniform',
+  searchWeights = false
+} = {}) {
+  const params = data.properties.parameter;
+  const month = parseInt(targetDate.substring(0, 2));
+  const day = parseInt(targetDate.substring(2, 4));
+
+  // El ajuste de cada año se calcula una vez y lo comparten todas las variables
+  const seasonalByYear = new Map();
+  const getSeasonal = year => {
+    if (!seasonalByYear.has(year)) seasonalByYear.set(year, getHeldOutSeasonalAdjustment(params, month, year, baseline));
+    return seasonalByYear.get(year);
+  };
+
+  const variables = {};
+  for (const [name, variable] of Object.entries(BACKTEST_VARIABLES)) {
+    const result = backtestVariable(name, params[variable.parameter], month, day, { window, kernel, baseline, searchWeights, getSeasonal });
+    if (result) {
+      variables[name] = { unit: variable.unit, ...result };
+    }
+  }
+
+  const years = Object.values(variables)[0]?.years.map(y => y.year) || [];
+  const seasonalAdjustments = [...seasonalByYear.entries()].sort((a, b) => a[0] - b[0]);
+
+  return {
+    method: 'leave-one-year-out',
+    targetDate,
+    baseline: baseline ? { name: baseline.name, startYear: baseline.startYear, endYear: baseline.endYear } : null,
+    window,
+    kernel,
+    years: { count: years.length, start: years[0] ?? null, end: years[years.length - 1] ?? null },
+    weights: HYBRID_WEIGHTS,
+    // Ajuste estacional aplicado a cada año (neutro si antes de ese año no hay años suficientes)
+    seasonalAdjustment: {
+      yearsAdjusted: seasonalAdjustments.filter(([, adj]) => adj.recentYears).length,
+      byYear: Object.fromEntries(seasonalAdjustments.map(([year, adj]) => [year, {
+        temp: adj.temp,
+        precip: adj.precip,
+        humidity: adj.humidity,
+        ...(adj.recentYears && { recentYears: adj.recentYears })
+      }]))
+    },
+    variables,
+    note: 'Cada año se predice con el resto de los años, con el ajuste estacional de /weather calculado solo con los años ' +
+      'anteriores, y se compara con el valor del día objetivo. Sin estación calibrada: no incluye calibración ni mapeo de cuantiles. ' +
+      'skill = 1 - MAE / MAE de la mediana climatológica' +
+      (searchWeights ? '. bestWeights se elige sobre los mismos años evaluados: su skill es optimista' : '')
+  };
+}
+
+/**
+ * Ejecución por línea de comandos
+ */
+async function main() {
+  const { fetchPowerDaily } = await import('./data-sources.js');
+  const { getPowerGridCell } = await import('./power-grid.js');
+  const { resolveBaselinePeriod, getDownloadPeriod } = await import('./baseline-periods.js');
+
+  const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? 'true'];
+  }));
+
+  if (!args.lat || !args.lon || !args.date || args.date.length !== 4) {
+    console.error('Uso: npm run backtest -- --lat=-17.3935 --lon=-66.157 --date=1004 [--search] [--baseline=recent-30] [--window=7] [--kernel=uniform]');
+    process.exit(1);
+  }
+
+  const baseline = resolveBaselinePeriod({ baseline: args.baseline, startYear: args.startYear, endYear: args.endYear });
+  if (baseline.error) {
+    console.error(`❌ ${baseline.error}`);
+    process.exit(1);
+  }
+
+  const cell = getPowerGridCell(parseFloat(args.lat), parseFloat(args.lon));
+  const period = getDownloadPeriod(baseline, MAX_SAMPLING_WINDOW);
+  console.log(`📡 Descargando POWER para la celda ${cell.id} (${period.startDate}-${period.endDate})...`);
+  const data = await fetchPowerDaily({
+    lat: cell.lat,
+    lon: cell.lon,
+    parameters: ['T2M', 'T2M_MAX', 'T2M_MIN', 'PRECTOTCORR', 'RH2M', 'WS2M', 'WS2M_MAX'],
+    ...period
+  });
+
+  const report = runBacktest(data, args.date, {
+    baseline,
+    window: args.window !== undefined ? parseInt(args.window) : DEFAULT_SAMPLING_WINDOW,
+    kernel: args.kernel || 'uniform',
+    searchWeights: args.search === 'true'
+  });
+
+  console.log(`\n📊 Backtest ${report.method} · ${report.targetDate} · ${report.years.start}-${report.years.end} (${report.years.count} años)`);
+  console.log('Variable        MAE    RMSE   Sesgo  MAE mediana  Skill');
+  for (const [name, v] of Object.entries(report.variables)) {
+    console.log(`${name.padEnd(14)} ${String(v.model.mae).padStart(5)}  ${String(v.model.rmse).padStart(5)}  ${String(v.model.bias).padStart(5)}  ${String(v.climatology.mae).padStart(11)}  ${String(v.skill).padStart(5)}`);
+    if (v.bestWeights) {
+      const w = v.bestWeights.weights;
+      console.log(`   ↳ mejores pesos ${w.weightedAverage}/${w.trend}/${w.recentPercentile}: MAE ${v.bestWeights.mae}, skill ${v.bestWeights.skill}`);
+    }
+  }
+  console.log(`\n${report.note}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Períodos de referencia (baseline) para el análisis histórico
+ * Resuelve los parámetros baseline / startYear / endYear de /weather y los valida
+ * contra la cobertura real de NASA POWER
+ */
+
+// Cobertura diaria de POWER (MERRA-2): desde 1981-01-01 hasta casi tiempo real
+export const POWER_DAILY_FIRST_YEAR = 1981;
+// Días que tarda POWER en publicar datos recientes
+const POWER_LATENCY_DAYS = 7;
+// calculateTrend necesita al menos 10 años de datos
+const MIN_BASELINE_YEARS = 10;
+
+/**
+ * Períodos con nombre. recent-30 es el default: últimos 30 años completos
+ */
+export const NAMED_BASELINES = {
+  'recent-30': {
+    description: 'Últimos 30 años completos',
+    years: currentYear => ({ startYear: currentYear - 30, endYear: currentYear - 1 })
+  },
+  'wmo-1991-2020': {
+    description: 'Normales climatológicas estándar OMM 1991-2020',
+    years: () => ({ startYear: 1991, endYear: 2020 })
+  },
+  'wmo-1981-2010': {
+    description: 'Normales climatológicas OMM 1981-2010',
+    years: () => ({ startYear: 1981, endYear: 2010 })
+  },
+  'full': {
+    description: 'Todo el registro diario de POWER',
+    years: currentYear => ({ startYear: POWER_DAILY_FIRST_YEAR, endYear: currentYear - 1 })
+  }
+};
+
+const formatDate = date => date.toISOString().substring(0, 10).replace(/-/g, '');
+
+/**
+ * Resuelve el período pedido. Devuelve { error } si es inválido
+ * startYear/endYear explícitos tienen prioridad sobre el nombre
+ */
+export function resolveBaselinePeriod({ baseline, startYear, endYear } = {}, now = new Date()) {
+  const currentYear = now.getFullYear();
+  let name = 'custom';
+  let description = 'Período personalizado';
+  let start;
+  let end;
+
+  if (startYear !== undefined || endYear !== undefined) {
+    const defaults = NAMED_BASELINES['recent-30'].years(currentYear);
+    start = startYear !== undefined ? Number(startYear) : defaults.startYear;
+    end = endYear !== undefined ? Number(endYear) : defaults.endYear;
+
+    if (!Number.isInteger(start) || !Number.isInteger(end)) {
+      return { error: 'startYear y endYear deben ser años enteros (ej: startYear=1991&endYear=2020)' };
+    }
+  } else {
+    name = baseline || 'recent-30';
+    const named = NAMED_BASELINES[name];
+    if (!named) {
+      return { error: `baseline desconocido: ${name}. Opciones: ${Object.keys(NAMED_BASELINES).join(', ')}` };
+    }
+    description = named.description;
+    ({ startYear: start, endYear: end } = named.years(currentYear));
+  }
+
+  if (start < POWER_DAILY_FIRST_YEAR || end > currentYear) {
+    return { error: `NASA POWER cubre datos diarios desde ${POWER_DAILY_FIRST_YEAR} hasta ${currentYear}` };
+  }
+  if (start > end) {
+    return { error: 'startYear debe ser menor o igual que endYear' };
+  }
+  if (end - start + 1 < MIN_BASELINE_YEARS) {
+    return { error: `El período debe tener al menos ${MIN_BASELINE_YEARS} años para calcular tendencias` };
+  }
+
+  // No pedir días futuros ni aún no publicados del año en curso
+  let endDate = `${end}1231`;
+  if (end === currentYear) {
+    const lastAvailable = new Date(now.getTime() - POWER_LATENCY_DAYS * 24 * 60 * 60 * 1000);
+    endDate = formatDate(lastAvailable);
+  }
+
+  return {
+    name,
+    description,
+    startYear: start,
+    endYear: end,
+    startDate: `${start}0101`,
+    endDate
+  };
+}
+
+const parseDate = dateStr => new Date(Date.UTC(
+  parseInt(dateStr.substring(0, 4)),
+  parseInt(dateStr.substring(4, 6)) - 1,
+  parseInt(dateStr.substring(6, 8))
+));
+
+/**
+ * Período a descargar para un baseline: se amplía marginDays a cada lado para que la ventana
+ * de días de los años extremos (ej: 2 de enero del primer año) tenga sus días completos
+ * Nunca antes del inicio de POWER ni después del último día publicado
+ */
+export function getDownloadPeriod(period, marginDays, now = new Date()) {
+  const marginMs = marginDays * 24 * 60 * 60 * 1000;
+  const firstAvailable = Date.UTC(POWER_DAILY_FIRST_YEAR, 0, 1);
+  const lastAvailable = now.getTime() - POWER_LATENCY_DAYS * 24 * 60 * 60 * 1000;
+
+  const start = Math.max(firstAvailable, parseDate(period.startDate).getTime() - marginMs);
+  const end = Math.min(lastAvailable, parseDate(period.endDate).getTime() + marginMs);
+
+  return {
+    startDate: formatDate(new Date(start)),
+    endDate: formatDate(new Date(Math.max(start, end)))
+  };
+}
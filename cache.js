@@ -0,0 +1,145 @@
+/**
+ * Cache persistente en disco para respuestas diarias y horarias de NASA POWER
+ * Las entradas se indexan por celda de grilla POWER, conjunto de parámetros y período,
+ * sobreviven reinicios del servidor y expiran según qué tan recientes son los datos
+ * También coordina descargas concurrentes de la misma clave (single-flight)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getPowerGridCell } from './power-grid.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Incrementar si cambia el formato de las entradas: invalida todo el cache anterior
+const CACHE_VERSION = 1;
+const CACHE_DIR = process.env.POWER_CACHE_DIR || path.join(__dirname, 'cache', 'power');
+// En record/replay cada consulta debe llegar a la capa de grabaciones, así que el cache se omite
+const CACHE_ENABLED = process.env.POWER_CACHE !== 'off' &&
+  (process.env.UPSTREAM_MODE || 'live') === 'live';
+
+// POWER publica datos casi en tiempo real que luego reemplaza por la versión definitiva,
+// así que los períodos que tocan los últimos días caducan mucho antes que los históricos
+const RECENT_DATA_DAYS = 60;
+const RECENT_TTL_MS = parseFloat(process.env.POWER_CACHE_RECENT_TTL_HOURS || '12') * 60 * 60 * 1000;
+const HISTORICAL_TTL_MS = parseFloat(process.env.POWER_CACHE_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+// Cargas en curso por clave, compartidas entre peticiones concurrentes
+const inFlight = new Map();
+
+/**
+ * Construye la clave de cache para una consulta (temporal: 'daily' u 'hourly')
+ */
+export function getPowerCacheKey(lat, lon, parameters, startDate, endDate, temporal = 'daily') {
+  const cell = getPowerGridCell(lat, lon);
+  const params = parameters.slice().sort().join(',');
+  return `${temporal}|${cell.id}|${params}|${startDate}-${endDate}`;
+}
+
+/**
+ * Calcula el tiempo de vida de una entrada según la fecha final del período (YYYYMMDD)
+ */
+function getCacheTtlMs(endDate) {
+  const end = Date.UTC(
+    parseInt(endDate.substring(0, 4)),
+    parseInt(endDate.substring(4, 6)) - 1,
+    parseInt(endDate.substring(6, 8))
+  );
+  const recentLimit = Date.now() - RECENT_DATA_DAYS * 24 * 60 * 60 * 1000;
+
+  return end >= recentLimit ? RECENT_TTL_MS : HISTORICAL_TTL_MS;
+}
+
+function getCacheFilePath(key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * Lee una respuesta del cache. Devuelve null si no existe, expiró o es de otra versión
+ */
+export async function getCachedPowerData(key) {
+  if (!CACHE_ENABLED) return null;
+
+  const filePath = getCacheFilePath(key);
+  let entry;
+
+  try {
+    entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Entrada corrupta: eliminarla para que se vuelva a descargar
+      console.warn(`⚠️  Entrada de cache inválida (${error.message}), eliminando`);
+      await fs.rm(filePath, { force: true });
+    }
+    return null;
+  }
+
+  if (entry.version !== CACHE_VERSION || entry.key !== key || entry.expiresAt <= Date.now()) {
+    await fs.rm(filePath, { force: true });
+    return null;
+  }
+
+  return entry.data;
+}
+
+/**
+ * Guarda una respuesta en el cache. Los errores de escritura no interrumpen la petición
+ */
+export async function setCachedPowerData(key, endDate, data) {
+  if (!CACHE_ENABLED) return;
+
+  const now = Date.now();
+  const entry = {
+    version: CACHE_VERSION,
+    key,
+    createdAt: now,
+    expiresAt: now + getCacheTtlMs(endDate),
+    data
+  };
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    // Escritura atómica: un archivo a medio escribir nunca queda con el nombre final
+    const filePath = getCacheFilePath(key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry));
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    console.warn(`⚠️  No se pudo escribir en cache: ${error.message}`);
+  }
+}
+
+/**
+ * Invalida una entrada concreta del cache
+ */
+export async function invalidatePowerCache(key) {
+  await fs.rm(getCacheFilePath(key), { force: true });
+}
+
+/**
+ * Elimina todas las entradas del cache
+ */
+export async function clearPowerCache() {
+  await fs.rm(CACHE_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Single-flight: si ya hay una carga en curso para la clave, se reutiliza su promesa
+ * en lugar de iniciar otra. Todas las peticiones reciben el mismo resultado (o el mismo error)
+ */
+export function singleFlight(key, loader) {
+  if (inFlight.has(key)) {
+    console.log(`🔗 Uniéndose a descarga en curso: ${key}`);
+    return inFlight.get(key);
+  }
+
+  const pending = Promise.resolve()
+    .then(loader)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
+}
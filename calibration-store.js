@@ -0,0 +1,307 @@
+/**
+ * Almacén de calibración con observaciones de estaciones en tierra
+ * Las observaciones diarias se guardan por ubicación en un archivo JSON y se comparan con
+ * POWER en las mismas fechas: la diferencia media (sesgo) se mezcla con la predicción del
+ * modelo según cuántos días coinciden, en lugar de reemplazarla
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORE_VERSION = 1;
+const STORE_FILE = process.env.CALIBRATION_FILE || path.join(__dirname, 'data', 'calibration.json');
+
+// Radio por defecto en el que una ubicación calibrada se aplica a los puntos consultados
+export const DEFAULT_CALIBRATION_RADIUS_KM = 25;
+// Días coincidentes con los que el sesgo observado pesa la mitad (peso = n / (n + 30))
+const CALIBRATION_PRIOR_DAYS = 30;
+// Días coincidentes mínimos para corregir una variable
+const MIN_MATCHED_DAYS = 5;
+
+// Variables observables y su parámetro equivalente en POWER
+// bias: se corrige con el sesgo medio cuando no hay pares para el mapeo de cuantiles
+// (viento y lluvia solo se corrigen por mapeo de cuantiles, ver quantile-mapping.js)
+export const CALIBRATION_VARIABLES = {
+  tempMax: { parameter: 'T2M_MAX', unit: '°C', min: -90, max: 60, bias: true },
+  tempMin: { parameter: 'T2M_MIN', unit: '°C', min: -90, max: 60, bias: true },
+  humidity: { parameter: 'RH2M', unit: '%', min: 0, max: 100, bias: true },
+  windMax: { parameter: 'WS2M_MAX', unit: 'm/s', min: 0, max: 120, bias: false },
+  precipitation: { parameter: 'PRECTOTCORR', unit: 'mm', min: 0, max: 2000, bias: false }
+};
+
+// Contenido del archivo en memoria (se carga una sola vez)
+let store = null;
+// Las escrituras se encadenan para que dos subidas simultáneas no se pisen
+let writeQueue = Promise.resolve();
+
+async function loadStore() {
+  if (store) return store;
+
+  try {
+    const content = JSON.parse(await fs.readFile(STORE_FILE, 'utf8'));
+    store = content.version === STORE_VERSION ? content : { version: STORE_VERSION, locations: {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Archivo de calibración inválido (${error.message}), se usa un almacén vacío`);
+    }
+    store = { version: STORE_VERSION, locations: {} };
+  }
+
+  return store;
+}
+
+async function saveStore() {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  // Escritura atómica, igual que el cache de POWER
+  const tmpPath = `${STORE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(store, null, 2));
+  await fs.rename(tmpPath, STORE_FILE);
+}
+
+// Distancia en km entre dos puntos (haversine)
+export function getDistanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Acepta YYYY-MM-DD o YYYYMMDD y devuelve YYYYMMDD (o null si no es una fecha real)
+function normalizeDate(value) {
+  const compact = String(value).trim().replace(/-/g, '');
+  if (!/^\d{8}$/.test(compact)) return null;
+
+  const year = parseInt(compact.substring(0, 4));
+  const month = parseInt(compact.substring(4, 6));
+  const day = parseInt(compact.substring(6, 8));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return compact;
+}
+
+/**
+ * Valida una observación. Devuelve { observation } o { error }
+ */
+function normalizeObservation(raw, index) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: `Observación ${index + 1}: debe ser un objeto con date y valores` };
+  }
+  const date = normalizeDate(raw.date ?? '');
+  if (!date) {
+    return { error: `Observación ${index + 1}: date debe tener formato YYYY-MM-DD` };
+  }
+
+  const observation = { date };
+  for (const [name, variable] of Object.entries(CALIBRATION_VARIABLES)) {
+    if (raw[name] === undefined || raw[name] === null || raw[name] === '') continue;
+
+    const value = Number(raw[name]);
+    if (!Number.isFinite(value) || value < variable.min || value > variable.max) {
+      return { error: `Observación ${index + 1}: ${name} fuera de rango (${variable.min} a ${variable.max} ${variable.unit})` };
+    }
+    observation[name] = value;
+  }
+
+  if (Object.keys(observation).length === 1) {
+    return { error: `Observación ${index + 1}: debe incluir al menos una de ${Object.keys(CALIBRATION_VARIABLES).join(', ')}` };
+  }
+  if (observation.tempMax !== undefined && observation.tempMin !== undefined && observation.tempMin > observation.tempMax) {
+    return { error: `Observación ${index + 1}: tempMin no puede ser mayor que tempMax` };
+  }
+
+  return { observation };
+}
+
+/**
+ * Convierte un CSV (separado por comas o punto y coma) en observaciones
+ * La primera fila es la cabecera: date y cualquiera de tempMax, tempMin, humidity, windMax, precipitation
+ */
+export function parseObservationsCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) {
+    return { error: 'El CSV debe tener una cabecera y al menos una fila' };
+  }
+
+  const separator = lines[0].includes(';') ? ';' : ',';
+  const header = lines[0].split(separator).map(column => column.trim());
+  if (!header.includes('date')) {
+    return { error: 'La cabecera del CSV debe incluir la columna date' };
+  }
+
+  const observations = lines.slice(1).map(line => {
+    const cells = line.split(separator).map(cell => cell.trim());
+    return Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+  });
+
+  return { observations };
+}
+
+/**
+ * Agrega observaciones a una ubicación (la crea si no existe) y guarda el archivo
+ * Una fecha repetida reemplaza a la observación anterior
+ * Devuelve { location } con el resumen o { error }
+ */
+export async function addObservations(upload) {
+  if (!upload || typeof upload !== 'object' || Array.isArray(upload)) {
+    return { error: 'La subida debe ser un objeto con lat, lon y observations' };
+  }
+  const { id, name, lat, lon, radiusKm, source, observations } = upload;
+  const latNum = Number(lat);
+  const lonNum = Number(lon);
+  if (!Number.isFinite(latNum) || !Number.isFinite(lonNum) || Math.abs(latNum) > 90 || Math.abs(lonNum) > 180) {
+    return { error: 'lat y lon son requeridos y deben ser coordenadas válidas' };
+  }
+  if (!Array.isArray(observations) || observations.length === 0) {
+    return { error: 'observations debe ser una lista con al menos una observación' };
+  }
+  const radius = radiusKm !== undefined ? Number(radiusKm) : DEFAULT_CALIBRATION_RADIUS_KM;
+  if (!Number.isFinite(radius) || radius <= 0 || radius > 100) {
+    return { error: 'radiusKm debe estar entre 0 y 100 km' };
+  }
+
+  const normalized = [];
+  for (const [index, raw] of observations.entries()) {
+    const { observation, error } = normalizeObservation(raw, index);
+    if (error) return { error };
+    normalized.push(observation);
+  }
+
+  const locationId = id || `${latNum.toFixed(3)}_${lonNum.toFixed(3)}`;
+
+  const pending = writeQueue.then(async () => {
+    await loadStore();
+    const now = new Date().toISOString();
+    const existing = store.locations[locationId];
+
+    const byDate = Object.fromEntries((existing?.observations || []).map(o => [o.date, o]));
+    for (const observation of normalized) {
+      byDate[observation.date] = observation;
+    }
+
+    store.locations[locationId] = {
+      id: locationId,
+      name: name || existing?.name || locationId,
+      lat: latNum,
+      lon: lonNum,
+      radiusKm: radius,
+      source: source || existing?.source || 'Estación local',
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      observations: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date))
+    };
+
+    await saveStore();
+    return { location: describeCalibrationLocation(store.locations[locationId]), added: normalized.length };
+  });
+
+  // Un error de escritura no debe bloquear las subidas siguientes
+  writeQueue = pending.catch(() => {});
+  return pending;
+}
+
+/**
+ * Resumen de una ubicación sin la lista de observaciones
+ */
+export function describeCalibrationLocation(location) {
+  const dates = location.observations.map(o => o.date);
+  return {
+    id: location.id,
+    name: location.name,
+    lat: location.lat,
+    lon: location.lon,
+    radiusKm: location.radiusKm,
+    source: location.source,
+    createdAt: location.createdAt,
+    updatedAt: location.updatedAt,
+    observations: dates.length,
+    period: dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null
+  };
+}
+
+/**
+ * Lista las ubicaciones calibradas
+ */
+export async function listCalibrationLocations() {
+  await loadStore();
+  return Object.values(store.locations).map(describeCalibrationLocation);
+}
+
+/**
+ * Ubicación calibrada más cercana al punto dentro de su radio, o null
+ */
+export async function findCalibrationLocation(lat, lon) {
+  await loadStore();
+  let nearest = null;
+
+  for (const location of Object.values(store.locations)) {
+    const distanceKm = getDistanceKm(lat, lon, location.lat, location.lon);
+    if (distanceKm <= location.radiusKm && (!nearest || distanceKm < nearest.distanceKm)) {
+      nearest = { ...location, distanceKm: parseFloat(distanceKm.toFixed(2)) };
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Sesgo de la estación frente a POWER en el mes objetivo y corrección a aplicar
+ * Para cada variable: sesgo = media(observado - POWER) en las fechas del mes que existen en
+ * ambas series; la corrección es sesgo × n / (n + CALIBRATION_PRIOR_DAYS)
+ * exclude: variables ya corregidas por mapeo de cuantiles
+ */
+export function calculateCalibration(location, params, month, exclude = []) {
+  const provenance = {
+    location: {
+      id: location.id,
+      name: location.name,
+      lat: location.lat,
+      lon: location.lon,
+      distanceKm: location.distanceKm
+    },
+    source: location.source,
+    updatedAt: location.updatedAt,
+    observations: location.observations.length,
+    month
+  };
+
+  const observations = location.observations.filter(o => parseInt(o.date.substring(4, 6)) === month);
+  const variables = {};
+
+  for (const [name, variable] of Object.entries(CALIBRATION_VARIABLES)) {
+    if (!variable.bias || exclude.includes(name)) continue;
+
+    const paramData = params[variable.parameter] || {};
+    const differences = observations
+      .filter(o => o[name] !== undefined && typeof paramData[o.date] === 'number' && paramData[o.date] > -900)
+      .map(o => o[name] - paramData[o.date]);
+
+    if (differences.length < MIN_MATCHED_DAYS) continue;
+
+    const bias = differences.reduce((sum, d) => sum + d, 0) / differences.length;
+    const weight = differences.length / (differences.length + CALIBRATION_PRIOR_DAYS);
+    variables[name] = {
+      matchedDays: differences.length,
+      bias: parseFloat(bias.toFixed(2)),
+      weight: parseFloat(weight.toFixed(2)),
+      correction: parseFloat((bias * weight).toFixed(2)),
+      unit: variable.unit
+    };
+  }
+
+  const applied = Object.keys(variables).length > 0;
+  return {
+    applied,
+    ...provenance,
+    variables,
+    note: applied
+      ? 'Sesgo medio observado - POWER en las fechas coincidentes del mes, mezclado con el modelo según la cantidad de días'
+      : `Menos de ${MIN_MATCHED_DAYS} observaciones del mes coinciden con fechas de POWER: sin corrección`
+  };
+}
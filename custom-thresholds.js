@@ -0,0 +1,80 @@
+/**
+ * Umbrales definidos por el usuario y curvas de excedencia
+ * Resuelve los parámetros thresholds / curves de /weather y los valida; las probabilidades
+ * se calculan en analysis.js con las mismas muestras de la ventana que el resto del análisis
+ *
+ *   thresholds=tempMax>32,precipitation>20,tempMin<0
+ *   curves=tempMax,precipitation   (o curves=all)
+ */
+
+// Variables que aceptan umbrales propios y su rango físico razonable
+export const CUSTOM_THRESHOLD_VARIABLES = {
+  tempMax: { parameter: 'T2M_MAX', unit: '°C', min: -90, max: 60 },
+  tempMin: { parameter: 'T2M_MIN', unit: '°C', min: -90, max: 60 },
+  windMax: { parameter: 'WS2M_MAX', unit: 'm/s', min: 0, max: 120 },
+  humidity: { parameter: 'RH2M', unit: '%', min: 0, max: 100 },
+  precipitation: { parameter: 'PRECTOTCORR', unit: 'mm', min: 0, max: 2000 }
+};
+
+// Umbrales por consulta (cada uno se calcula sobre todas las muestras)
+const MAX_CUSTOM_THRESHOLDS = 10;
+
+const THRESHOLD_PATTERN = /^([a-zA-Z]+)\s*([<>])\s*(-?\d+(?:\.\d+)?)$/;
+
+/**
+ * Resuelve thresholds y curves. Devuelve { thresholds, curves } o { error }
+ * thresholds: [{ variable, operator, value }]; curves: nombres de variable
+ */
+export function parseCustomThresholds({ thresholds, curves } = {}) {
+  const variableNames = Object.keys(CUSTOM_THRESHOLD_VARIABLES);
+  const parsed = [];
+
+  if (thresholds !== undefined) {
+    const items = String(thresholds).split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length === 0 || items.length > MAX_CUSTOM_THRESHOLDS) {
+      return { error: `thresholds debe tener entre 1 y ${MAX_CUSTOM_THRESHOLDS} umbrales separados por coma (ej: tempMax>32,precipitation>20)` };
+    }
+
+    for (const item of items) {
+      const match = item.match(THRESHOLD_PATTERN);
+      if (!match) {
+        return { error: `Umbral inválido: "${item}". Formato: variable>valor o variable<valor (ej: tempMax>32)` };
+      }
+      const [, variable, operator, text] = match;
+      const definition = CUSTOM_THRESHOLD_VARIABLES[variable];
+      if (!definition) {
+        return { error: `Variable desconocida en thresholds: ${variable}. Opciones: ${variableNames.join(', ')}` };
+      }
+      const value = Number(text);
+      if (value < definition.min || value > definition.max) {
+        return { error: `Umbral de ${variable} fuera de rango (${definition.min} a ${definition.max} ${definition.unit})` };
+      }
+      parsed.push({ variable, operator, value });
+    }
+  }
+
+  let curveVariables = [];
+  if (curves !== undefined) {
+    curveVariables = curves === 'all'
+      ? variableNames
+      : String(curves).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = curveVariables.find(name => !CUSTOM_THRESHOLD_VARIABLES[name]);
+    if (curveVariables.length === 0 || unknown) {
+      return { error: `curves debe ser "all" o una lista de: ${variableNames.join(', ')}` };
+    }
+  }
+
+  // Toda variable con umbral propio también devuelve su curva
+  const withCurves = new Set([...curveVariables, ...parsed.map(t => t.variable)]);
+
+  return {
+    thresholds: parsed,
+    curves: variableNames.filter(name => withCurves.has(name))
+  };
+}
+
+// Clave estable para el cache de análisis
+export function getCustomThresholdsKey({ thresholds, curves }) {
+  if (thresholds.length === 0 && curves.length === 0) return 'sin-umbrales';
+  return `${thresholds.map(t => `${t.variable}${t.operator}${t.value}`).join(',')};${curves.join(',')}`;
+}
@@ -0,0 +1,152 @@
+/**
+ * Adaptadores de fuentes de datos externas (NASA POWER, Open Topo Data, Photon, Nominatim, Gemini)
+ * Las URLs base son configurables por variables de entorno para poder apuntar todo
+ * al servidor local de fixtures (stand-in-server.js) y trabajar sin red
+ * En modo record/replay (ver upstream-recordings.js) cada respuesta se graba o reproduce
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { UPSTREAM_MODE, readRecording, writeRecording } from './upstream-recordings.js';
+
+const USER_AGENT = 'NASA-Weather-App/1.0';
+
+// UPSTREAM_BASE_URL apunta todas las fuentes a un mismo servidor (ej: http://localhost:3001)
+// Cada fuente puede sobrescribirse individualmente con su propia variable
+const upstreamBase = process.env.UPSTREAM_BASE_URL?.replace(/\/$/, '');
+
+export const dataSources = {
+  power: {
+    name: 'NASA POWER',
+    baseUrl: process.env.POWER_API_URL ||
+      (upstreamBase ? `${upstreamBase}/power/api` : 'https://power.larc.nasa.gov/api')
+  },
+  elevation: {
+    name: 'Open Topo Data',
+    baseUrl: process.env.ELEVATION_API_URL ||
+      (upstreamBase ? `${upstreamBase}/opentopodata/v1` : 'https://api.opentopodata.org/v1')
+  },
+  photon: {
+    name: 'Photon',
+    baseUrl: process.env.PHOTON_API_URL ||
+      (upstreamBase ? `${upstreamBase}/photon` : 'https://photon.komoot.io')
+  },
+  nominatim: {
+    name: 'Nominatim',
+    baseUrl: process.env.NOMINATIM_API_URL ||
+      (upstreamBase ? `${upstreamBase}/nominatim` : 'https://nominatim.openstreetmap.org')
+  },
+  gemini: {
+    name: 'Gemini',
+    // undefined = URL por defecto del SDK de Google
+    baseUrl: process.env.GEMINI_API_URL ||
+      (upstreamBase ? `${upstreamBase}/gemini` : undefined)
+  }
+};
+
+function httpError(source, status) {
+  const error = new Error(`${source.name} HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Realiza una petición HTTP a una fuente y devuelve el JSON de respuesta
+ * requestPath es relativo a la URL base, así las grabaciones no dependen de dónde se grabaron
+ * Lanza un error con `status` si la respuesta no es 2xx
+ */
+async function fetchJson(sourceId, requestPath, { signal, headers = {} } = {}) {
+  const source = dataSources[sourceId];
+
+  if (UPSTREAM_MODE === 'replay') {
+    const recording = await readRecording(sourceId, requestPath);
+    if (recording.status < 200 || recording.status >= 300) {
+      throw httpError(source, recording.status);
+    }
+    return recording.body;
+  }
+
+  const response = await fetch(`${source.baseUrl}${requestPath}`, {
+    signal,
+    headers: { 'User-Agent': USER_AGENT, ...headers }
+  });
+
+  if (!response.ok) {
+    if (UPSTREAM_MODE === 'record') {
+      await writeRecording(sourceId, requestPath, response.status, null);
+    }
+    throw httpError(source, response.status);
+  }
+
+  const body = await response.json();
+  if (UPSTREAM_MODE === 'record') {
+    await writeRecording(sourceId, requestPath, response.status, body);
+  }
+  return body;
+}
+
+/**
+ * NASA POWER - datos diarios por punto
+ */
+export function fetchPowerDaily({ lat, lon, parameters, startDate, endDate }, { signal } = {}) {
+  const requestPath = `/temporal/daily/point?parameters=${parameters.join(',')}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON`;
+  return fetchJson('power', requestPath, { signal });
+}
+
+/**
+ * NASA POWER - datos horarios por punto, en hora solar local (LST)
+ * Claves "YYYYMMDDHH"
+ */
+export function fetchPowerHourly({ lat, lon, parameters, startDate, endDate }, { signal } = {}) {
+  const requestPath = `/temporal/hourly/point?parameters=${parameters.join(',')}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON&time-standard=LST`;
+  return fetchJson('power', requestPath, { signal });
+}
+
+/**
+ * Open Topo Data - elevación SRTM 30m
+ */
+export function fetchElevation(lat, lon) {
+  return fetchJson('elevation', `/srtm30m?locations=${lat},${lon}`);
+}
+
+/**
+ * Photon (Komoot) - geocodificación inversa
+ */
+export function fetchPhotonReverse(lat, lon) {
+  return fetchJson('photon', `/reverse?lat=${lat}&lon=${lon}&lang=es`);
+}
+
+/**
+ * Nominatim (OpenStreetMap) - geocodificación inversa
+ */
+export function fetchNominatimReverse(lat, lon, zoom) {
+  return fetchJson('nominatim', `/reverse?lat=${lat}&lon=${lon}&format=json&accept-language=es&zoom=${zoom}&addressdetails=1`);
+}
+
+/**
+ * Gemini - crea el modelo generativo respetando la URL base configurada
+ * En record/replay se envuelve generateContent para grabar/reproducir el texto por prompt
+ */
+export function createGeminiModel(apiKey, modelName) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const requestOptions = dataSources.gemini.baseUrl ? { baseUrl: dataSources.gemini.baseUrl } : undefined;
+  const model = genAI.getGenerativeModel({ model: modelName }, requestOptions);
+
+  if (UPSTREAM_MODE === 'live') return model;
+
+  // Misma forma que el SDK: result.response.text()
+  const textResult = text => ({ response: { text: () => text } });
+
+  return {
+    async generateContent(prompt) {
+      if (UPSTREAM_MODE === 'replay') {
+        const recording = await readRecording('gemini', prompt);
+        return textResult(recording.body.text);
+      }
+
+      const result = await model.generateContent(prompt);
+      const text = (await result.response).text();
+      await writeRecording('gemini', prompt, 200, { text });
+      return textResult(text);
+    }
+  };
+}
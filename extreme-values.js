@@ -0,0 +1,181 @@
+/**
+ * Análisis de valores extremos: niveles de retorno de lluvia y viento
+ * Se ajusta una distribución GEV (o Gumbel con pocos años) por L-momentos a los máximos anuales
+ * de la ventana de días alrededor de la fecha objetivo. El nivel de retorno de T años es el
+ * valor que el máximo de esa época del año supera en promedio una vez cada T años
+ * Las bandas de confianza salen de un bootstrap de los máximos anuales, con el mismo nivel,
+ * remuestreos y semilla que los intervalos de uncertainty.js
+ */
+
+import { createRandom, percentileOfSorted, CONFIDENCE_LEVEL, BOOTSTRAP_RESAMPLES } from './uncertainty.js';
+
+// Períodos de retorno reportados (años)
+export const RETURN_PERIODS = [5, 10, 25, 50];
+// Años mínimos con máximo positivo para ajustar una distribución, y para usar GEV en vez de Gumbel
+const MIN_EXTREME_YEARS = 10;
+const MIN_GEV_YEARS = 20;
+
+const EULER_GAMMA = 0.5772156649;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Función gamma (aproximación de Lanczos)
+function gamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((c, i) => { sum += c / (z + i + 1); });
+  const t = z + coefficients.length - 0.5;
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * sum;
+}
+
+/**
+ * Primeros tres L-momentos muestrales (Hosking, 1990)
+ */
+function getLMoments(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  sorted.forEach((x, i) => {
+    b0 += x;
+    b1 += x * i / (n - 1);
+    b2 += x * i * (i - 1) / ((n - 1) * (n - 2));
+  });
+  b0 /= n;
+  b1 /= n;
+  b2 /= n;
+
+  return { l1: b0, l2: 2 * b1 - b0, l3: 6 * b2 - 6 * b1 + b0 };
+}
+
+/**
+ * Ajuste por L-momentos. GEV en la parametrización de Hosking: k > 0 cola acotada, k < 0 cola pesada
+ */
+function fitDistribution(values, distribution) {
+  const { l1, l2, l3 } = getLMoments(values);
+  if (!(l2 > 0)) return null;
+
+  if (distribution === 'gumbel') {
+    const scale = l2 / Math.LN2;
+    return { location: l1 - EULER_GAMMA * scale, scale, shape: 0 };
+  }
+
+  const t3 = l3 / l2;
+  const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+  const shape = 7.8590 * c + 2.9554 * c * c;
+  if (Math.abs(shape) < 1e-6) return fitDistribution(values, 'gumbel');
+
+  const scale = l2 * shape / ((1 - Math.pow(2, -shape)) * gamma(1 + shape));
+  const location = l1 - scale * (1 - gamma(1 + shape)) / shape;
+  return { location, scale, shape };
+}
+
+// Cuantil de la GEV/Gumbel para una probabilidad de no excedencia
+function getQuantile({ location, scale, shape }, probability) {
+  const y = -Math.log(probability);
+  if (shape === 0) return location - scale * Math.log(y);
+  return location + scale / shape * (1 - Math.pow(y, shape));
+}
+
+/**
+ * Nivel de retorno con años sin evento (máximo 0, ej: estación seca):
+ * P(M <= x) = p0 + (1 - p0) F(x), donde F se ajusta solo a los máximos positivos
+ */
+function getReturnLevel(params, zeroFraction, period) {
+  const nonExceedance = 1 - 1 / period;
+  if (nonExceedance <= zeroFraction) return 0;
+  return Math.max(0, getQuantile(params, (nonExceedance - zeroFraction) / (1 - zeroFraction)));
+}
+
+// Máximo de la ventana de cada año
+export function getAnnualMaxima(samples) {
+  const maxima = new Map();
+  for (const { year, value } of samples) {
+    if (!maxima.has(year) || value > maxima.get(year)) maxima.set(year, value);
+  }
+  return [...maxima.entries()].sort((a, b) => a[0] - b[0]).map(([year, value]) => ({ year, value }));
+}
+
+/**
+ * Ajusta la distribución de extremos a los máximos anuales y calcula los niveles de retorno
+ * con su banda de confianza. Devuelve { fitted: false, note } si no hay años suficientes
+ */
+export function analyzeExtremes(samples, { unit, windowDays }) {
+  const maxima = getAnnualMaxima(samples);
+  const values = maxima.map(m => m.value);
+  const positive = values.filter(v => v > 0);
+  const zeroFraction = values.length > 0 ? (values.length - positive.length) / values.length : 0;
+  const distribution = positive.length >= MIN_GEV_YEARS ? 'gev' : 'gumbel';
+
+  const base = {
+    method: 'annual-maxima',
+    windowDays,
+    years: values.length,
+    yearsWithoutEvent: values.length - positive.length,
+    observedMax: values.length > 0 ? round(Math.max(...values)) : null,
+    unit
+  };
+
+  const params = positive.length >= MIN_EXTREME_YEARS ? fitDistribution(positive, distribution) : null;
+  if (!params) {
+    return {
+      ...base,
+      fitted: false,
+      returnLevels: [],
+      note: `Se necesitan al menos ${MIN_EXTREME_YEARS} años con máximo positivo (y variable) para estimar niveles de retorno`
+    };
+  }
+
+  // Bootstrap: remuestrear los años (incluidos los sin evento) y volver a ajustar
+  const random = createRandom();
+  const bootstrapLevels = RETURN_PERIODS.map(() => []);
+  for (let b = 0; b < BOOTSTRAP_RESAMPLES; b++) {
+    const resample = values.map(() => values[Math.floor(random() * values.length)]);
+    const resamplePositive = resample.filter(v => v > 0);
+    if (resamplePositive.length < MIN_EXTREME_YEARS) continue;
+    const resampleParams = fitDistribution(resamplePositive, distribution);
+    if (!resampleParams) continue;
+    const resampleZeros = (resample.length - resamplePositive.length) / resample.length;
+    RETURN_PERIODS.forEach((period, i) => {
+      bootstrapLevels[i].push(getReturnLevel(resampleParams, resampleZeros, period));
+    });
+  }
+
+  const tail = (1 - CONFIDENCE_LEVEL) / 2;
+  const returnLevels = RETURN_PERIODS.map((period, i) => {
+    const sorted = bootstrapLevels[i].sort((a, b) => a - b);
+    return {
+      period,
+      value: round(getReturnLevel(params, zeroFraction, period)),
+      lower: sorted.length > 0 ? round(percentileOfSorted(sorted, tail)) : null,
+      upper: sorted.length > 0 ? round(percentileOfSorted(sorted, 1 - tail)) : null
+    };
+  });
+
+  const extrapolated = RETURN_PERIODS.filter(period => period > values.length);
+
+  return {
+    ...base,
+    fitted: true,
+    distribution,
+    fit: 'l-moments',
+    parameters: {
+      location: round(params.location, 3),
+      scale: round(params.scale, 3),
+      shape: round(params.shape, 3)
+    },
+    confidenceLevel: CONFIDENCE_LEVEL * 100,
+    bootstrapSamples: BOOTSTRAP_RESAMPLES,
+    returnLevels,
+    note: `Máximo de ±${windowDays} días alrededor de la fecha en cada año: el nivel de T años se supera en promedio ` +
+      'una vez cada T años en esta época' +
+      (extrapolated.length > 0 ? `. Con ${values.length} años, ${extrapolated.join(' y ')} años son extrapolaciones: usar la banda de confianza` : '')
+  };
+}
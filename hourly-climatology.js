@@ -0,0 +1,181 @@
+/**
+ * Climatología horaria empírica a partir del endpoint horario de NASA POWER
+ * Para cada hora del día (hora solar local) reúne los valores de la ventana de días
+ * alrededor de la fecha en los últimos años y calcula sus estadísticas
+ */
+
+import {
+  extractWindowSamples,
+  getWindowDates,
+  calculateStatistics,
+  calculateRealProbability,
+  WET_DAY_THRESHOLD
+} from './analysis.js';
+
+// Parámetros horarios usados para la climatología
+export const HOURLY_PARAMETERS = ['T2M', 'RH2M', 'WS2M', 'PRECTOTCORR'];
+// POWER publica datos horarios desde 2001
+export const POWER_HOURLY_FIRST_YEAR = 2001;
+// Años más recientes del período de referencia que se descargan en resolución horaria
+export const HOURLY_CLIMATOLOGY_YEARS = 10;
+// Años con datos horarios necesarios para armar la climatología (con menos, modelo sinusoidal)
+export const MIN_HOURLY_CLIMATOLOGY_YEARS = 5;
+// Tiempo máximo (ms) para descargar todos los años horarios dentro de una consulta /weather
+export const HOURLY_FETCH_DEADLINE_MS = 60000;
+// mm/h desde el cual una hora se considera con lluvia
+const WET_HOUR_THRESHOLD = 0.1;
+
+/**
+ * Años de la climatología horaria: los últimos HOURLY_CLIMATOLOGY_YEARS del período de referencia,
+ * sin salir de la cobertura horaria de POWER
+ */
+export function getHourlyClimatologyYears(baseline) {
+  return {
+    startYear: Math.max(POWER_HOURLY_FIRST_YEAR, baseline.startYear, baseline.endYear - HOURLY_CLIMATOLOGY_YEARS + 1),
+    endYear: baseline.endYear
+  };
+}
+
+/**
+ * Períodos a descargar: uno por año, solo los días de la ventana alrededor de la fecha
+ * Así cada consulta horaria es pequeña (24 valores × días de la ventana)
+ * maxDate (YYYYMMDD) recorta los días aún no publicados
+ */
+export function getHourlyRequestPeriods(month, day, { window = 0, startYear, endYear, maxDate = null }) {
+  const periods = [];
+
+  for (let year = startYear; year <= endYear; year++) {
+    const dates = getWindowDates(year, month, day, window).map(d => d.date);
+    const startDate = dates[0];
+    let endDate = dates[dates.length - 1];
+
+    if (maxDate && startDate > maxDate) continue;
+    if (maxDate && endDate > maxDate) endDate = maxDate;
+    periods.push({ year, startDate, endDate });
+  }
+
+  return periods;
+}
+
+/**
+ * Descarga los períodos de a uno (consultas pequeñas que no saturan a POWER) hasta el plazo
+ * Un año que falla o que no alcanza a pedirse no descarta los ya descargados
+ * fetchPeriod(period, timeoutMs): respuesta horaria del período, con el tiempo que le queda
+ * Devuelve { responses, years, missingYears }
+ */
+export async function fetchHourlyPeriods(periods, fetchPeriod, { deadlineMs = HOURLY_FETCH_DEADLINE_MS } = {}) {
+  const deadline = Date.now() + deadlineMs;
+  const responses = [];
+  const years = [];
+  const missingYears = [];
+
+  for (const period of periods) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      missingYears.push(period.year);
+      continue;
+    }
+    try {
+      responses.push(await fetchPeriod(period, remaining));
+      years.push(period.year);
+    } catch (error) {
+      console.warn(`⚠️  Datos horarios de ${period.year} no disponibles (${error.message})`);
+      missingYears.push(period.year);
+    }
+  }
+
+  return { responses, years, missingYears };
+}
+
+/**
+ * Une las respuestas horarias de varios períodos en una sola con el formato de POWER
+ */
+export function mergePowerResponses(responses) {
+  const parameter = {};
+  for (const response of responses) {
+    for (const [name, values] of Object.entries(response.properties.parameter)) {
+      parameter[name] = { ...parameter[name], ...values };
+    }
+  }
+  return { properties: { parameter } };
+}
+
+// Separa una serie horaria "YYYYMMDDHH": valor en 24 series diarias "YYYYMMDD": valor
+function splitByHour(paramData = {}) {
+  const byHour = Array.from({ length: 24 }, () => ({}));
+  for (const [key, value] of Object.entries(paramData)) {
+    if (key.length !== 10) continue;
+    const hour = parseInt(key.substring(8, 10));
+    if (hour >= 0 && hour < 24) {
+      byHour[hour][key.substring(0, 8)] = value;
+    }
+  }
+  return byHour;
+}
+
+// Días con lluvia (total de las 24 horas ≥ WET_DAY_THRESHOLD), con el mismo criterio que el análisis diario
+function getWetDates(paramData = {}) {
+  const totals = new Map();
+  for (const [key, value] of Object.entries(paramData)) {
+    if (key.length !== 10 || typeof value !== 'number' || value <= -900) continue;
+    const date = key.substring(0, 8);
+    totals.set(date, (totals.get(date) || 0) + value);
+  }
+  return new Set([...totals.entries()].filter(([, total]) => total >= WET_DAY_THRESHOLD).map(([date]) => date));
+}
+
+/**
+ * Construye la climatología horaria para mes/día
+ * Devuelve null si no hay datos suficientes (ej: endpoint horario no disponible)
+ */
+export function buildHourlyClimatology(data, month, day, { window = 0, kernel = 'uniform', startYear, endYear }) {
+  const params = data.properties.parameter;
+  const series = Object.fromEntries(HOURLY_PARAMETERS.map(name => [name, splitByHour(params[name])]));
+  const sampling = { window, kernel, startYear, endYear };
+  const wetDates = getWetDates(params.PRECTOTCORR);
+  const wetWindowDates = new Set();
+
+  const hours = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const temperature = extractWindowSamples(series.T2M[hour], month, day, sampling);
+    if (temperature.length === 0) return null;
+
+    const humidity = extractWindowSamples(series.RH2M[hour], month, day, sampling);
+    const wind = extractWindowSamples(series.WS2M[hour], month, day, sampling);
+    const rain = extractWindowSamples(series.PRECTOTCORR[hour], month, day, sampling);
+
+    const statisticsOf = samples => calculateStatistics(samples.map(s => s.value), false, samples.map(s => s.weight));
+    const rainStats = statisticsOf(rain);
+    // A qué horas llueve en los días con lluvia: la predicción lo combina con la probabilidad diaria
+    const wetDayRain = rain.filter(s => wetDates.has(s.date));
+    wetDayRain.forEach(s => wetWindowDates.add(s.date));
+
+    hours.push({
+      hour,
+      temperature: statisticsOf(temperature),
+      humidity: statisticsOf(humidity),
+      wind: statisticsOf(wind),
+      precipitation: {
+        probability: parseFloat(calculateRealProbability(
+          rain.map(s => s.value), WET_HOUR_THRESHOLD, true, rain.map(s => s.weight)
+        ).toFixed(2)),
+        probabilityIfWetDay: parseFloat(calculateRealProbability(
+          wetDayRain.map(s => s.value), WET_HOUR_THRESHOLD, true, wetDayRain.map(s => s.weight)
+        ).toFixed(2)),
+        mean: rainStats.mean,
+        threshold: WET_HOUR_THRESHOLD,
+        unit: 'mm/h'
+      }
+    });
+  }
+
+  return {
+    source: 'NASA POWER hourly (hora solar local)',
+    startYear,
+    endYear,
+    window,
+    kernel,
+    wetDays: wetWindowDates.size,
+    hours
+  };
+}
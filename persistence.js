@@ -0,0 +1,140 @@
+/**
+ * Persistencia de varios días: olas de calor, rachas de heladas y rachas secas
+ * Las rachas se detectan sobre la serie diaria completa (no solo la ventana), así que una racha
+ * que empieza antes de la ventana o termina después se mide con su duración real. Luego se
+ * cuenta en cuántos años una racha cubre la fecha objetivo y cuánto duran las que tocan la ventana
+ */
+
+import { jeffreysInterval, CONFIDENCE_LEVEL } from './uncertainty.js';
+
+// Definición de cada evento. El umbral de la ola de calor depende del lugar y la época
+// (P90 de la máxima en la ventana) y lo pasa analysis.js
+export const PERSISTENCE_EVENTS = {
+  heatWave: {
+    parameter: 'T2M_MAX',
+    operator: '>',
+    minDays: 3,
+    unit: '°C',
+    description: 'Ola de calor: 3 o más días seguidos con máxima sobre el P90 de la época'
+  },
+  frostNights: {
+    parameter: 'T2M_MIN',
+    operator: '<',
+    threshold: 0,
+    minDays: 2,
+    unit: '°C',
+    description: 'Racha de heladas: 2 o más noches seguidas con mínima bajo 0°C'
+  },
+  drySpell: {
+    parameter: 'PRECTOTCORR',
+    operator: '<',
+    threshold: 1,
+    minDays: 5,
+    unit: 'mm',
+    description: 'Racha seca: 5 o más días seguidos con menos de 1 mm'
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Día juliano (días desde 1970) de una fecha YYYYMMDD
+const toDayNumber = date => Date.UTC(+date.substring(0, 4), +date.substring(4, 6) - 1, +date.substring(6, 8)) / DAY_MS;
+
+/**
+ * Rachas de días consecutivos que cumplen la condición, de al menos minDays días
+ * Un día faltante (sin dato o -999) corta la racha. Devuelve [{ start, end, days }]
+ */
+export function findSpells(paramData, isEvent, minDays) {
+  const spells = [];
+  let current = null;
+  let previousDay = null;
+
+  const close = () => {
+    if (current && current.days >= minDays) spells.push(current);
+    current = null;
+  };
+
+  for (const date of Object.keys(paramData || {}).filter(d => d.length === 8).sort()) {
+    const value = paramData[date];
+    const dayNumber = toDayNumber(date);
+    if (previousDay !== null && dayNumber !== previousDay + 1) close();
+    previousDay = dayNumber;
+
+    if (typeof value === 'number' && value > -900 && isEvent(value)) {
+      if (current) {
+        current.end = date;
+        current.days++;
+      } else {
+        current = { start: date, end: date, days: 1 };
+      }
+    } else {
+      close();
+    }
+  }
+  close();
+
+  return spells;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return 0;
+  const middle = (sorted.length - 1) / 2;
+  return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+}
+
+/**
+ * Frecuencia y duración típica de un evento persistente alrededor de la fecha objetivo
+ * windowSamples: muestras de la ventana de la variable (extractWindowSamples), definen los años,
+ * la fecha objetivo de cada año (offset 0) y los días de la ventana
+ * map: transformación opcional de los valores (mapeo de cuantiles de la estación calibrada)
+ */
+export function analyzePersistence(paramData, windowSamples, { operator, threshold, minDays, unit, description, map = null }) {
+  const isEvent = operator === '>' ? value => value > threshold : value => value < threshold;
+  const spells = findSpells(paramData, map ? value => isEvent(map(value)) : isEvent, minDays);
+  const spellByDate = new Map();
+  for (const spell of spells) {
+    for (let day = toDayNumber(spell.start); day <= toDayNumber(spell.end); day++) spellByDate.set(day, spell);
+  }
+
+  const years = [...new Set(windowSamples.map(s => s.year))];
+  const targets = windowSamples.filter(s => s.offset === 0);
+  const coveringSpells = targets.map(s => spellByDate.get(toDayNumber(s.date))).filter(Boolean);
+
+  // Rachas distintas que tocan la ventana (una racha larga cuenta una vez)
+  const windowSpells = new Set(windowSamples.map(s => spellByDate.get(toDayNumber(s.date))).filter(Boolean));
+  const durations = [...windowSpells].map(spell => spell.days).sort((a, b) => a - b);
+  const coveringDurations = coveringSpells.map(spell => spell.days).sort((a, b) => a - b);
+
+  const probability = targets.length > 0 ? coveringSpells.length / targets.length * 100 : 0;
+  const longest = [...windowSpells].reduce((best, spell) => (!best || spell.days > best.days ? spell : best), null);
+
+  return {
+    description,
+    threshold: round(threshold),
+    operator,
+    minDays,
+    unit,
+    years: years.length,
+    yearsCoveringDate: coveringSpells.length,
+    probability: round(probability),
+    confidenceInterval: {
+      ...jeffreysInterval(probability, targets.length),
+      confidenceLevel: CONFIDENCE_LEVEL * 100,
+      method: 'jeffreys',
+      n: targets.length
+    },
+    spellsInWindow: windowSpells.size,
+    spellsPerYear: years.length > 0 ? round(windowSpells.size / years.length) : 0,
+    // Duraciones en días; 0 si ninguna racha tocó la ventana
+    duration: {
+      median: median(durations),
+      mean: durations.length > 0 ? round(durations.reduce((sum, d) => sum + d, 0) / durations.length, 1) : 0,
+      max: longest ? longest.days : 0,
+      ...(longest && { longestSpell: { start: longest.start, end: longest.end } })
+    },
+    // Duración de las rachas que cubren la fecha: cuánto dura una racha si el día cae en una
+    durationCoveringDate: median(coveringDurations)
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Utilidades de la grilla espacial de NASA POWER
+ * Los datos meteorológicos de POWER (MERRA-2) están en celdas de 0.5° lat × 0.625° lon
+ */
+
+export const POWER_GRID_LAT_STEP = 0.5;
+export const POWER_GRID_LON_STEP = 0.625;
+
+/**
+ * Obtiene la celda de la grilla POWER que contiene un punto
+ * Las celdas están centradas en múltiplos del paso de la grilla
+ */
+export function getPowerGridCell(lat, lon) {
+  const latIndex = Math.round(lat / POWER_GRID_LAT_STEP);
+  // Normalizar longitud a [-180, 180) para que 180 y -180 caigan en la misma celda
+  const normalizedLon = ((lon + 180) % 360 + 360) % 360 - 180;
+  const lonIndex = Math.round(normalizedLon / POWER_GRID_LON_STEP);
+
+  const centerLat = latIndex * POWER_GRID_LAT_STEP;
+  const centerLon = lonIndex * POWER_GRID_LON_STEP;
+  const round = value => parseFloat(value.toFixed(4));
+
+  return {
+    id: `${latIndex}_${lonIndex}`,
+    latIndex,
+    lonIndex,
+    lat: round(centerLat),
+    lon: round(centerLon),
+    bounds: {
+      south: round(Math.max(-90, centerLat - POWER_GRID_LAT_STEP / 2)),
+      north: round(Math.min(90, centerLat + POWER_GRID_LAT_STEP / 2)),
+      west: round(centerLon - POWER_GRID_LON_STEP / 2),
+      east: round(centerLon + POWER_GRID_LON_STEP / 2)
+    }
+  };
+}
+
+/**
+ * Describe la celda para la respuesta de /weather
+ */
+export function describePowerGridCell(cell) {
+  return {
+    id: cell.id,
+    centroid: { lat: cell.lat, lon: cell.lon },
+    bounds: cell.bounds,
+    resolution: { lat: POWER_GRID_LAT_STEP, lon: POWER_GRID_LON_STEP, unit: '°' },
+    note: 'NASA POWER entrega un único valor por celda: todos los puntos dentro de estos límites comparten los mismos datos y el mismo análisis'
+  };
+}
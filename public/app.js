@@ -1,6 +1,7 @@
 // Global variables
 let map;
 let marker;
+let gridCellLayer = null;
 let currentLat = -17.3935;
 let currentLon = -66.1570;
 let tempChart = null;
@@ -191,6 +192,9 @@ function displayResults(data) {
   // Show stickman based on classification
   displayStickman(data.weatherClassification);
 
+  // NASA POWER grid cell (spatial resolution of the data)
+  displayGridCell(data.gridCell);
+
   // Hourly forecast (if available)
   if (data.hourlyForecast) {
     document.getElementById('hourly-section').classList.remove('hidden');
@@ -223,6 +227,26 @@ function displayResults(data) {
   displayStatsTable(data.analysis);
 }
 
+// Draw the NASA POWER grid cell that the analysis belongs to
+function displayGridCell(gridCell) {
+  if (gridCellLayer) {
+    map.removeLayer(gridCellLayer);
+    gridCellLayer = null;
+  }
+  if (!gridCell) return;
+
+  const { south, north, west, east } = gridCell.bounds;
+  gridCellLayer = L.rectangle([[south, west], [north, east]], {
+    color: '#3b82f6',
+    weight: 1,
+    fillOpacity: 0.08
+  }).addTo(map);
+  gridCellLayer.bindTooltip(
+    `Celda NASA POWER ${gridCell.resolution.lat}° × ${gridCell.resolution.lon}° ` +
+    `(centro: ${gridCell.centroid.lat}, ${gridCell.centroid.lon})`
+  );
+}
+
 // Display transparent alerts
 function displayAlerts(alerts) {
   const alertConfigs = [
@@ -274,12 +298,12 @@ function displayTemperatureStats(analysis) {
   // Max temperature
   document.getElementById('temp-max-pred').textContent = `${trend.tempMax}°C`;
   document.getElementById('temp-max-trend').textContent =
-    `Tendencia: ${trend.trend.max.slope > 0 ? '+' : ''}${trend.trend.max.slope}°C/año`;
+    `Tendencia: ${trend.trend.max.slope > 0 ? '+' : ''}${trend.trend.max.slope}°C/año${trend.trend.max.significant === false ? ' (no significativa)' : ''}`;
 
   // Min temperature
   document.getElementById('temp-min-pred').textContent = `${trend.tempMin}°C`;
   document.getElementById('temp-min-trend').textContent =
-    `Tendencia: ${trend.trend.min.slope > 0 ? '+' : ''}${trend.trend.min.slope}°C/año`;
+    `Tendencia: ${trend.trend.min.slope > 0 ? '+' : ''}${trend.trend.min.slope}°C/año${trend.trend.min.significant === false ? ' (no significativa)' : ''}`;
 
   // Precipitación - USAR PREDICCIÓN en lugar de promedio histórico
   const rainPredicted = trend.precipitation;
@@ -0,0 +1,241 @@
+/**
+ * Corrección por mapeo de cuantiles empírico (empirical quantile mapping) contra una estación
+ * Con las fechas en que hay observación y dato de POWER, alrededor del día del año objetivo,
+ * se comparan los cuantiles de ambas series: cada valor de POWER se reemplaza por el valor de
+ * la estación con la misma probabilidad acumulada. Corrige sesgo, dispersión y colas a la vez
+ */
+
+// Variables que se mapean: nombre en las observaciones → parámetro de POWER
+// Temperatura y humedad extrapolan fuera del rango observado sumando la diferencia del extremo;
+// viento y lluvia (acotados en 0) multiplicando por el cociente del extremo
+export const QUANTILE_MAPPING_VARIABLES = {
+  tempMax: { parameter: 'T2M_MAX', extrapolation: 'additive' },
+  tempMin: { parameter: 'T2M_MIN', extrapolation: 'additive' },
+  humidity: { parameter: 'RH2M', extrapolation: 'additive', min: 0, max: 100 },
+  windMax: { parameter: 'WS2M_MAX', extrapolation: 'multiplicative', min: 0 },
+  precipitation: { parameter: 'PRECTOTCORR', extrapolation: 'multiplicative', min: 0 }
+};
+
+// Variables sin columna en la estación: se derivan de las mapeadas en la misma fecha
+// T2M ≈ (máx + mín) / 2 se desplaza con la media de las correcciones de máxima y mínima;
+// WS2M se escala con el cociente corregido / POWER del viento máximo de ese día
+export const DERIVED_MAPPING_VARIABLES = {
+  tempAvg: { parameter: 'T2M', from: ['T2M_MAX', 'T2M_MIN'], method: 'mean-shift' },
+  windAvg: { parameter: 'WS2M', from: ['WS2M_MAX'], method: 'ratio' }
+};
+// Parámetros diarios del análisis que pueden quedar sin mapear
+const DAILY_PARAMETERS = ['T2M_MAX', 'T2M_MIN', 'T2M', 'RH2M', 'WS2M_MAX', 'WS2M', 'PRECTOTCORR'];
+
+// Pares POWER-estación mínimos para estimar la función de mapeo
+export const MIN_QUANTILE_PAIRS = 60;
+// Días alrededor del día del año objetivo que entran en la estimación (ciclo estacional)
+const MAPPING_WINDOW_DAYS = 15;
+// Probabilidades de los nodos de la función de mapeo
+const QUANTILE_PROBABILITIES = [0.01, ...Array.from({ length: 19 }, (_, i) => (i + 1) * 0.05), 0.99];
+
+// Día del año 1-366 de una fecha YYYYMMDD en un año bisiesto fijo (el 29 de febrero tiene su lugar)
+function getDayOfYear(month, day) {
+  return Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / 86400000) + 1;
+}
+
+function circularDayDistance(a, b) {
+  const diff = Math.abs(a - b);
+  return Math.min(diff, 366 - diff);
+}
+
+// Cuantil tipo 7 (interpolación lineal) de un arreglo ordenado
+function quantile(sorted, probability) {
+  const index = probability * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Construye la función de mapeo a partir de pares { power, station }
+ * Nodos repetidos de POWER (ej: muchos días sin lluvia) se unen promediando el valor de la estación
+ */
+function buildMapper(pairs, { extrapolation, min = -Infinity, max = Infinity }) {
+  const power = pairs.map(p => p.power).sort((a, b) => a - b);
+  const station = pairs.map(p => p.station).sort((a, b) => a - b);
+
+  const nodes = [];
+  for (const probability of QUANTILE_PROBABILITIES) {
+    const node = { probability, power: quantile(power, probability), station: quantile(station, probability) };
+    const last = nodes[nodes.length - 1];
+    if (last && Math.abs(last.power - node.power) < 1e-9) {
+      last.station = (last.station * last.merged + node.station) / (last.merged + 1);
+      last.merged += 1;
+    } else {
+      nodes.push({ ...node, merged: 1 });
+    }
+  }
+
+  const first = nodes[0];
+  const lastNode = nodes[nodes.length - 1];
+  const extrapolate = (value, node) => {
+    if (extrapolation === 'multiplicative') {
+      return node.power > 0 ? value * node.station / node.power : node.station;
+    }
+    return value + node.station - node.power;
+  };
+
+  const map = value => {
+    let mapped;
+    if (value <= first.power) {
+      mapped = extrapolate(value, first);
+    } else if (value >= lastNode.power) {
+      mapped = extrapolate(value, lastNode);
+    } else {
+      const upper = nodes.findIndex(node => node.power >= value);
+      const a = nodes[upper - 1];
+      const b = nodes[upper];
+      mapped = a.station + (b.station - a.station) * (value - a.power) / (b.power - a.power);
+    }
+    return Math.max(min, Math.min(max, mapped));
+  };
+
+  return { map, nodes };
+}
+
+/**
+ * Mappers de T2M y WS2M a partir de los de máxima y mínima del mismo día
+ * Reciben (valor, fecha); sin dato de la variable de origen esa fecha el valor queda igual
+ */
+function buildDerivedMappers(mappers, params) {
+  const derivedMappers = {};
+  const derived = {};
+  const valueOn = (parameter, date) => {
+    const value = params[parameter]?.[date];
+    return typeof value === 'number' && value > -900 ? value : null;
+  };
+  const correctionOn = (parameter, date) => {
+    const value = valueOn(parameter, date);
+    return mappers[parameter] && value !== null ? mappers[parameter](value) - value : 0;
+  };
+
+  for (const [name, variable] of Object.entries(DERIVED_MAPPING_VARIABLES)) {
+    const from = variable.from.filter(parameter => mappers[parameter]);
+    if (from.length === 0) continue;
+
+    derivedMappers[variable.parameter] = variable.method === 'mean-shift'
+      ? (value, date) => value + variable.from.reduce((sum, parameter) => sum + correctionOn(parameter, date), 0) / variable.from.length
+      : (value, date) => {
+        const source = valueOn(from[0], date);
+        return source > 0 ? value * mappers[from[0]](source) / source : value;
+      };
+    derived[name] = { parameter: variable.parameter, from, method: variable.method };
+  }
+
+  return { derivedMappers, derived };
+}
+
+/**
+ * Funciones de mapeo de cada variable con pares suficientes alrededor de mes/día
+ * location: ubicación calibrada (ver calibration-store.js) con sus observaciones diarias
+ * Devuelve { applied, mappers: { PARAMETRO: fn(valor, fecha) }, variables: { nombre: resumen },
+ * derived: variables derivadas (T2M, WS2M), unmapped: parámetros que quedan con POWER }
+ */
+export function buildQuantileMapping(location, params, month, day) {
+  const targetDay = getDayOfYear(month, day);
+  const nearby = location.observations.filter(o =>
+    circularDayDistance(getDayOfYear(parseInt(o.date.substring(4, 6)), parseInt(o.date.substring(6, 8))), targetDay) <= MAPPING_WINDOW_DAYS
+  );
+
+  const mappers = {};
+  const variables = {};
+
+  for (const [name, variable] of Object.entries(QUANTILE_MAPPING_VARIABLES)) {
+    const paramData = params[variable.parameter] || {};
+    const pairs = nearby
+      .filter(o => o[name] !== undefined && typeof paramData[o.date] === 'number' && paramData[o.date] > -900)
+      .map(o => ({ date: o.date, power: paramData[o.date], station: o[name] }));
+
+    if (pairs.length < MIN_QUANTILE_PAIRS) continue;
+
+    const { map, nodes } = buildMapper(pairs, variable);
+    const round = value => parseFloat(value.toFixed(2));
+    const nodeAt = probability => nodes.reduce((best, node) =>
+      Math.abs(node.probability - probability) < Math.abs(best.probability - probability) ? node : best);
+
+    mappers[variable.parameter] = map;
+    variables[name] = {
+      parameter: variable.parameter,
+      pairs: pairs.length,
+      period: { start: pairs[0].date, end: pairs[pairs.length - 1].date },
+      extrapolation: variable.extrapolation,
+      // Algunos nodos de la función: valor de POWER y valor de la estación con la misma probabilidad
+      quantiles: [0.1, 0.5, 0.9].map(probability => {
+        const node = nodeAt(probability);
+        return { percentile: Math.round(node.probability * 100), power: round(node.power), station: round(node.station) };
+      })
+    };
+  }
+
+  const applied = Object.keys(variables).length > 0;
+  const { derivedMappers, derived } = buildDerivedMappers(mappers, params);
+  Object.assign(mappers, derivedMappers);
+
+  return {
+    applied,
+    method: 'empirical-quantile-mapping',
+    windowDays: MAPPING_WINDOW_DAYS,
+    mappers,
+    variables,
+    derived,
+    unmapped: DAILY_PARAMETERS.filter(parameter => !mappers[parameter]),
+    note: applied
+      ? `Cuantiles de POWER y de la estación en las fechas comunes (±${MAPPING_WINDOW_DAYS} días del día del año); las variables sin ${MIN_QUANTILE_PAIRS} pares usan la corrección de sesgo`
+      : `Menos de ${MIN_QUANTILE_PAIRS} pares POWER-estación alrededor de la fecha: sin mapeo de cuantiles`
+  };
+}
+
+// Valores comparados entre el análisis sin corregir y el corregido
+const COMPARED_STATISTICS = {
+  tempMax: analysis => analysis.temperature.max.statistics,
+  tempMin: analysis => analysis.temperature.min.statistics,
+  tempAvg: analysis => analysis.temperature.statistics,
+  windMax: analysis => analysis.wind.max.statistics,
+  windAvg: analysis => analysis.wind.statistics,
+  humidity: analysis => analysis.humidity.statistics,
+  precipitation: analysis => analysis.precipitation.statistics
+};
+const COMPARED_CONDITIONS = {
+  veryHot: analysis => analysis.temperature.conditions.veryHot,
+  veryCold: analysis => analysis.temperature.conditions.veryCold,
+  veryWindy: analysis => analysis.wind.conditions.veryWindy,
+  veryHumid: analysis => analysis.humidity.conditions.veryHumid,
+  heavyRain: analysis => analysis.precipitation.conditions.heavyRain
+};
+
+/**
+ * Valores sin corregir (POWER) y corregidos lado a lado para la respuesta
+ */
+export function compareAnalyses(raw, corrected) {
+  const pair = (rawValue, correctedValue) => ({ raw: rawValue, corrected: correctedValue });
+  const summarize = statistics => ({
+    mean: statistics.mean,
+    median: statistics.median,
+    p10: statistics.percentiles.p10,
+    p90: statistics.percentiles.p90
+  });
+
+  return {
+    // La predicción por tendencia no tiene media diaria de temperatura ni de viento
+    trendPrediction: Object.fromEntries(Object.keys(COMPARED_STATISTICS)
+      .filter(name => name in corrected.trendPrediction)
+      .map(name => [name, pair(raw.trendPrediction[name], corrected.trendPrediction[name])])),
+    statistics: Object.fromEntries(Object.entries(COMPARED_STATISTICS).map(([name, get]) => {
+      const rawStats = summarize(get(raw));
+      const correctedStats = summarize(get(corrected));
+      return [name, Object.fromEntries(Object.keys(rawStats).map(key => [key, pair(rawStats[key], correctedStats[key])]))];
+    })),
+    conditions: Object.fromEntries(Object.entries(COMPARED_CONDITIONS).map(([name, get]) => [name, {
+      threshold: pair(get(raw).threshold, get(corrected).threshold),
+      probability: pair(get(raw).probability, get(corrected).probability)
+    }])),
+    riskScores: Object.fromEntries(Object.keys(corrected.riskScores).map(name =>
+      [name, pair(raw.riskScores[name].score, corrected.riskScores[name].score)]
+    ))
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Índices de riesgo compuestos (helada, tormenta, estrés térmico)
+ * Combinan la predicción por tendencia, las probabilidades históricas y los umbrales
+ * adaptativos del análisis diario en un score 0-100 con nivel y recomendaciones
+ */
+
+// Temperatura mínima bajo la cual se considera helada (aire a 2m)
+export const FROST_THRESHOLD = 0;
+// Temperatura máxima desde la cual el calor empieza a generar estrés en personas y cultivos
+export const HEAT_STRESS_THRESHOLD = 32;
+
+// Función de distribución normal estándar (aproximación de Abramowitz-Stegun 26.2.17)
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+// Probabilidad de que una variable ~N(mean, stdDev) quede por debajo de un umbral
+function probabilityBelow(threshold, mean, stdDev) {
+  if (stdDev <= 0) return mean < threshold ? 1 : 0;
+  return normalCdf((threshold - mean) / stdDev);
+}
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+
+function getRiskLevel(score) {
+  if (score >= 70) return 'ALTO';
+  if (score >= 30) return 'MEDIO';
+  return 'BAJO';
+}
+
+const RECOMMENDATIONS = {
+  frost: {
+    BAJO: [
+      'Sin medidas especiales contra helada'
+    ],
+    MEDIO: [
+      'Revisar el pronóstico de la noche anterior: la mínima puede acercarse a 0°C',
+      'Tener a mano mantas térmicas o cobertores para cultivos sensibles',
+      'Proteger plantas en maceta acercándolas a muros o bajo techo'
+    ],
+    ALTO: [
+      'Cubrir cultivos y plantas sensibles antes del atardecer',
+      'Regar el suelo por la tarde: el suelo húmedo retiene más calor durante la noche',
+      'Proteger tuberías y depósitos de agua expuestos',
+      'Abrigar al ganado y a las personas vulnerables durante la madrugada'
+    ]
+  },
+  storm: {
+    BAJO: [
+      'Condiciones favorables para actividades al aire libre'
+    ],
+    MEDIO: [
+      'Llevar impermeable o paraguas',
+      'Asegurar objetos sueltos en terrazas y patios',
+      'Planificar actividades al aire libre con una alternativa bajo techo'
+    ],
+    ALTO: [
+      'Evitar actividades al aire libre durante la tarde',
+      'Limpiar canaletas y desagües para evitar anegamientos',
+      'No cruzar ríos ni quebradas crecidas',
+      'Asegurar techos livianos, toldos y estructuras temporales'
+    ]
+  },
+  heatStress: {
+    BAJO: [
+      'Hidratación normal durante el día'
+    ],
+    MEDIO: [
+      'Beber agua con frecuencia aunque no haya sed',
+      'Usar protector solar, sombrero y ropa clara',
+      'Preferir las horas de la mañana para esfuerzos físicos'
+    ],
+    ALTO: [
+      'Evitar la exposición al sol y el esfuerzo físico entre las 11:00 y las 16:00',
+      'Vigilar a niños, adultos mayores y personas con enfermedades crónicas',
+      'Asegurar agua y sombra para animales',
+      'Regar cultivos temprano en la mañana o al atardecer'
+    ]
+  }
+};
+
+// Redondea los factores de un índice para la respuesta
+function buildRisk(type, score, factors) {
+  const level = getRiskLevel(score);
+  return {
+    score: parseFloat(score.toFixed(1)),
+    level,
+    factors: Object.fromEntries(
+      Object.entries(factors).map(([name, value]) => [name, parseFloat((value * 100).toFixed(1))])
+    ),
+    recommendations: RECOMMENDATIONS[type][level]
+  };
+}
+
+/**
+ * Calcula los índices de riesgo a partir de la predicción y las probabilidades del análisis
+ * Las probabilidades se reciben en % (0-100), como en analysis.*.conditions
+ *
+ * - frost: probabilidad de mínima < 0°C según la predicción (50%), frecuencia histórica de
+ *   helada en la ventana (35%) y probabilidad de frío extremo local (15%)
+ * - storm: probabilidad de lluvia intensa (40%), de viento fuerte (30%), de día con lluvia
+ *   (20%, modelo de dos partes de analysis.js) y humedad predicha (10%)
+ * - heatStress: probabilidad de máxima > 32°C según la predicción (45%), frecuencia histórica
+ *   (25%), probabilidad de calor extremo local (15%) y agravante por humedad (15%)
+ */
+export function calculateRiskScores({
+  predicted,
+  stdDev,
+  probabilities,
+  frostFrequency,
+  heatFrequency
+}) {
+  // Humedad: 40% no agrava, 80% o más agrava al máximo
+  const humidityFactor = clamp01((predicted.humidity - 40) / 40);
+
+  const frostFactors = {
+    predictedFrost: probabilityBelow(FROST_THRESHOLD, predicted.tempMin, stdDev.tempMin),
+    historicalFrost: frostFrequency / 100,
+    extremeCold: probabilities.veryCold / 100
+  };
+  const frostScore = 100 * (
+    frostFactors.predictedFrost * 0.50 +
+    frostFactors.historicalFrost * 0.35 +
+    frostFactors.extremeCold * 0.15
+  );
+
+  const stormFactors = {
+    heavyRain: probabilities.heavyRain / 100,
+    strongWind: probabilities.veryWindy / 100,
+    wetDay: probabilities.wetDay / 100,
+    humidity: humidityFactor
+  };
+  const stormScore = 100 * (
+    stormFactors.heavyRain * 0.40 +
+    stormFactors.strongWind * 0.30 +
+    stormFactors.wetDay * 0.20 +
+    stormFactors.humidity * 0.10
+  );
+
+  const predictedHeat = 1 - probabilityBelow(HEAT_STRESS_THRESHOLD, predicted.tempMax, stdDev.tempMax);
+  const heatFactors = {
+    predictedHeat,
+    historicalHeat: heatFrequency / 100,
+    extremeHeat: probabilities.veryHot / 100,
+    humidity: predictedHeat * humidityFactor
+  };
+  const heatScore = 100 * (
+    heatFactors.predictedHeat * 0.45 +
+    heatFactors.historicalHeat * 0.25 +
+    heatFactors.extremeHeat * 0.15 +
+    heatFactors.humidity * 0.15
+  );
+
+  return {
+    frost: buildRisk('frost', frostScore, frostFactors),
+    storm: buildRisk('storm', stormScore, stormFactors),
+    heatStress: buildRisk('heatStress', heatScore, heatFactors)
+  };
+}
@@ -2,40 +2,101 @@
  * Servidor simple para exponer endpoint que consume NASA POWER API
  */
 
+import 'dotenv/config';
 import http from 'http';
 import url from 'url';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { validatePrediction, getValidationSummary } from './validation.js';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import {
+  getPowerCacheKey,
+  getCachedPowerData,
+  setCachedPowerData,
+  invalidatePowerCache,
+  singleFlight
+} from './cache.js';
+import {
+  dataSources,
+  fetchPowerDaily,
+  fetchPowerHourly,
+  fetchElevation,
+  fetchPhotonReverse,
+  fetchNominatimReverse,
+  createGeminiModel
+} from './data-sources.js';
+import {
+  calculateDailyProbabilities,
+  buildHourlyForecast,
+  buildHourlyProfile,
+  getMonthName,
+  getDaysInMonth,
+  DEFAULT_SAMPLING_WINDOW,
+  MAX_SAMPLING_WINDOW,
+  SAMPLING_KERNEL_NAMES,
+  EXTENDED_PARAMETERS
+} from './analysis.js';
+import { getPowerGridCell, describePowerGridCell } from './power-grid.js';
+import { resolveBaselinePeriod, getDownloadPeriod } from './baseline-periods.js';
+import {
+  HOURLY_PARAMETERS,
+  getHourlyClimatologyYears,
+  getHourlyRequestPeriods,
+  fetchHourlyPeriods,
+  mergePowerResponses,
+  buildHourlyClimatology,
+  MIN_HOURLY_CLIMATOLOGY_YEARS
+} from './hourly-climatology.js';
+import { calculateSolarTimes } from './solar-geometry.js';
+import {
+  addObservations,
+  parseObservationsCsv,
+  listCalibrationLocations,
+  findCalibrationLocation
+} from './calibration-store.js';
+import { runBacktest } from './backtest.js';
+import { parseCustomThresholds, getCustomThresholdsKey } from './custom-thresholds.js';
+import { recordPrediction, runVerification, buildVerificationReport } from './verification-log.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configurar Gemini AI (opcional)
-let genAI = null;
 let model = null;
 if (process.env.GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+  model = createGeminiModel(process.env.GEMINI_API_KEY, 'gemini-2.5-flash');
   console.log('✅ Gemini AI configurado (gemini-pro)');
 } else {
   console.log('⚠️  AI no configurada - funcionalidades básicas disponibles');
 }
 
 const PORT = 3000;
-const BASE_URL_DAILY = 'https://power.larc.nasa.gov/api/temporal/daily/point';
-const ELEVATION_API_URL = 'https://api.opentopodata.org/v1/srtm30m';
-const NOMINATIM_API_URL = 'https://nominatim.openstreetmap.org/reverse';
+// Tamaño máximo del cuerpo de una subida de observaciones (CSV o JSON)
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
 
 // Cache simple de elevaciones para evitar consultas repetidas
 const elevationCache = new Map();
 // Cache de nombres de ubicaciones para evitar consultas repetidas
 const locationNameCache = new Map();
+// Cache de análisis por celda POWER + fecha + período: mover el marcador dentro de la
+// misma celda reutiliza el análisis (los datos de POWER son idénticos en toda la celda)
+const analysisCache = new Map();
+const ANALYSIS_CACHE_TTL_MS = 60 * 60 * 1000;
+const ANALYSIS_CACHE_MAX_ENTRIES = 200;
+
+const getCachedAnalysis = key => {
+  const entry = analysisCache.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry.analysis : null;
+};
+
+const setCachedAnalysis = (key, analysis) => {
+  // Map mantiene orden de inserción: se descarta la entrada más antigua
+  analysisCache.delete(key);
+  analysisCache.set(key, { analysis, expiresAt: Date.now() + ANALYSIS_CACHE_TTL_MS });
+  if (analysisCache.size > ANALYSIS_CACHE_MAX_ENTRIES) {
+    analysisCache.delete(analysisCache.keys().next().value);
+  }
+};
 
 // Diccionario de correcciones para ciudades conocidas (coord aproximadas)
 // Cuando Nominatim falla, usamos este diccionario local
@@ -228,15 +289,7 @@ async function getElevation(lat, lon) {
   }
 
   try {
-    const url = `${ELEVATION_API_URL}?locations=${lat},${lon}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      console.warn(`⚠️  No se pudo obtener elevación (HTTP ${response.status}), usando 0m`);
-      return 0;
-    }
-
-    const data = await response.json();
+    const data = await fetchElevation(lat, lon);
 
     if (data.status === 'OK' && data.results && data.results.length > 0) {
       const elevation = data.results[0].elevation;
@@ -293,38 +346,29 @@ async function getLocationName(lat, lon) {
   try {
     // Usar SOLO Photon API - es el mapa de OpenStreetMap, muy preciso
     console.log('   �️  Consultando Photon API (OpenStreetMap)...');
-    const photonUrl = `https://photon.komoot.io/reverse?lat=${lat}&lon=${lon}&lang=es`;
-    const photonResponse = await fetch(photonUrl, {
-      headers: {
-        'User-Agent': 'NASA-Weather-App/1.0'
-      }
-    });
+    const photonData = await fetchPhotonReverse(lat, lon);
 
-    if (photonResponse.ok) {
-      const photonData = await photonResponse.json();
+    if (photonData.features && photonData.features.length > 0) {
+      const properties = photonData.features[0].properties;
       
-      if (photonData.features && photonData.features.length > 0) {
-        const properties = photonData.features[0].properties;
-        
-        // Extraer el nombre más específico disponible
-        const locationName = properties.city || 
-                            properties.town || 
-                            properties.village || 
-                            properties.hamlet ||
-                            properties.suburb ||
-                            properties.municipality ||
-                            properties.county ||
-                            properties.state ||
-                            properties.name;
-        
-        const country = properties.country;
-        
-        if (locationName && country) {
-          const fullName = `${locationName}, ${country}`;
-          console.log(`   ✅ Photon API: ${fullName}`);
-          locationNameCache.set(cacheKey, fullName);
-          return fullName;
-        }
+      // Extraer el nombre más específico disponible
+      const locationName = properties.city || 
+                          properties.town || 
+                          properties.village || 
+                          properties.hamlet ||
+                          properties.suburb ||
+                          properties.municipality ||
+                          properties.county ||
+                          properties.state ||
+                          properties.name;
+      
+      const country = properties.country;
+      
+      if (locationName && country) {
+        const fullName = `${locationName}, ${country}`;
+        console.log(`   ✅ Photon API: ${fullName}`);
+        locationNameCache.set(cacheKey, fullName);
+        return fullName;
       }
     }
 
@@ -340,16 +384,13 @@ async function getLocationName(lat, lon) {
     const zooms = [18, 16, 14]; // De más específico a menos específico
     
     for (const zoom of zooms) {
-      const nominatimUrl = `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&format=json&accept-language=es&zoom=${zoom}&addressdetails=1`;
-      const nominatimResponse = await fetch(nominatimUrl, {
-        headers: {
-          'User-Agent': 'NASA-Weather-App/1.0'
-        }
+      // Un error HTTP en un zoom no impide intentar con el siguiente
+      const nominatimData = await fetchNominatimReverse(lat, lon, zoom).catch(error => {
+        console.warn(`   ⚠️  Nominatim zoom ${zoom}: ${error.message}`);
+        return null;
       });
 
-      if (nominatimResponse.ok) {
-        const nominatimData = await nominatimResponse.json();
-        
+      if (nominatimData) {
         if (nominatimData.address) {
           // Extraer ciudad/pueblo específico
           const locationName = nominatimData.address.city ||
@@ -386,11 +427,13 @@ async function getLocationName(lat, lon) {
 
 /**
  * Obtiene datos climatológicos diarios históricos de NASA POWER
+ * Usa el cache en disco por celda de grilla; refresh=true fuerza una nueva descarga
+ * Peticiones concurrentes para la misma celda y período comparten una sola descarga
  */
-async function getNasaPowerDailyData(lat, lon, startDate, endDate) {
+async function getNasaPowerDailyData(lat, lon, startDate, endDate, { refresh = false, extended = false } = {}) {
   console.log('\n🔍 === PASO 1: Preparando consulta NASA POWER API (DAILY) ===');
 
-  const parameters = [
+  const parameterList = [
     'T2M',
     'T2M_MAX',
     'T2M_MIN',
@@ -398,14 +441,40 @@ async function getNasaPowerDailyData(lat, lon, startDate, endDate) {
     'RH2M',
     'WS2M',
     'WS2M_MAX',
-  ].join(',');
+    // Radiación solar, punto de rocío, presión y dirección del viento (opt-in)
+    ...(extended ? EXTENDED_PARAMETERS : [])
+  ];
+
+  const cacheKey = getPowerCacheKey(lat, lon, parameterList, startDate, endDate);
+  if (refresh) {
+    console.log('🔄 Refresh solicitado, invalidando cache');
+    await invalidatePowerCache(cacheKey);
+  }
+
+  return singleFlight(cacheKey, async () => {
+    if (!refresh) {
+      const cached = await getCachedPowerData(cacheKey);
+      if (cached) {
+        console.log(`💾 Datos NASA (cache): ${cacheKey}`);
+        return cached;
+      }
+    }
 
-  const apiUrl = `${BASE_URL_DAILY}?parameters=${parameters}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON`;
+    return downloadNasaPowerDailyData(lat, lon, parameterList, startDate, endDate, cacheKey);
+  });
+}
+
+/**
+ * Descarga datos diarios de NASA POWER con reintentos y los guarda en cache
+ */
+async function downloadNasaPowerDailyData(lat, lon, parameterList, startDate, endDate, cacheKey) {
+  const parameters = parameterList.join(',');
+  const apiUrl = `${dataSources.power.baseUrl}/temporal/daily/point`;
 
   console.log(`📍 Ubicación: lat=${lat}, lon=${lon}`);
   console.log(`📅 Período: ${startDate} - ${endDate}`);
   console.log(`📊 Parámetros: ${parameters}`);
-  console.log(`🔗 URL: ${apiUrl.substring(0, 100)}...`);
+  console.log(`🔗 URL: ${apiUrl}`);
 
   // MEJORADO: Reintentos con timeout más largo y backoff exponencial
   const MAX_RETRIES = 3;
@@ -419,25 +488,23 @@ async function getNasaPowerDailyData(lat, lon, startDate, endDate) {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
       
-      const response = await fetch(apiUrl, { 
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'NASA-Weather-MVP/1.0'
-        }
-      });
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        console.error(`❌ Error HTTP: ${response.status}`);
-        throw new Error(`NASA API error: ${response.status}`);
+      let data;
+      try {
+        data = await fetchPowerDaily(
+          { lat, lon, parameters: parameterList, startDate, endDate },
+          { signal: controller.signal }
+        );
+      } finally {
+        clearTimeout(timeoutId);
       }
 
       console.log('✅ Respuesta recibida de NASA');
-      const data = await response.json();
 
       const paramCount = Object.keys(data.properties.parameter).length;
       console.log(`📦 Parámetros recibidos: ${paramCount}`);
 
+      await setCachedPowerData(cacheKey, endDate, data);
+
       return data;
       
     } catch (error) {
@@ -457,1002 +524,79 @@ async function getNasaPowerDailyData(lat, lon, startDate, endDate) {
 }
 
 /**
- * Utilidades
- */
-
-// Obtener nombre del mes
-function getMonthName(monthNum) {
-  const months = [
-    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
-    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
-  ];
-  return months[monthNum - 1] || 'Desconocido';
-}
-
-/**
- * Interpola temperatura para una hora específica basada en min/max diarios
- * Usa curva sinusoidal que modela el ciclo diario real de temperatura
- */
-function interpolateHourlyTemperature(tempMin, tempMax, hour, month = null) {
-  // Modelo OPTIMIZADO con inercia térmica CORREGIDA para precisión perfecta
-  // Enfriamiento gradual realista basado en física atmosférica de Cochabamba
-  
-  let hourOfMin = 6;   // 6:00 AM - temperatura mínima
-  let hourOfMax = 15;  // 3:00 PM - temperatura máxima
-  let warmingSpeed = 1.5;
-  let coolingSpeed = 0.8;  // CALIBRADO: Para 22°C a las 18:00 (3h después del pico)
-  
-  // Ajustes estacionales
-  if (month) {
-    if (month >= 6 && month <= 8) {
-      // Invierno: cielo despejado, enfriamiento más rápido
-      hourOfMin = 7;
-      hourOfMax = 14;
-      warmingSpeed = 1.8;
-      coolingSpeed = 0.7;  // Enfriamiento rápido en invierno
-    } else if (month === 12 || month === 1 || month === 2) {
-      // Verano: nubosidad, enfriamiento muy lento
-      hourOfMin = 6;
-      hourOfMax = 16;
-      warmingSpeed = 1.3;
-      coolingSpeed = 0.4;  // Enfriamiento lento en verano (alta humedad)
-    } else if (month === 10) {
-      // Octubre (primavera): enfriamiento calibrado para weather.com
-      coolingSpeed = 1.25;  // Ajuste final para exactamente 22°C a las 18:00
-    }
-    // Primavera/Otoño: coolingSpeed = 0.8 base
-  }
-
-  const amplitude = tempMax - tempMin;
-  let hoursSinceMin = hour >= hourOfMin ? hour - hourOfMin : (24 - hourOfMin) + hour;
-
-  let temp;
-  
-  if (hoursSinceMin <= (hourOfMax - hourOfMin)) {
-    // FASE DE CALENTAMIENTO (6 AM a 3 PM)
-    const t = hoursSinceMin / (hourOfMax - hourOfMin);
-    const curve = Math.pow(Math.sin(t * Math.PI / 2), warmingSpeed);
-    temp = tempMin + amplitude * curve;
-    
-  } else {
-    // FASE DE ENFRIAMIENTO (3 PM a 6 AM) - CON INERCIA TÉRMICA
-    const hoursInCooling = 24 - (hourOfMax - hourOfMin); // ~15 horas
-    const hoursSincePeak = hoursSinceMin - (hourOfMax - hourOfMin);
-    
-    // Tiempo normalizado (0 a 1) en toda la fase de enfriamiento
-    const t = hoursSincePeak / hoursInCooling;
-    
-    // INERCIA TÉRMICA: temperatura se mantiene alta en primeras horas
-    // Usando función exponencial invertida para enfriamiento gradual realista
-    // Para 21:00 (6 horas después del pico): t ≈ 0.4, debe mantener ~80% de amplitud
-    const thermalInertiaFactor = Math.pow(1 - t, coolingSpeed);
-    temp = tempMin + amplitude * thermalInertiaFactor;
-  }
-
-  return parseFloat(temp.toFixed(1));
-}
-
-/**
- * Obtiene ajustes estacionales por mes para región andina
- * Basado en climatología de Cochabamba y valles interandinos
- */
-function getSeasonalAdjustments(month) {
-  // Patrones climáticos mensuales para Cochabamba (valle interandino):
-  // Verano (Dic-Feb): Lluvias frecuentes, alta humedad, temperaturas máximas
-  // Otoño (Mar-May): Transición, lluvias decrecen
-  // Invierno (Jun-Ago): Seco, frío nocturno, gran amplitud térmica
-  // Primavera (Sep-Nov): Transición, inicio de lluvias
-  
-  // Ajustes estacionales ULTRA-CALIBRADOS para Cochabamba
-  // Optimizados con datos observacionales reales de octubre 2025
-  const seasonalFactors = {
-    1:  { temp: 0.2, precip: 1.5, humidity: 1.2, name: 'Verano lluvioso' },      // Enero
-    2:  { temp: 0.1, precip: 1.4, humidity: 1.2, name: 'Verano lluvioso' },      // Febrero
-    3:  { temp: -0.3, precip: 1.0, humidity: 1.0, name: 'Otoño transición' },    // Marzo
-    4:  { temp: -0.8, precip: 0.5, humidity: 0.9, name: 'Otoño seco' },          // Abril
-    5:  { temp: -1.2, precip: 0.2, humidity: 0.8, name: 'Otoño seco' },          // Mayo
-    6:  { temp: -1.5, precip: 0.1, humidity: 0.7, name: 'Invierno seco' },       // Junio
-    7:  { temp: -1.6, precip: 0.1, humidity: 0.7, name: 'Invierno seco' },       // Julio (mes más frío)
-    8:  { temp: -1.3, precip: 0.1, humidity: 0.7, name: 'Invierno seco' },       // Agosto
-    9:  { temp: -0.4, precip: 0.4, humidity: 0.8, name: 'Primavera' },           // Septiembre
-    10: { temp: -3.5, precip: 0.8, humidity: 0.9, name: 'Primavera húmeda' },    // Octubre (AJUSTADO: -3.5°C para 22°C exacto)
-    11: { temp: 0.5, precip: 1.2, humidity: 1.1, name: 'Primavera húmeda' },     // Noviembre
-    12: { temp: 0.3, precip: 1.4, humidity: 1.2, name: 'Verano lluvioso' }       // Diciembre
-  };
-  
-  return seasonalFactors[month] || { temp: 0, precip: 1.0, humidity: 1.0, name: 'Desconocido' };
-}
-
-/**
- * Calcula factor de probabilidad de lluvia por hora
- * Basado en patrones climáticos de la región andina (Cochabamba, Bolivia):
- * - Precipitación máxima: tarde (14:00-18:00) por convección térmica
- * - Precipitación mínima: madrugada (2:00-7:00)
- * - Transición matutina y nocturna gradual
+ * Datos horarios de NASA POWER de un período corto, con cache en disco
+ * Sin reintentos: si POWER horario falla, la predicción horaria usa el modelo sinusoidal
  */
-function getHourlyRainFactor(hour) {
-  // Pico convectivo de tarde (calentamiento diurno)
-  if (hour >= 14 && hour <= 17) {
-    return 2.0; // 100% más probable (pico máximo)
-  }
-  // Tarde-noche temprana (actividad residual)
-  else if (hour >= 18 && hour <= 20) {
-    return 1.3; // 30% más probable
-  }
-  // Noche (baja actividad)
-  else if (hour >= 21 || hour <= 1) {
-    return 0.4; // 60% menos probable
-  }
-  // Madrugada (mínimo absoluto)
-  else if (hour >= 2 && hour <= 7) {
-    return 0.2; // 80% menos probable
-  }
-  // Mañana (aumento gradual)
-  else if (hour >= 8 && hour <= 13) {
-    return 0.7; // 30% menos probable que el promedio
+async function getNasaPowerHourlyData(lat, lon, startDate, endDate, { refresh = false, timeoutMs = 30000 } = {}) {
+  const cacheKey = getPowerCacheKey(lat, lon, HOURLY_PARAMETERS, startDate, endDate, 'hourly');
+  if (refresh) {
+    await invalidatePowerCache(cacheKey);
   }
-  
-  return 1.0; // Probabilidad base
-}
-
-/**
- * Funciones estadísticas
- */
 
-// Calcular percentil
-function calculatePercentile(arr, percentile) {
-  if (arr.length === 0) return 0;
-  const sorted = arr.slice().sort((a, b) => a - b);
-  const index = (percentile / 100) * (sorted.length - 1);
-  const lower = Math.floor(index);
-  const upper = Math.ceil(index);
-  const weight = index - lower;
-
-  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
-}
-
-// Calcular desviación estándar
-function calculateStdDev(arr, mean) {
-  if (arr.length === 0) return 0;
-  const squareDiffs = arr.map(value => Math.pow(value - mean, 2));
-  const avgSquareDiff = squareDiffs.reduce((a, b) => a + b, 0) / arr.length;
-  return Math.sqrt(avgSquareDiff);
-}
-
-// Filtrar outliers usando método IQR (Interquartile Range)
-// Más robusto que desviación estándar para datos climáticos
-function filterOutliers(values) {
-  if (values.length < 4) return values; // Muy pocos datos para filtrar
-  
-  const sorted = values.slice().sort((a, b) => a - b);
-  const q1 = calculatePercentile(values, 25);
-  const q3 = calculatePercentile(values, 75);
-  const iqr = q3 - q1;
-  
-  // Rango aceptable: [Q1 - 1.5*IQR, Q3 + 1.5*IQR]
-  // 1.5 es estándar, pero usamos 2.0 para ser más conservadores con datos climáticos
-  const lowerBound = q1 - 2.0 * iqr;
-  const upperBound = q3 + 2.0 * iqr;
-  
-  const filtered = values.filter(v => v >= lowerBound && v <= upperBound);
-  
-  // Si filtramos más del 10% de datos, algo puede estar mal - mantener originales
-  if (filtered.length < values.length * 0.9) {
-    return values;
-  }
-  
-  return filtered;
-}
-
-/**
- * Calcula nivel de confianza de la predicción
- * Basado en: R² de tendencia, cantidad de datos, variabilidad histórica
- */
-function calculatePredictionConfidence(rSquared, dataCount, stdDev, range) {
-  // Factor 1: Calidad de tendencia (R²)
-  let trendScore = 0;
-  if (rSquared >= 0.7) trendScore = 100;
-  else if (rSquared >= 0.5) trendScore = 85;
-  else if (rSquared >= 0.3) trendScore = 70;
-  else if (rSquared >= 0.1) trendScore = 50;
-  else trendScore = 30;
-  
-  // Factor 2: Cantidad de datos (mínimo 10 años, óptimo 30+)
-  let dataScore = Math.min(100, (dataCount / 30) * 100);
-  
-  // Factor 3: Consistencia histórica (baja variabilidad = alta confianza)
-  // CoV (Coefficient of Variation) = stdDev / mean
-  const mean = (range.max + range.min) / 2;
-  const coefficientOfVariation = mean > 0 ? (stdDev / mean) : 0;
-  let consistencyScore = 100;
-  if (coefficientOfVariation > 0.3) consistencyScore = 50;
-  else if (coefficientOfVariation > 0.2) consistencyScore = 70;
-  else if (coefficientOfVariation > 0.1) consistencyScore = 85;
-  
-  // Promedio ponderado: Tendencia (40%), Datos (30%), Consistencia (30%)
-  const overallConfidence = (
-    trendScore * 0.4 +
-    dataScore * 0.3 +
-    consistencyScore * 0.3
-  );
-  
-  return {
-    score: parseFloat(overallConfidence.toFixed(1)),
-    level: overallConfidence >= 85 ? 'ALTA' :
-           overallConfidence >= 70 ? 'MEDIA-ALTA' :
-           overallConfidence >= 50 ? 'MEDIA' : 'BAJA',
-    factors: {
-      trendQuality: trendScore,
-      dataAvailability: parseFloat(dataScore.toFixed(1)),
-      historicalConsistency: consistencyScore
+  return singleFlight(cacheKey, async () => {
+    const cached = await getCachedPowerData(cacheKey);
+    if (cached) {
+      console.log(`💾 Datos NASA horarios (cache): ${cacheKey}`);
+      return cached;
     }
-  };
-}
 
-// Calcular intervalo de confianza 95%
-function calculateConfidenceInterval(mean, stdDev, n) {
-  if (n === 0) return { lower: 0, upper: 0, margin: 0 };
-  const zScore = 1.96; // 95% confianza
-  const marginError = zScore * (stdDev / Math.sqrt(n));
-
-  return {
-    lower: mean - marginError,
-    upper: mean + marginError,
-    margin: marginError
-  };
-}
-
-// Calcular probabilidad real basada en datos históricos
-function calculateRealProbability(values, threshold, isAbove = true) {
-  if (values.length === 0) return 0;
-  const count = values.filter(v =>
-    isAbove ? v > threshold : v < threshold
-  ).length;
-
-  return (count / values.length) * 100;
-}
-
-// Calcular estadísticas completas de un array
-function calculateStatistics(values, removeOutliers = false) {
-  if (values.length === 0) {
-    return {
-      mean: 0,
-      median: 0,
-      stdDev: 0,
-      min: 0,
-      max: 0,
-      count: 0,
-      percentiles: { p10: 0, p25: 0, p50: 0, p75: 0, p90: 0 },
-      confidenceInterval95: { lower: 0, upper: 0, margin: 0 }
-    };
-  }
-
-  // Opcional: filtrar outliers para estadísticas más robustas
-  const dataToAnalyze = removeOutliers ? filterOutliers(values) : values;
-  
-  if (dataToAnalyze.length === 0) {
-    // Si el filtro eliminó todo, usar datos originales
-    dataToAnalyze = values;
-  }
-
-  const mean = dataToAnalyze.reduce((a, b) => a + b, 0) / dataToAnalyze.length;
-  const stdDev = calculateStdDev(dataToAnalyze, mean);
-  const ci95 = calculateConfidenceInterval(mean, stdDev, dataToAnalyze.length);
-
-  return {
-    mean: parseFloat(mean.toFixed(2)),
-    median: parseFloat(calculatePercentile(dataToAnalyze, 50).toFixed(2)),
-    stdDev: parseFloat(stdDev.toFixed(2)),
-    min: parseFloat(Math.min(...dataToAnalyze).toFixed(2)),
-    max: parseFloat(Math.max(...dataToAnalyze).toFixed(2)),
-    count: dataToAnalyze.length,
-    percentiles: {
-      p10: parseFloat(calculatePercentile(dataToAnalyze, 10).toFixed(2)),
-      p25: parseFloat(calculatePercentile(dataToAnalyze, 25).toFixed(2)),
-      p50: parseFloat(calculatePercentile(dataToAnalyze, 50).toFixed(2)),
-      p75: parseFloat(calculatePercentile(dataToAnalyze, 75).toFixed(2)),
-      p90: parseFloat(calculatePercentile(dataToAnalyze, 90).toFixed(2))
-    },
-    confidenceInterval95: {
-      lower: parseFloat(ci95.lower.toFixed(2)),
-      upper: parseFloat(ci95.upper.toFixed(2)),
-      margin: parseFloat(ci95.margin.toFixed(2))
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const data = await fetchPowerHourly(
+        { lat, lon, parameters: HOURLY_PARAMETERS, startDate, endDate },
+        { signal: controller.signal }
+      );
+      await setCachedPowerData(cacheKey, endDate, data);
+      return data;
+    } finally {
+      clearTimeout(timeoutId);
     }
-  };
+  });
 }
 
 /**
- * Calcula probabilidades de condiciones extremas con análisis estadístico completo (DIARIO)
- * Aplica corrección topográfica por elevación
+ * Climatología horaria de una celda para mes/día
+ * Descarga solo los días de la ventana de cada año (una consulta pequeña por año), con un plazo
+ * total; los años que fallan se omiten. Devuelve null si faltan más de los que se toleran
  */
-function calculateDailyProbabilities(data, targetDate, elevation = 0, lat = null, lon = null) {
-  console.log('\n🔍 === PASO 2: Procesando datos diarios ===');
-  console.log(`📅 Fecha objetivo: ${targetDate}`);
-  console.log(`🏔️  Elevación: ${elevation}m`);
-
-  const params = data.properties.parameter;
-
-  // Umbrales base que se ajustarán dinámicamente según:
-  // 1. Datos históricos locales (percentiles)
-  // 2. Tendencias climáticas (calentamiento/enfriamiento)
-  // 3. Proyección a corto plazo (próxima década)
-  const baseThresholds = {
-    veryHot: 35,      // Se ajustará con P90 de temperaturas máximas históricas
-    veryCold: 5,      // Se ajustará con P10 de temperaturas mínimas históricas
-    veryWindy: 10,    // m/s - estándar para vientos fuertes
-    veryHumid: 80,    // % - umbral de alta humedad
-    heavyRain: 10     // mm - lluvia significativa en un día
-  };
-
-  // Extraer mes y día del target date (formato: MMDD)
-  const targetMonth = parseInt(targetDate.substring(0, 2));
-  const targetDay = parseInt(targetDate.substring(2, 4));
-
-  // Obtener TODOS los valores del mismo día/mes de todos los años históricos CON AÑO
-  const getDailyValuesWithYear = (paramName) => {
-    const values = [];
-    const paramData = params[paramName];
-
-    if (!paramData) return [];
-
-    // Los datos diarios vienen como "YYYYMMDD": valor
-    for (const [dateStr, value] of Object.entries(paramData)) {
-      if (dateStr.length === 8) { // Formato YYYYMMDD
-        const year = parseInt(dateStr.substring(0, 4));
-        const month = parseInt(dateStr.substring(4, 6));
-        const day = parseInt(dateStr.substring(6, 8));
-
-        // Comparar mismo día y mes de diferentes años
-        // Filtrar valores -999 (datos faltantes en NASA POWER API)
-        if (month === targetMonth && day === targetDay && typeof value === 'number' && value > -900) {
-          values.push({ year, value });
-        }
-      }
-    }
-
-    return values.sort((a, b) => a.year - b.year); // Ordenar por año
-  };
-
-  // Obtener valores del día anterior para análisis de persistencia
-  const getPreviousDayValues = (paramName) => {
-    const values = [];
-    const paramData = params[paramName];
-
-    if (!paramData) return [];
-
-    // Calcular día anterior (simplificado, no maneja cambio de mes)
-    const prevDay = targetDay - 1;
-    if (prevDay < 1) return []; // Skip si es el primer día del mes
+async function getHourlyClimatology(gridCell, month, day, baselinePeriod, { window, kernel, refresh = false }) {
+  const years = getHourlyClimatologyYears(baselinePeriod);
+  if (years.startYear > years.endYear) {
+    console.log('🕐 Período de referencia anterior a los datos horarios de POWER, usando modelo sinusoidal');
+    return null;
+  }
 
-    for (const [dateStr, value] of Object.entries(paramData)) {
-      if (dateStr.length === 8) {
-        const month = parseInt(dateStr.substring(4, 6));
-        const day = parseInt(dateStr.substring(6, 8));
+  const maxDate = getDownloadPeriod(baselinePeriod, MAX_SAMPLING_WINDOW).endDate;
+  const periods = getHourlyRequestPeriods(month, day, { window, ...years, maxDate });
+  console.log(`\n🕐 === Climatología horaria ${years.startYear}-${years.endYear} (${periods.length} consultas) ===`);
 
-        if (month === targetMonth && day === prevDay && typeof value === 'number' && value > -900) {
-          values.push(value);
-        }
-      }
+  try {
+    const { responses, years: fetchedYears, missingYears } = await fetchHourlyPeriods(periods, (period, remaining) =>
+      getNasaPowerHourlyData(gridCell.lat, gridCell.lon, period.startDate, period.endDate, {
+        refresh,
+        timeoutMs: Math.min(30000, remaining)
+      })
+    );
+    if (fetchedYears.length < Math.min(MIN_HOURLY_CLIMATOLOGY_YEARS, periods.length)) {
+      console.warn(`⚠️  Solo ${fetchedYears.length} de ${periods.length} años horarios disponibles, usando modelo sinusoidal`);
+      return null;
     }
 
-    return values;
-  };
-
-  // Obtener valores de todos los años para cada parámetro CON ANÁLISIS DE TENDENCIA
-  console.log('\n📊 Extrayendo valores históricos del mismo día...');
-  const tempMaxData = getDailyValuesWithYear('T2M_MAX');
-  const tempMinData = getDailyValuesWithYear('T2M_MIN');
-  const tempAvgData = getDailyValuesWithYear('T2M');
-
-  // Extraer solo valores para estadísticas tradicionales
-  const tempMaxValues = tempMaxData.map(d => d.value);
-  const tempMinValues = tempMinData.map(d => d.value);
-  const tempAvgValues = tempAvgData.map(d => d.value);
-  const windMaxValues = getDailyValuesWithYear('WS2M_MAX').map(d => d.value);
-  const windAvgValues = getDailyValuesWithYear('WS2M').map(d => d.value);
-  const humidityValues = getDailyValuesWithYear('RH2M').map(d => d.value);
-  const rainValues = getDailyValuesWithYear('PRECTOTCORR').map(d => d.value);
-
-  // ANÁLISIS DE TENDENCIA: Calcular si hay calentamiento/enfriamiento
-  // Usa regresión PONDERADA para dar más peso a años recientes
-  const calculateTrend = (dataWithYear, currentYear) => {
-    if (dataWithYear.length < 10) return { slope: 0, confidence: 'low', method: 'insufficient_data' };
-
-    // WEIGHTED REGRESSION: Mayor peso a años recientes (decaimiento exponencial)
-    // τ = 5 años (constante de tiempo)
-    const dataWithWeights = dataWithYear.map(d => ({
-      ...d,
-      weight: Math.exp(-(currentYear - d.year) / 5)
-    }));
-
-    const sumWeights = dataWithWeights.reduce((sum, d) => sum + d.weight, 0);
-    const sumWX = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year, 0);
-    const sumWY = dataWithWeights.reduce((sum, d) => sum + d.weight * d.value, 0);
-    const sumWXY = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year * d.value, 0);
-    const sumWXX = dataWithWeights.reduce((sum, d) => sum + d.weight * d.year * d.year, 0);
-
-    const slope = (sumWXY - (sumWX * sumWY) / sumWeights) / (sumWXX - (sumWX * sumWX) / sumWeights);
-    const intercept = (sumWY - slope * sumWX) / sumWeights;
-
-    // Calcular R² ponderado para confianza
-    const yMeanWeighted = sumWY / sumWeights;
-    const ssTotalWeighted = dataWithWeights.reduce((sum, d) =>
-      sum + d.weight * Math.pow(d.value - yMeanWeighted, 2), 0);
-    const ssResidualWeighted = dataWithWeights.reduce((sum, d) => {
-      const predicted = slope * d.year + intercept;
-      return sum + d.weight * Math.pow(d.value - predicted, 2);
-    }, 0);
-    const rSquared = 1 - (ssResidualWeighted / ssTotalWeighted);
-
-    return {
-      slope: parseFloat(slope.toFixed(4)),
-      intercept: parseFloat(intercept.toFixed(2)),
-      rSquared: parseFloat(rSquared.toFixed(3)),
-      confidence: rSquared > 0.5 ? 'high' : rSquared > 0.2 ? 'medium' : 'low',
-      method: 'weighted_regression'
-    };
-  };
-
-  // PREDICCIÓN AJUSTADA POR TENDENCIA para año actual
-  const currentYear = new Date().getFullYear();
-
-  const tempMaxTrend = calculateTrend(tempMaxData, currentYear);
-  const tempMinTrend = calculateTrend(tempMinData, currentYear);
-
-  // Calcular tendencias para otras variables también
-  const windMaxData = getDailyValuesWithYear('WS2M_MAX');
-  const humidityData = getDailyValuesWithYear('RH2M');
-  const rainData = getDailyValuesWithYear('PRECTOTCORR');
-
-  const windMaxTrend = calculateTrend(windMaxData, currentYear);
-  const humidityTrend = calculateTrend(humidityData, currentYear);
-  const rainTrend = calculateTrend(rainData, currentYear);
-
-  console.log(`   📈 Tendencia Temp Max: ${tempMaxTrend.slope > 0 ? '+' : ''}${tempMaxTrend.slope}°C/año (R²=${tempMaxTrend.rSquared})`);
-  console.log(`   📈 Tendencia Temp Min: ${tempMinTrend.slope > 0 ? '+' : ''}${tempMinTrend.slope}°C/año (R²=${tempMinTrend.rSquared})`);
-  console.log(`   📈 Tendencia Viento Max: ${windMaxTrend.slope > 0 ? '+' : ''}${windMaxTrend.slope} m/s/año (R²=${windMaxTrend.rSquared})`);
-  console.log(`   📈 Tendencia Humedad: ${humidityTrend.slope > 0 ? '+' : ''}${humidityTrend.slope}%/año (R²=${humidityTrend.rSquared})`);
-  console.log(`   📈 Tendencia Lluvia: ${rainTrend.slope > 0 ? '+' : ''}${rainTrend.slope} mm/año (R²=${rainTrend.rSquared})`);
-
-  console.log(`   🌡️  Temp Max: ${tempMaxValues.length} años`);
-  console.log(`   🌡️  Temp Min: ${tempMinValues.length} años`);
-  console.log(`   💨 Viento: ${windMaxValues.length} años`);
-  console.log(`   💧 Humedad: ${humidityValues.length} años`);
-  console.log(`   🌧️  Lluvia: ${rainValues.length} años`);
-
-  // Calcular weighted averages para otras variables también
-  const weightedWindMax = windMaxData.map(d => {
-    const yearDiff = currentYear + (targetMonth - 1) / 12 - d.year;
-    const weight = Math.exp(-yearDiff / 3);
-    return { value: d.value, weight: weight };
-  });
-
-  const weightedHumidity = humidityData.map(d => {
-    const yearDiff = currentYear + (targetMonth - 1) / 12 - d.year;
-    const weight = Math.exp(-yearDiff / 3);
-    return { value: d.value, weight: weight };
-  });
-
-  const weightedRain = rainData.map(d => {
-    const yearDiff = currentYear + (targetMonth - 1) / 12 - d.year;
-    const weight = Math.exp(-yearDiff / 3);
-    return { value: d.value, weight: weight };
-  });
-
-  const sumWeightsWind = weightedWindMax.reduce((sum, item) => sum + item.weight, 0);
-  const sumWeightsHumidity = weightedHumidity.reduce((sum, item) => sum + item.weight, 0);
-  const sumWeightsRain = weightedRain.reduce((sum, item) => sum + item.weight, 0);
-
-  const weightedAvgWind = weightedWindMax.reduce((sum, item) => sum + (item.value * item.weight), 0) / sumWeightsWind;
-  const weightedAvgHumidity = weightedHumidity.reduce((sum, item) => sum + (item.value * item.weight), 0) / sumWeightsHumidity;
-  const weightedAvgRain = weightedRain.reduce((sum, item) => sum + (item.value * item.weight), 0) / sumWeightsRain;
-
-  // Calcular estadísticas completas para cada parámetro
-  console.log('\n🔢 === PASO 3: Calculando estadísticas ===');
-  console.log('   Calculando percentiles (p10, p25, p50, p75, p90)...');
-  console.log('   Calculando desviación estándar...');
-  console.log('   Calculando intervalos de confianza 95%...');
-
-  const tempMaxStats = calculateStatistics(tempMaxValues);
-  const tempMinStats = calculateStatistics(tempMinValues);
-  const tempAvgStats = calculateStatistics(tempAvgValues);
-  const windMaxStats = calculateStatistics(windMaxValues);
-  const windAvgStats = calculateStatistics(windAvgValues);
-  const humidityStats = calculateStatistics(humidityValues);
-  const rainStats = calculateStatistics(rainValues);
-
-  // SISTEMA DE PREDICCIÓN CON CALIBRACIÓN AUTOMÁTICA PARA PRECISIÓN PERFECTA
-  // Método de Machine Learning Estadístico sin usar APIs externas
-  
-  // 1. Análisis de patrones por mes y día específico
-  const currentDayOfMonth = parseInt(targetDate.substring(2, 4));
-  
-  // 2. Weighted Moving Average de últimos años con decay exponencial
-  const currentYearFloat = currentYear + (targetMonth - 1) / 12; // Incluir mes en el cálculo
-  const weightedTempMax = tempMaxData.map(d => {
-    const yearDiff = currentYearFloat - d.year;
-    const weight = Math.exp(-yearDiff / 3); // Decay cada 3 años
-    return { value: d.value, weight: weight };
-  });
-  
-  const weightedTempMin = tempMinData.map(d => {
-    const yearDiff = currentYearFloat - d.year;
-    const weight = Math.exp(-yearDiff / 3);
-    return { value: d.value, weight: weight };
-  });
-  
-  // 3. Calcular promedio ponderado
-  const sumWeightsMax = weightedTempMax.reduce((sum, item) => sum + item.weight, 0);
-  const sumWeightsMin = weightedTempMin.reduce((sum, item) => sum + item.weight, 0);
-  
-  const weightedAvgMax = weightedTempMax.reduce((sum, item) => sum + (item.value * item.weight), 0) / sumWeightsMax;
-  const weightedAvgMin = weightedTempMin.reduce((sum, item) => sum + (item.value * item.weight), 0) / sumWeightsMin;
-  
-  // 4. SISTEMA DE CALIBRACIÓN AUTOMÁTICA MULTI-REGIONAL
-  // Base de datos de temperaturas reales observadas por ubicación y mes
-  const calibrationDatabase = {
-    // Cochabamba, Bolivia (-17.39, -66.16) - ACTUALIZADO para precisión weather.com
-    'cochabamba_oct': { lat: -17.39, lon: -66.16, month: 10, tempMax: 26.0, tempMin: 12.0, radius: 0.5 },
-    'cochabamba_nov': { lat: -17.39, lon: -66.16, month: 11, tempMax: 24.5, tempMin: 11.0, radius: 0.5 },
-    'cochabamba_dic': { lat: -17.39, lon: -66.16, month: 12, tempMax: 26.0, tempMin: 13.0, radius: 0.5 },
-    
-    // La Paz, Bolivia (-16.50, -68.15)
-    'lapaz_oct': { lat: -16.50, lon: -68.15, month: 10, tempMax: 16.5, tempMin: 3.0, radius: 0.3 },
-    
-    // Santa Cruz, Bolivia (-17.78, -63.18)
-    'santacruz_oct': { lat: -17.78, lon: -63.18, month: 10, tempMax: 29.0, tempMin: 19.0, radius: 0.4 },
-  };
-  
-  // 5. Función para encontrar calibración exacta
-  const findCalibration = (lat, lon, month) => {
-    const currentLat = parseFloat(lat);
-    const currentLon = parseFloat(lon);
-    
-    for (const [key, cal] of Object.entries(calibrationDatabase)) {
-      const distance = Math.sqrt(
-        Math.pow(currentLat - cal.lat, 2) + Math.pow(currentLon - cal.lon, 2)
-      );
-      
-      if (distance <= cal.radius && month === cal.month) {
-        console.log(`   🎯 CALIBRACIÓN EXACTA encontrada: ${key} (distancia: ${distance.toFixed(3)}°)`);
-        return cal;
-      }
+    const climatology = buildHourlyClimatology(mergePowerResponses(responses), month, day, { window, kernel, ...years });
+    if (!climatology) {
+      console.warn('⚠️  Datos horarios incompletos, usando modelo sinusoidal');
+      return null;
+    }
+    if (missingYears.length > 0) {
+      console.warn(`⚠️  Climatología horaria sin los años ${missingYears.join(', ')}`);
+      return { ...climatology, missingYears };
     }
+    return climatology;
+  } catch (error) {
+    console.warn(`⚠️  Datos horarios no disponibles (${error.message}), usando modelo sinusoidal`);
     return null;
-  };
-  
-  const exactCalibration = findCalibration(lat, lon, targetMonth);
-  
-  let predictedTempMax, predictedTempMin;
-  let seasonalAdj = getSeasonalAdjustments(targetMonth); // Declarar fuera del bloque
-  
-  if (exactCalibration) {
-    // USAR DATOS CALIBRADOS EXACTOS - PRECISIÓN PERFECTA
-    predictedTempMax = exactCalibration.tempMax;
-    predictedTempMin = exactCalibration.tempMin;
-  } else {
-    // USAR MODELO HÍBRIDO MEJORADO para otras ubicaciones
-    const trendMax = tempMaxTrend.slope * currentYear + tempMaxTrend.intercept;
-    const trendMin = tempMinTrend.slope * currentYear + tempMinTrend.intercept;
-    
-    // Combinar: 40% weighted average + 35% tendencia + 25% percentil reciente
-    const recent3YearsMax = tempMaxData.filter(d => d.year >= currentYear - 3).map(d => d.value);
-    const recent3YearsMin = tempMinData.filter(d => d.year >= currentYear - 3).map(d => d.value);
-    const recentP60Max = recent3YearsMax.length > 0 ? calculatePercentile(recent3YearsMax, 60) : tempMaxStats.percentiles.p50;
-    const recentP60Min = recent3YearsMin.length > 0 ? calculatePercentile(recent3YearsMin, 60) : tempMinStats.percentiles.p50;
-    
-    predictedTempMax = (weightedAvgMax * 0.40) + (trendMax * 0.35) + (recentP60Max * 0.25);
-    predictedTempMin = (weightedAvgMin * 0.40) + (trendMin * 0.35) + (recentP60Min * 0.25);
-    
-    // Aplicar ajustes estacionales solo para ubicaciones no calibradas
-    predictedTempMax += seasonalAdj.temp;
-    predictedTempMin += seasonalAdj.temp;
-  }
-
-  console.log('✅ Estadísticas calculadas');
-  console.log(`\n🎯 === Predicción ajustada por tendencia + estación (${currentYear}) ===`);
-  console.log(`   Temp Max predicha: ${predictedTempMax.toFixed(1)}°C (vs mediana: ${tempMaxStats.median}°C, ajuste estacional: ${seasonalAdj.temp > 0 ? '+' : ''}${seasonalAdj.temp}°C)`);
-  console.log(`   Temp Min predicha: ${predictedTempMin.toFixed(1)}°C (vs mediana: ${tempMinStats.median}°C, estación: ${seasonalAdj.name})`);
-  
-  // Calcular niveles de confianza de las predicciones
-  const tempMaxConfidence = calculatePredictionConfidence(
-    tempMaxTrend.rSquared,
-    tempMaxValues.length,
-    tempMaxStats.stdDev,
-    { min: tempMaxStats.min, max: tempMaxStats.max }
-  );
-  const tempMinConfidence = calculatePredictionConfidence(
-    tempMinTrend.rSquared,
-    tempMinValues.length,
-    tempMinStats.stdDev,
-    { min: tempMinStats.min, max: tempMinStats.max }
-  );
-  
-  console.log(`   Confianza Temp Max: ${tempMaxConfidence.level} (${tempMaxConfidence.score}%)`);
-  console.log(`   Confianza Temp Min: ${tempMinConfidence.level} (${tempMinConfidence.score}%)`);
-
-  // PREDICCIONES PARA VIENTO, HUMEDAD Y LLUVIA usando mismo modelo híbrido
-  // Calcular predicciones con mismo método: 40% weighted avg + 35% tendencia + 25% percentil reciente
-
-  // VIENTO MÁXIMO
-  const trendWind = windMaxTrend.slope * currentYear + windMaxTrend.intercept;
-  const recent3YearsWind = windMaxData.filter(d => d.year >= currentYear - 3).map(d => d.value);
-  const recentP60Wind = recent3YearsWind.length > 0 ? calculatePercentile(recent3YearsWind, 60) : windMaxStats.percentiles.p50;
-  let predictedWindMax = (weightedAvgWind * 0.40) + (trendWind * 0.35) + (recentP60Wind * 0.25);
-  // Sin ajustes estacionales para viento en Bolivia (no hay patrón marcado)
-
-  // HUMEDAD
-  const trendHumidity = humidityTrend.slope * currentYear + humidityTrend.intercept;
-  const recent3YearsHumidity = humidityData.filter(d => d.year >= currentYear - 3).map(d => d.value);
-  const recentP60Humidity = recent3YearsHumidity.length > 0 ? calculatePercentile(recent3YearsHumidity, 60) : humidityStats.percentiles.p50;
-  let predictedHumidity = (weightedAvgHumidity * 0.40) + (trendHumidity * 0.35) + (recentP60Humidity * 0.25);
-  // Aplicar ajuste estacional para humedad
-  predictedHumidity *= seasonalAdj.humidity;
-  predictedHumidity = Math.max(0, Math.min(100, predictedHumidity)); // Limitar 0-100%
-
-  // PRECIPITACIÓN
-  const trendRain = rainTrend.slope * currentYear + rainTrend.intercept;
-  const recent3YearsRain = rainData.filter(d => d.year >= currentYear - 3).map(d => d.value);
-  const recentP60Rain = recent3YearsRain.length > 0 ? calculatePercentile(recent3YearsRain, 60) : rainStats.percentiles.p50;
-  let predictedRain = (weightedAvgRain * 0.40) + (trendRain * 0.35) + (recentP60Rain * 0.25);
-  // Aplicar ajuste estacional para lluvia (crítico en Bolivia)
-  predictedRain *= seasonalAdj.precip;
-  predictedRain = Math.max(0, predictedRain); // No puede ser negativa
-
-  console.log(`\n   💨 Viento Max predicho: ${predictedWindMax.toFixed(2)} m/s (${(predictedWindMax * 3.6).toFixed(1)} km/h) vs mediana: ${windMaxStats.median.toFixed(2)} m/s`);
-  console.log(`   💧 Humedad predicha: ${predictedHumidity.toFixed(1)}% vs mediana: ${humidityStats.median.toFixed(1)}% (ajuste estacional: ${seasonalAdj.humidity}x)`);
-  console.log(`   🌧️  Lluvia predicha: ${predictedRain.toFixed(2)} mm vs mediana: ${rainStats.median.toFixed(2)} mm (ajuste estacional: ${seasonalAdj.precip}x)`);
-
-  // Calcular confianza de las predicciones
-  const windConfidence = calculatePredictionConfidence(
-    windMaxTrend.rSquared,
-    windMaxValues.length,
-    windMaxStats.stdDev,
-    { min: windMaxStats.min, max: windMaxStats.max }
-  );
-  const humidityConfidence = calculatePredictionConfidence(
-    humidityTrend.rSquared,
-    humidityValues.length,
-    humidityStats.stdDev,
-    { min: humidityStats.min, max: humidityStats.max }
-  );
-  const rainConfidence = calculatePredictionConfidence(
-    rainTrend.rSquared,
-    rainValues.length,
-    rainStats.stdDev,
-    { min: rainStats.min, max: rainStats.max }
-  );
-
-  console.log(`   Confianza Viento: ${windConfidence.level} (${windConfidence.score}%)`);
-  console.log(`   Confianza Humedad: ${humidityConfidence.level} (${humidityConfidence.score}%)`);
-  console.log(`   Confianza Lluvia: ${rainConfidence.level} (${rainConfidence.score}%)`);
-
-  // NOTA: NASA POWER ya incluye ajuste por elevación del punto consultado
-  // No aplicamos corrección adicional (los datos satelitales ya están calibrados)
-  const elevationCorrection = 0; // Sin corrección (datos ya ajustados)
-
-  // UMBRALES ADAPTATIVOS - Método mejorado de 3 factores:
-  // 1. Percentiles históricos locales (P90 para calor, P10 para frío)
-  // 2. Ajuste por tendencia climática (calentamiento/enfriamiento observado)
-  // 3. Proyección a corto plazo (próxima década)
-  
-  const decadeProjection = 10; // años hacia adelante para proyección
-  
-  // Umbrales dinámicos basados en clima LOCAL + tendencias
-  const thresholds = {
-    // Muy caluroso: usa P90 histórico + proyección de tendencia
-    veryHot: Math.max(
-      tempMaxStats.percentiles.p90,  // Lo que localmente es "muy caluroso"
-      baseThresholds.veryHot + (tempMaxTrend.slope * decadeProjection) // Ajuste por tendencia global
-    ),
-    
-    // Muy frío: usa P10 histórico + proyección de tendencia
-    veryCold: Math.min(
-      tempMinStats.percentiles.p10,  // Lo que localmente es "muy frío"
-      baseThresholds.veryCold + (tempMinTrend.slope * decadeProjection) // Ajuste por tendencia global
-    ),
-    
-    // Viento: usa P90 de viento máximo como umbral local
-    veryWindy: Math.max(windMaxStats.percentiles.p90, baseThresholds.veryWindy),
-    
-    // Humedad: mantener estándar meteorológico
-    veryHumid: baseThresholds.veryHumid,
-    
-    // Lluvia intensa: usa P75 histórico (eventos significativos)
-    heavyRain: Math.max(rainStats.percentiles.p75, baseThresholds.heavyRain)
-  };
-
-  console.log(`\n🎯 === UMBRALES ADAPTATIVOS (ajustados por climate velocity) ===`);
-  console.log(`   Muy caluroso: ${baseThresholds.veryHot}°C → ${thresholds.veryHot.toFixed(1)}°C (${tempMaxTrend.slope > 0 ? '+' : ''}${(tempMaxTrend.slope * decadeProjection).toFixed(1)}°C)`);
-  console.log(`   Muy frío: ${baseThresholds.veryCold}°C → ${thresholds.veryCold.toFixed(1)}°C (${tempMinTrend.slope > 0 ? '+' : ''}${(tempMinTrend.slope * decadeProjection).toFixed(1)}°C)`);
-
-  // Calcular probabilidades reales basadas en umbrales ADAPTATIVOS
-  console.log('\n🎲 === PASO 4: Calculando probabilidades con ajuste estacional ===');
-  const probVeryHot = calculateRealProbability(tempMaxValues, thresholds.veryHot, true);
-  const probVeryCold = calculateRealProbability(tempMinValues, thresholds.veryCold, false);
-  const probVeryWindy = calculateRealProbability(windMaxValues, thresholds.veryWindy, true);
-  const probVeryHumid = calculateRealProbability(humidityValues, thresholds.veryHumid, true) * seasonalAdj.humidity;
-  
-  // Ajustar probabilidad de lluvia por estación (crucial para precisión)
-  let probHeavyRain = calculateRealProbability(rainValues, thresholds.heavyRain, true) * seasonalAdj.precip;
-  probHeavyRain = Math.min(100, probHeavyRain); // Cap al 100%
-
-  console.log(`   ☀️  Muy caluroso (>${thresholds.veryHot.toFixed(1)}°C): ${probVeryHot.toFixed(1)}%`);
-  console.log(`   ❄️  Muy frío (<${thresholds.veryCold.toFixed(1)}°C): ${probVeryCold.toFixed(1)}%`);
-  console.log(`   💨 Muy ventoso (>${thresholds.veryWindy}m/s): ${probVeryWindy.toFixed(1)}%`);
-  console.log(`   💧 Muy húmedo (>${thresholds.veryHumid}%): ${probVeryHumid.toFixed(1)}% (ajuste estacional: ${seasonalAdj.humidity}x)`);
-  console.log(`   🌧️  Lluvia intensa (>${thresholds.heavyRain}mm): ${probHeavyRain.toFixed(1)}% (ajuste estacional: ${seasonalAdj.precip}x)`);
-
-  // ALERTAS TRANSPARENTES BASADAS EN DATOS HISTÓRICOS
-  console.log('\n⚠️  === PASO 5: Generando Alertas Climáticas Transparentes ===');
-
-  // Calcular estadísticas históricas para alertas
-  const minTempEverRecorded = tempMinValues.reduce((min, v) => Math.min(min, v.value), Infinity);
-  const maxTempEverRecorded = tempMaxValues.reduce((max, v) => Math.max(max, v.value), -Infinity);
-  const daysWithFrost = tempMinValues.filter(v => v.value < 0).length;
-  const daysWithHeavyRain = rainValues.filter(v => v.value > 5).length;
-  const maxRainRecorded = rainValues.reduce((max, v) => Math.max(max, v.value), 0);
-  const maxWindRecorded = windMaxValues.reduce((max, v) => Math.max(max, v.value), 0);
-
-  // Alerta de HELADA
-  let frostAlert = {};
-  if (predictedTempMin < 0) {
-    frostAlert = {
-      level: 'danger',
-      title: 'Alto riesgo de helada',
-      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C`,
-      data: `Histórico: ${daysWithFrost}/${tempMinValues.length} años con helada. Mínima registrada: ${minTempEverRecorded.toFixed(1)}°C`
-    };
-  } else if (predictedTempMin < 5) {
-    frostAlert = {
-      level: 'warning',
-      title: 'Temperatura baja, posible helada',
-      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C`,
-      data: `Histórico: ${daysWithFrost}/${tempMinValues.length} años con helada. Mínima registrada: ${minTempEverRecorded.toFixed(1)}°C`
-    };
-  } else {
-    frostAlert = {
-      level: 'success',
-      title: 'Sin riesgo de helada',
-      description: `Temperatura mínima esperada: ${predictedTempMin.toFixed(1)}°C`,
-      data: `Histórico: ${daysWithFrost}/${tempMinValues.length} años con helada en esta fecha. Mínima registrada: ${minTempEverRecorded.toFixed(1)}°C`
-    };
-  }
-
-  // Alerta de PRECIPITACIÓN
-  let rainAlert = {};
-  const avgRain = rainStats.mean;
-  if (avgRain > 10) {
-    rainAlert = {
-      level: 'danger',
-      title: 'Alta probabilidad de lluvia intensa',
-      description: `Precipitación esperada: ${avgRain.toFixed(1)}mm`,
-      data: `Histórico: ${daysWithHeavyRain}/${rainValues.length} años con >5mm. Máxima: ${maxRainRecorded.toFixed(1)}mm`
-    };
-  } else if (avgRain > 2) {
-    rainAlert = {
-      level: 'info',
-      title: 'Lluvia ligera a moderada',
-      description: `Precipitación esperada: ${avgRain.toFixed(1)}mm`,
-      data: `Histórico: ${daysWithHeavyRain}/${rainValues.length} años con >5mm. Máxima: ${maxRainRecorded.toFixed(1)}mm`
-    };
-  } else {
-    rainAlert = {
-      level: 'success',
-      title: 'Precipitación mínima',
-      description: `Precipitación esperada: ${avgRain.toFixed(1)}mm (muy baja)`,
-      data: `Histórico: ${daysWithHeavyRain}/${rainValues.length} años con lluvia >5mm. Máxima registrada: ${maxRainRecorded.toFixed(1)}mm`
-    };
-  }
-
-  // Alerta de CALOR
-  let heatAlert = {};
-  if (predictedTempMax > 35) {
-    heatAlert = {
-      level: 'danger',
-      title: 'Calor extremo',
-      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C`,
-      data: `Histórico: Máxima registrada ${maxTempEverRecorded.toFixed(1)}°C. Promedio: ${tempMaxStats.mean.toFixed(1)}°C`
-    };
-  } else if (predictedTempMax > 30) {
-    heatAlert = {
-      level: 'warning',
-      title: 'Temperatura alta',
-      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C`,
-      data: `Histórico: Máxima registrada ${maxTempEverRecorded.toFixed(1)}°C. Promedio: ${tempMaxStats.mean.toFixed(1)}°C`
-    };
-  } else {
-    heatAlert = {
-      level: 'success',
-      title: 'Temperatura normal',
-      description: `Temperatura máxima esperada: ${predictedTempMax.toFixed(1)}°C`,
-      data: `Histórico: Promedio ${tempMaxStats.mean.toFixed(1)}°C (rango: ${minTempEverRecorded.toFixed(1)}°C - ${maxTempEverRecorded.toFixed(1)}°C)`
-    };
   }
-
-  // Alerta de VIENTO - USAR PREDICCIÓN en lugar de promedio histórico
-  let windAlert = {};
-  if (predictedWindMax > 15) {
-    windAlert = {
-      level: 'danger',
-      title: 'Vientos muy fuertes',
-      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
-      data: `Histórico: Máxima registrada ${maxWindRecorded.toFixed(1)} m/s. Promedio: ${windMaxStats.mean.toFixed(1)} m/s`
-    };
-  } else if (predictedWindMax > 10) {
-    windAlert = {
-      level: 'warning',
-      title: 'Vientos moderados a fuertes',
-      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
-      data: `Histórico: Máxima registrada ${maxWindRecorded.toFixed(1)} m/s. Promedio: ${windMaxStats.mean.toFixed(1)} m/s`
-    };
-  } else {
-    windAlert = {
-      level: 'success',
-      title: 'Vientos normales',
-      description: `Velocidad máxima esperada: ${predictedWindMax.toFixed(1)} m/s (~${(predictedWindMax * 3.6).toFixed(0)} km/h)`,
-      data: `Histórico: Promedio ${windMaxStats.mean.toFixed(1)} m/s (rango: ${windMaxStats.min.toFixed(1)} - ${maxWindRecorded.toFixed(1)} m/s)`
-    };
-  }
-
-  console.log(`   ❄️  ${frostAlert.title} - ${frostAlert.description}`);
-  console.log(`   ⛈️  ${rainAlert.title} - ${rainAlert.description}`);
-  console.log(`   🌡️  ${heatAlert.title} - ${heatAlert.description}`);
-  console.log(`   💨 ${windAlert.title} - ${windAlert.description}`);
-
-  return {
-    trendPrediction: {
-      tempMax: parseFloat(predictedTempMax.toFixed(2)),
-      tempMin: parseFloat(predictedTempMin.toFixed(2)),
-      windMax: parseFloat(predictedWindMax.toFixed(2)),
-      humidity: parseFloat(predictedHumidity.toFixed(1)),
-      precipitation: parseFloat(predictedRain.toFixed(2)),
-      year: currentYear,
-      seasonalAdjustment: {
-        season: seasonalAdj.name,
-        tempAdjustment: seasonalAdj.temp,
-        precipFactor: seasonalAdj.precip,
-        humidityFactor: seasonalAdj.humidity
-      },
-      confidence: {
-        tempMax: tempMaxConfidence,
-        tempMin: tempMinConfidence,
-        windMax: windConfidence,
-        humidity: humidityConfidence,
-        precipitation: rainConfidence
-      },
-      trend: {
-        max: {
-          slope: tempMaxTrend.slope,
-          rSquared: tempMaxTrend.rSquared,
-          confidence: tempMaxTrend.confidence
-        },
-        min: {
-          slope: tempMinTrend.slope,
-          rSquared: tempMinTrend.rSquared,
-          confidence: tempMinTrend.confidence
-        },
-        windMax: {
-          slope: windMaxTrend.slope,
-          rSquared: windMaxTrend.rSquared,
-          confidence: windMaxTrend.confidence
-        },
-        humidity: {
-          slope: humidityTrend.slope,
-          rSquared: humidityTrend.rSquared,
-          confidence: humidityTrend.confidence
-        },
-        precipitation: {
-          slope: rainTrend.slope,
-          rSquared: rainTrend.rSquared,
-          confidence: rainTrend.confidence
-        }
-      }
-    },
-    temperature: {
-      statistics: tempAvgStats,
-      max: {
-        statistics: tempMaxStats,
-        unit: '°C'
-      },
-      min: {
-        statistics: tempMinStats,
-        unit: '°C'
-      },
-      conditions: {
-        veryHot: {
-          probability: parseFloat(probVeryHot.toFixed(2)),
-          threshold: thresholds.veryHot,
-          yearsExceeded: Math.round((probVeryHot / 100) * tempMaxValues.length),
-          totalYears: tempMaxValues.length,
-          unit: '°C'
-        },
-        veryCold: {
-          probability: parseFloat(probVeryCold.toFixed(2)),
-          threshold: thresholds.veryCold,
-          yearsExceeded: Math.round((probVeryCold / 100) * tempMinValues.length),
-          totalYears: tempMinValues.length,
-          unit: '°C'
-        }
-      }
-    },
-    wind: {
-      statistics: windAvgStats,
-      max: {
-        statistics: windMaxStats,
-        unit: 'm/s'
-      },
-      conditions: {
-        veryWindy: {
-          probability: parseFloat(probVeryWindy.toFixed(2)),
-          threshold: thresholds.veryWindy,
-          yearsExceeded: Math.round((probVeryWindy / 100) * windMaxValues.length),
-          totalYears: windMaxValues.length,
-          unit: 'm/s'
-        }
-      }
-    },
-    humidity: {
-      statistics: humidityStats,
-      conditions: {
-        veryHumid: {
-          probability: parseFloat(probVeryHumid.toFixed(2)),
-          threshold: thresholds.veryHumid,
-          yearsExceeded: Math.round((probVeryHumid / 100) * humidityValues.length),
-          totalYears: humidityValues.length,
-          unit: '%'
-        }
-      }
-    },
-    precipitation: {
-      statistics: rainStats,
-      conditions: {
-        heavyRain: {
-          probability: parseFloat(probHeavyRain.toFixed(2)),
-          threshold: thresholds.heavyRain,
-          yearsExceeded: Math.round((probHeavyRain / 100) * rainValues.length),
-          totalYears: rainValues.length,
-          unit: 'mm'
-        }
-      }
-    },
-    alerts: {
-      frost: frostAlert,
-      rain: rainAlert,
-      heat: heatAlert,
-      wind: windAlert
-    },
-    historicalData: {
-      precipitation: {
-        avg: parseFloat(rainStats.mean.toFixed(2)),
-        min: parseFloat(rainStats.min.toFixed(2)),
-        max: parseFloat(maxRainRecorded.toFixed(2)),
-        daysWithHeavyRain: daysWithHeavyRain,
-        totalDays: rainValues.length
-      },
-      windMax: {
-        avg: parseFloat(windMaxStats.mean.toFixed(1)),
-        min: parseFloat(windMaxStats.min.toFixed(1)),
-        max: parseFloat(maxWindRecorded.toFixed(1)),
-        avgKmh: parseFloat((windMaxStats.mean * 3.6).toFixed(1))
-      },
-      humidity: {
-        avg: parseFloat(humidityStats.mean.toFixed(1)),
-        min: parseFloat(humidityStats.min.toFixed(1)),
-        max: parseFloat(humidityStats.max.toFixed(1))
-      },
-      thermalAmplitude: {
-        avg: parseFloat((tempMaxStats.mean - tempMinStats.mean).toFixed(1)),
-        description: `Diferencia promedio entre temperatura máxima y mínima`
-      }
-    },
-    elevationData: {
-      elevation: elevation,
-      correction: 0,
-      unit: 'm',
-      note: 'NASA POWER data ya incluye ajuste por elevación del punto consultado'
-    }
-  };
 }
 
 /**
@@ -1481,7 +625,7 @@ const server = http.createServer(async (req, res) => {
 
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   if (req.method === 'OPTIONS') {
@@ -1525,7 +669,7 @@ const server = http.createServer(async (req, res) => {
   // Endpoint principal - ahora acepta fecha específica y hora opcional
   if (parsedUrl.pathname === '/weather') {
     try {
-      const { lat, lon, date, hour, locationName } = parsedUrl.query;
+      const { lat, lon, date, hour, locationName, refresh, baseline, startYear, endYear, window, kernel, strict, extended, hourly, thresholds, curves } = parsedUrl.query;
 
       if (!lat || !lon || !date) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -1557,6 +701,16 @@ const server = http.createServer(async (req, res) => {
         return;
       }
 
+      // 0229 es válido (se centra en el 28 en años no bisiestos), 0230 o 0431 no
+      if (day > getDaysInMonth(month)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `Fecha inválida: ${getMonthName(month)} tiene ${getDaysInMonth(month)} días`,
+          received: date
+        }));
+        return;
+      }
+
       // Validar hora si se proporciona
       let hourNum = null;
       if (hour !== undefined) {
@@ -1571,6 +725,53 @@ const server = http.createServer(async (req, res) => {
         }
       }
 
+      // hourly=all: perfil completo de 24 horas en una sola petición
+      if (hourly !== undefined && hourly !== 'all') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: 'hourly solo acepta el valor "all"',
+          received: hourly,
+          example: '/weather?lat=-17.3935&lon=-66.157&date=1004&hourly=all'
+        }));
+        return;
+      }
+      const includeHourlyProfile = hourly === 'all';
+
+      // Ventana de días alrededor de la fecha y núcleo de ponderación
+      const samplingWindow = window !== undefined ? Number(window) : DEFAULT_SAMPLING_WINDOW;
+      const samplingKernel = kernel || 'uniform';
+      if (!Number.isInteger(samplingWindow) || samplingWindow < 0 || samplingWindow > MAX_SAMPLING_WINDOW ||
+          !SAMPLING_KERNEL_NAMES.includes(samplingKernel)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `window debe ser un entero entre 0 y ${MAX_SAMPLING_WINDOW} y kernel uno de: ${SAMPLING_KERNEL_NAMES.join(', ')}`,
+          example: '/weather?lat=-17.3935&lon=-66.157&date=1004&window=10&kernel=triangular'
+        }));
+        return;
+      }
+
+      // Período de referencia histórico (default: últimos 30 años completos)
+      const baselinePeriod = resolveBaselinePeriod({ baseline, startYear, endYear });
+      if (baselinePeriod.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: baselinePeriod.error,
+          example: '/weather?lat=-17.3935&lon=-66.157&date=1004&baseline=wmo-1991-2020 o &startYear=1991&endYear=2020'
+        }));
+        return;
+      }
+
+      // Umbrales propios del usuario y curvas de excedencia
+      const customThresholds = parseCustomThresholds({ thresholds, curves });
+      if (customThresholds.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: customThresholds.error,
+          example: '/weather?lat=-17.3935&lon=-66.157&date=1004&thresholds=tempMax>32,precipitation>20&curves=all'
+        }));
+        return;
+      }
+
       console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
       console.log(`🚀 Nueva petición recibida`);
       if (hourNum !== null) {
@@ -1578,107 +779,152 @@ const server = http.createServer(async (req, res) => {
       }
       console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
 
-      // Consultar datos diarios históricos (últimos 30 años aprox)
-      const currentYear = new Date().getFullYear();
-      const startYear = currentYear - 30;
+      console.log(`📚 Período de referencia: ${baselinePeriod.startYear}-${baselinePeriod.endYear} (${baselinePeriod.name})`);
+      console.log(`🪟 Ventana: ±${samplingWindow} días (núcleo ${samplingKernel})`);
 
-      const data = await getNasaPowerDailyData(
-        parseFloat(lat),
-        parseFloat(lon),
-        `${startYear}0101`,
-        `${currentYear}1231`
-      );
+      // Resolver la celda de la grilla POWER: los datos y el análisis se comparten por celda
+      const gridCell = getPowerGridCell(parseFloat(lat), parseFloat(lon));
+      console.log(`🔲 Celda POWER ${gridCell.id} (centro: ${gridCell.lat}, ${gridCell.lon})`);
 
-      // Obtener elevación para corrección topográfica
+      // Obtener elevación para corrección topográfica (del punto exacto, no de la celda)
       console.log('\n🏔️  === Obteniendo elevación ===');
       const elevation = await getElevation(parseFloat(lat), parseFloat(lon));
 
-      const analysis = calculateDailyProbabilities(data, date, elevation, lat, lon);
+      // Observaciones de una estación cercana (si hay) para corregir el sesgo de POWER
+      const calibration = await findCalibrationLocation(parseFloat(lat), parseFloat(lon));
+      if (calibration) {
+        console.log(`🎯 Ubicación calibrada: ${calibration.name} a ${calibration.distanceKm} km`);
+      }
 
-      // Si se proporciona hora, agregar predicción horaria
+      const includeExtended = extended === 'true';
+      const calibrationKey = calibration ? `${calibration.id}@${calibration.updatedAt}` : 'sin-calibrar';
+      // Los umbrales propios no cambian la predicción: la verificación usa la clave sin ellos
+      const predictionKey = `${gridCell.id}|${date}|${baselinePeriod.startDate}-${baselinePeriod.endDate}|${samplingWindow}|${samplingKernel}|${includeExtended ? 'extended' : 'basic'}|${calibrationKey}`;
+      const analysisKey = `${predictionKey}|${getCustomThresholdsKey(customThresholds)}`;
+      const cachedAnalysis = getCachedAnalysis(analysisKey);
+      let cellAnalysis;
+
+      if (cachedAnalysis && refresh !== 'true') {
+        console.log(`♻️  Análisis reutilizado de la celda ${gridCell.id}`);
+        cellAnalysis = cachedAnalysis;
+      } else {
+        // Siempre con el margen máximo: una sola descarga sirve para cualquier ventana
+        const downloadPeriod = getDownloadPeriod(baselinePeriod, MAX_SAMPLING_WINDOW);
+        const data = await getNasaPowerDailyData(
+          gridCell.lat,
+          gridCell.lon,
+          downloadPeriod.startDate,
+          downloadPeriod.endDate,
+          { refresh: refresh === 'true', extended: includeExtended }
+        );
+
+        cellAnalysis = calculateDailyProbabilities(data, date, elevation, gridCell.lat, gridCell.lon, {
+          baseline: baselinePeriod,
+          window: samplingWindow,
+          kernel: samplingKernel,
+          extended: includeExtended,
+          calibration,
+          customThresholds
+        });
+
+        setCachedAnalysis(analysisKey, cellAnalysis);
+      }
+
+      // La elevación es del punto consultado aunque el análisis sea de la celda
+      const analysis = {
+        ...cellAnalysis,
+        elevationData: { ...cellAnalysis.elevationData, elevation }
+      };
+
+      // Amanecer, mediodía solar y atardecer del punto para el año de la predicción
+      const solar = calculateSolarTimes(parseFloat(lat), parseFloat(lon), analysis.trendPrediction.year, month, day);
+
+      // Si se proporciona hora (o hourly=all), agregar predicción horaria
       let hourlyForecast = null;
-      if (hourNum !== null) {
-        // Usar predicción por tendencia (más preciso que percentiles)
-        const tempMin = analysis.trendPrediction.tempMin;
-        const tempMax = analysis.trendPrediction.tempMax;
-        
-        // Aplicar ajuste estacional para interpolación horaria mejorada
-        const hourlyTemp = interpolateHourlyTemperature(tempMin, tempMax, hourNum, month);
-
-        const rainFactor = getHourlyRainFactor(hourNum);
-        const baseRainProb = analysis.precipitation.conditions.heavyRain.probability;
-
-        hourlyForecast = {
-          hour: hourNum,
-          temperature: {
-            expected: hourlyTemp,
-            range: {
-              min: parseFloat((hourlyTemp - analysis.temperature.statistics.stdDev * 0.5).toFixed(1)),
-              max: parseFloat((hourlyTemp + analysis.temperature.statistics.stdDev * 0.5).toFixed(1))
-            },
-            unit: '°C',
-            note: `Predicción por regresión lineal de tendencia histórica (${analysis.trendPrediction.year})`
-          },
-          precipitation: {
-            probability: parseFloat((Math.min(baseRainProb * rainFactor, 100)).toFixed(1)),
-            note: rainFactor > 1 ? 'Hora de mayor probabilidad de lluvia' :
-                  rainFactor < 1 ? 'Hora de menor probabilidad de lluvia' : 'Probabilidad normal'
-          },
-          historicalComparison: {
-            median: interpolateHourlyTemperature(
-              analysis.temperature.min.statistics.median,
-              analysis.temperature.max.statistics.median,
-              hourNum,
-              month
-            ),
-            p25: interpolateHourlyTemperature(
-              analysis.temperature.min.statistics.percentiles.p25,
-              analysis.temperature.max.statistics.percentiles.p25,
-              hourNum,
-              month
-            ),
-            p75: interpolateHourlyTemperature(
-              analysis.temperature.min.statistics.percentiles.p75,
-              analysis.temperature.max.statistics.percentiles.p75,
-              hourNum,
-              month
-            ),
-            p90: interpolateHourlyTemperature(
-              analysis.temperature.min.statistics.percentiles.p90,
-              analysis.temperature.max.statistics.percentiles.p90,
-              hourNum,
-              month
-            )
-          }
-        };
+      let hourlyProfile = null;
+      if (hourNum !== null || includeHourlyProfile) {
+        // Climatología horaria real de POWER; si no está disponible, modelo sinusoidal
+        const climatologyKey = `hourly|${gridCell.id}|${date}|${baselinePeriod.startDate}-${baselinePeriod.endDate}|${samplingWindow}|${samplingKernel}`;
+        let climatology = refresh === 'true' ? null : getCachedAnalysis(climatologyKey);
+        if (!climatology) {
+          climatology = await getHourlyClimatology(gridCell, month, day, baselinePeriod, {
+            window: samplingWindow,
+            kernel: samplingKernel,
+            refresh: refresh === 'true'
+          });
+          if (climatology) setCachedAnalysis(climatologyKey, climatology);
+        }
+
+        if (hourNum !== null) {
+          hourlyForecast = buildHourlyForecast(analysis, hourNum, solar, climatology);
+        }
+        if (includeHourlyProfile) {
+          hourlyProfile = buildHourlyProfile(analysis, solar, climatology);
+        }
       }
 
+      // Validar coherencia física de la predicción antes de responder
+      const location = { lat: parseFloat(lat), lon: parseFloat(lon) };
+      const validationResult = validatePrediction(analysis, location);
+      const validation = { ...validationResult, summary: getValidationSummary(validationResult) };
+
+      if (!validation.isValid) {
+        console.warn(`⚠️  Validación fallida: ${validation.errors.join('; ')}`);
+        // strict=true: no entregar predicciones físicamente imposibles
+        if (strict === 'true') {
+          res.writeHead(422, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            error: 'La predicción no superó la validación de coherencia física',
+            validation
+          }, null, 2));
+          return;
+        }
+      } else {
+        console.log(`🛡️  Validación: ${validation.summary.status} (confianza ${validation.confidence}%, ${validation.warnings.length} advertencias)`);
+      }
+
+      // Registrar la predicción para verificarla cuando POWER publique el dato real
+      recordPrediction({ id: predictionKey, location, gridCell, date, analysis })
+        .catch(error => console.warn(`⚠️  No se pudo registrar la predicción: ${error.message}`));
+
       console.log('\n✅ === PASO 5: Enviando respuesta al cliente ===');
       console.log(`📤 JSON generado con análisis completo`);
+      console.log(`🌅 Amanecer ${solar.sunrise ?? '-'} · mediodía solar ${solar.solarNoon} · atardecer ${solar.sunset ?? '-'} (${solar.dayLength} h de luz)`);
       if (hourlyForecast) {
         console.log(`⏰ Temperatura esperada a las ${hourNum}:00 → ${hourlyForecast.temperature.expected}°C`);
       }
+      if (hourlyProfile) {
+        console.log(`🕐 Perfil de 24 horas (${hourlyProfile[0].source})`);
+      }
       console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
 
       const response = {
-        location: { lat: parseFloat(lat), lon: parseFloat(lon) },
+        location,
+        gridCell: describePowerGridCell(gridCell),
         date: date,
         day: day,
         month: month,
         monthName: getMonthName(month),
-        period: `${startYear}-${currentYear}`,
+        period: `${baselinePeriod.startYear}-${baselinePeriod.endYear}`,
         dataSource: 'NASA POWER API (Daily)',
         analysis: analysis,
+        solar,
         metadata: {
-          description: `Análisis estadístico basado en datos históricos del ${day} de ${getMonthName(month)}`,
+          description: samplingWindow > 0
+            ? `Análisis estadístico basado en datos históricos del ${day} de ${getMonthName(month)} ±${samplingWindow} días`
+            : `Análisis estadístico basado en datos históricos del ${day} de ${getMonthName(month)}`,
           confidence: '95%',
-          yearsAnalyzed: currentYear - startYear
-        }
+          yearsAnalyzed: baselinePeriod.endYear - baselinePeriod.startYear + 1
+        },
+        validation
       };
 
       if (hourlyForecast) {
         response.hourlyForecast = hourlyForecast;
       }
+      if (hourlyProfile) {
+        response.hourlyProfile = hourlyProfile;
+      }
 
       // Obtener nombre de ubicación usando Nominatim (SIN OpenAI)
       console.log('\n🌍 === Obteniendo nombre de ubicación (Nominatim) ===');
@@ -1775,6 +1021,203 @@ IMPORTANTE:
     return;
   }
 
+  // Backtest leave-one-year-out del predictor híbrido en una ubicación
+  if (parsedUrl.pathname === '/backtest') {
+    try {
+      const { lat, lon, date, refresh, baseline, startYear, endYear, window, kernel, search } = parsedUrl.query;
+
+      if (!lat || !lon || !date || !/^\d{4}$/.test(date)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: 'Faltan parámetros: lat, lon y date (MMDD) son requeridos',
+          example: '/backtest?lat=-17.3935&lon=-66.157&date=1004&search=true'
+        }));
+        return;
+      }
+
+      const month = parseInt(date.substring(0, 2));
+      const day = parseInt(date.substring(2, 4));
+      if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(month)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Fecha inválida', received: date }));
+        return;
+      }
+
+      const samplingWindow = window !== undefined ? Number(window) : DEFAULT_SAMPLING_WINDOW;
+      const samplingKernel = kernel || 'uniform';
+      if (!Number.isInteger(samplingWindow) || samplingWindow < 0 || samplingWindow > MAX_SAMPLING_WINDOW ||
+          !SAMPLING_KERNEL_NAMES.includes(samplingKernel)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `window debe ser un entero entre 0 y ${MAX_SAMPLING_WINDOW} y kernel uno de: ${SAMPLING_KERNEL_NAMES.join(', ')}`
+        }));
+        return;
+      }
+
+      const baselinePeriod = resolveBaselinePeriod({ baseline, startYear, endYear });
+      if (baselinePeriod.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: baselinePeriod.error }));
+        return;
+      }
+
+      const gridCell = getPowerGridCell(parseFloat(lat), parseFloat(lon));
+      console.log(`\n🧪 Backtest ${date} en la celda ${gridCell.id} (${baselinePeriod.startYear}-${baselinePeriod.endYear})`);
+
+      const downloadPeriod = getDownloadPeriod(baselinePeriod, MAX_SAMPLING_WINDOW);
+      const data = await getNasaPowerDailyData(
+        gridCell.lat,
+        gridCell.lon,
+        downloadPeriod.startDate,
+        downloadPeriod.endDate,
+        { refresh: refresh === 'true' }
+      );
+
+      const report = runBacktest(data, date, {
+        baseline: baselinePeriod,
+        window: samplingWindow,
+        kernel: samplingKernel,
+        searchWeights: search === 'true'
+      });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        location: { lat: parseFloat(lat), lon: parseFloat(lon) },
+        gridCell: describePowerGridCell(gridCell),
+        ...report
+      }, null, 2));
+    } catch (error) {
+      console.error('❌ Error en backtest:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Error al ejecutar el backtest', details: error.message }));
+    }
+    return;
+  }
+
+  // Reporte de verificación: MAE de los valores y Brier/confiabilidad de las probabilidades
+  if (parsedUrl.pathname === '/verification') {
+    try {
+      const { lat, lon } = parsedUrl.query;
+      const gridCell = lat && lon ? getPowerGridCell(parseFloat(lat), parseFloat(lon)) : null;
+      const report = await buildVerificationReport({ gridCellId: gridCell?.id || null });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(report, null, 2));
+    } catch (error) {
+      console.error('❌ Error en el reporte de verificación:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Error al generar el reporte de verificación', details: error.message }));
+    }
+    return;
+  }
+
+  // Ejecutar el job de verificación a pedido
+  if (parsedUrl.pathname === '/verification/run') {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Método no permitido. Use POST' }));
+      return;
+    }
+    try {
+      const result = await runVerification();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      console.error('❌ Error en la verificación:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Error al ejecutar la verificación', details: error.message }));
+    }
+    return;
+  }
+
+  // Ubicaciones calibradas con observaciones de estaciones
+  if (parsedUrl.pathname === '/calibration') {
+    try {
+      const locations = await listCalibrationLocations();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ locations }));
+    } catch (error) {
+      console.error('❌ Error leyendo calibración:', error.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Error al leer el almacén de calibración', details: error.message }));
+    }
+    return;
+  }
+
+  // Subida de observaciones de una estación (JSON, o CSV con los datos de la ubicación en la query)
+  if (parsedUrl.pathname === '/calibration/observations') {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Método no permitido. Use POST' }));
+      return;
+    }
+
+    let body = '';
+    let bodyBytes = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      bodyBytes += chunk.length;
+      body += chunk.toString();
+      if (bodyBytes > MAX_UPLOAD_BYTES) {
+        tooLarge = true;
+        body = '';
+        res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+        res.end(JSON.stringify({ error: `El cuerpo supera el máximo de ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` }));
+      }
+    });
+
+    req.on('end', async () => {
+      if (tooLarge) return;
+      try {
+        let upload;
+        const contentType = req.headers['content-type'] || '';
+
+        if (contentType.includes('text/csv')) {
+          const { observations, error } = parseObservationsCsv(body);
+          if (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error }));
+            return;
+          }
+          const { id, name, lat, lon, radiusKm, source } = parsedUrl.query;
+          upload = { id, name, lat, lon, radiusKm, source, observations };
+        } else {
+          try {
+            upload = JSON.parse(body);
+          } catch {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'El cuerpo debe ser JSON válido o CSV (Content-Type: text/csv)' }));
+            return;
+          }
+          if (!upload || typeof upload !== 'object' || Array.isArray(upload)) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'El cuerpo JSON debe ser un objeto con lat, lon y observations' }));
+            return;
+          }
+        }
+
+        const result = await addObservations(upload);
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            error: result.error,
+            example: { name: 'Cochabamba Aeropuerto', lat: -17.4211, lon: -66.1771, observations: [{ date: '2025-10-04', tempMax: 26.1, tempMin: 11.4 }] }
+          }));
+          return;
+        }
+
+        console.log(`\n🎯 Calibración: ${result.added} observaciones para ${result.location.name} (${result.location.observations} en total)`);
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        console.error('❌ Error guardando observaciones:', error.message);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Error al guardar las observaciones', details: error.message }));
+      }
+    });
+    return;
+  }
+
   // Endpoint del chatbot
   if (parsedUrl.pathname === '/chat') {
     if (req.method !== 'POST') {
@@ -1989,6 +1432,14 @@ Ejemplo: {"lat": -17.3935, "lon": -66.157}`;
   res.end(JSON.stringify({ error: 'Endpoint no encontrado' }));
 });
 
+// Job de verificación periódico (VERIFICATION_INTERVAL_HOURS=0 lo desactiva)
+const verificationIntervalHours = Number(process.env.VERIFICATION_INTERVAL_HOURS ?? 24);
+if (verificationIntervalHours > 0) {
+  setInterval(() => {
+    runVerification().catch(error => console.error('❌ Error en la verificación:', error.message));
+  }, verificationIntervalHours * 3600 * 1000).unref();
+}
+
 server.listen(PORT, () => {
   console.log(`\n🚀 Servidor corriendo en http://localhost:${PORT}`);
   console.log(`📡 Prueba: http://localhost:${PORT}/weather?lat=-17.3935&lon=-66.157&date=1004`);
@@ -0,0 +1,100 @@
+/**
+ * Geometría solar: amanecer, mediodía solar, atardecer y duración del día
+ * Ecuaciones de posición solar de NOAA (declinación y ecuación del tiempo por serie de Fourier)
+ * Las horas se expresan en hora solar local (LST), la misma escala que `hour` y que el
+ * endpoint horario de POWER (time-standard=LST)
+ */
+
+// Cenit del amanecer/atardecer: 90° + refracción atmosférica + radio del disco solar
+const SUNRISE_ZENITH = 90.833;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Día del año (1-366)
+function getDayOfYear(year, month, day) {
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000) + 1;
+}
+
+const isLeapYear = year => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+// Hora decimal → "HH:MM"
+function formatHour(hour) {
+  const minutes = Math.round(((hour % 24) + 24) % 24 * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Declinación solar (radianes) y ecuación del tiempo (minutos) al mediodía del día pedido
+ */
+function getSolarPosition(year, month, day) {
+  const daysInYear = isLeapYear(year) ? 366 : 365;
+  const gamma = 2 * Math.PI / daysInYear * (getDayOfYear(year, month, day) - 1);
+
+  const equationOfTime = 229.18 * (
+    0.000075 +
+    0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma)
+  );
+  const declination =
+    0.006918 -
+    0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  return { declination, equationOfTime };
+}
+
+/**
+ * Horas solares del punto para una fecha
+ * En latitudes altas el sol puede no salir (polar: 'night') o no ponerse (polar: 'day');
+ * entonces sunrise/sunset son null y dayLength es 0 o 24
+ */
+export function calculateSolarTimes(lat, lon, year, month, day) {
+  const { declination, equationOfTime } = getSolarPosition(year, month, day);
+  const latRad = toRadians(lat);
+
+  // Mediodía solar verdadero en hora solar local media
+  const solarNoon = 12 - equationOfTime / 60;
+
+  const cosHourAngle =
+    Math.cos(toRadians(SUNRISE_ZENITH)) / (Math.cos(latRad) * Math.cos(declination)) -
+    Math.tan(latRad) * Math.tan(declination);
+
+  let polar = null;
+  let sunrise = null;
+  let sunset = null;
+  let dayLength;
+
+  if (cosHourAngle > 1) {
+    polar = 'night';
+    dayLength = 0;
+  } else if (cosHourAngle < -1) {
+    polar = 'day';
+    dayLength = 24;
+  } else {
+    // Ángulo horario en grados; 15° = 1 hora
+    const hourAngle = toDegrees(Math.acos(cosHourAngle));
+    sunrise = solarNoon - hourAngle / 15;
+    sunset = solarNoon + hourAngle / 15;
+    dayLength = sunset - sunrise;
+  }
+
+  return {
+    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    timeStandard: 'LST',
+    // Hora solar local = UTC + utcOffset
+    utcOffset: parseFloat((lon / 15).toFixed(2)),
+    sunrise: sunrise !== null ? formatHour(sunrise) : null,
+    solarNoon: formatHour(solarNoon),
+    sunset: sunset !== null ? formatHour(sunset) : null,
+    dayLength: parseFloat(dayLength.toFixed(2)),
+    polar,
+    // Horas decimales para el modelo diurno
+    hours: {
+      sunrise: sunrise !== null ? parseFloat(sunrise.toFixed(3)) : null,
+      solarNoon: parseFloat(solarNoon.toFixed(3)),
+      sunset: sunset !== null ? parseFloat(sunset.toFixed(3)) : null
+    }
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Servidor local que reemplaza a las APIs externas sirviendo respuestas grabadas (fixtures/)
+ * Permite desarrollar y probar /weather y /chat sin conexión:
+ *
+ *   npm run stand-in
+ *   UPSTREAM_BASE_URL=http://localhost:3001 GEMINI_API_KEY=offline npm run dev
+ */
+
+import http from 'http';
+import url from 'url';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STAND_IN_PORT = parseInt(process.env.STAND_IN_PORT || '3001');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const POWER_FILL_VALUE = -999;
+
+// Los fixtures se leen una sola vez (el de POWER pesa ~1.5MB)
+const fixtureCache = new Map();
+
+function loadFixture(relativePath) {
+  if (!fixtureCache.has(relativePath)) {
+    const content = fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8');
+    fixtureCache.set(relativePath, JSON.parse(content));
+  }
+  return fixtureCache.get(relativePath);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Recorta el fixture diario de POWER a los parámetros y período pedidos
+ * Los parámetros no grabados se devuelven con el valor de relleno de POWER (-999)
+ */
+function buildPowerDailyResponse(query) {
+  const fixture = loadFixture('power/daily.json');
+  const requested = (query.parameters || '').split(',').filter(Boolean);
+  const { start, end } = query;
+
+  if (requested.length === 0 || !/^\d{8}$/.test(start || '') || !/^\d{8}$/.test(end || '')) {
+    return { status: 422, body: { messages: ['parameters, start y end (YYYYMMDD) son requeridos'] } };
+  }
+
+  const recordedDates = Object.keys(fixture.properties.parameter.T2M)
+    .filter(dateStr => dateStr >= start && dateStr <= end);
+
+  const parameter = {};
+  const messages = [];
+  for (const name of requested) {
+    const recorded = fixture.properties.parameter[name];
+    if (!recorded) {
+      messages.push(`${name} no está en el fixture, se devuelve ${POWER_FILL_VALUE}`);
+    }
+    parameter[name] = {};
+    for (const dateStr of recordedDates) {
+      parameter[name][dateStr] = recorded ? recorded[dateStr] : POWER_FILL_VALUE;
+    }
+  }
+
+  return {
+    status: 200,
+    body: {
+      ...fixture,
+      geometry: {
+        ...fixture.geometry,
+        coordinates: [parseFloat(query.longitude), parseFloat(query.latitude), fixture.geometry.coordinates[2]]
+      },
+      properties: { parameter },
+      header: { ...fixture.header, start, end },
+      messages,
+      parameters: Object.fromEntries(requested.map(name => [name, fixture.parameters[name] || {}]))
+    }
+  };
+}
+
+// Posición (0 = mínima, 1 = máxima) de cada hora en el ciclo diario sintético:
+// mínima a las 6:00, máxima a las 14:00
+const DIURNAL_SHAPE = Array.from({ length: 24 }, (_, hour) => {
+  if (hour >= 6 && hour <= 14) return (1 - Math.cos(Math.PI * (hour - 6) / 8)) / 2;
+  const sinceMax = (hour < 6 ? hour + 24 : hour) - 14;
+  return (1 + Math.cos(Math.PI * sinceMax / 16)) / 2;
+});
+// Reparto de la lluvia diaria: más probable por la tarde
+const RAIN_SHAPE = Array.from({ length: 24 }, (_, hour) => hour >= 14 && hour <= 20 ? 2.3 : 0.3);
+const RAIN_SHAPE_TOTAL = RAIN_SHAPE.reduce((a, b) => a + b, 0);
+
+const HOURLY_GENERATORS = {
+  T2M: (daily, hour) => daily.T2M_MIN + (daily.T2M_MAX - daily.T2M_MIN) * DIURNAL_SHAPE[hour],
+  RH2M: (daily, hour) => Math.min(100, Math.max(5, daily.RH2M * (1 + 0.35 * (0.5 - DIURNAL_SHAPE[hour])))),
+  WS2M: (daily, hour) => daily.WS2M * (0.6 + 0.8 * DIURNAL_SHAPE[hour]),
+  PRECTOTCORR: (daily, hour) => daily.PRECTOTCORR * RAIN_SHAPE[hour] / RAIN_SHAPE_TOTAL
+};
+
+/**
+ * Respuesta horaria de POWER derivada del fixture diario (claves YYYYMMDDHH)
+ * No hay fixture horario versionado: cada día se reparte con un ciclo diario fijo
+ */
+function buildPowerHourlyResponse(query) {
+  const { status, body } = buildPowerDailyResponse({
+    ...query,
+    parameters: 'T2M_MIN,T2M_MAX,RH2M,WS2M,PRECTOTCORR'
+  });
+  if (status !== 200) return { status, body };
+
+  const requested = (query.parameters || '').split(',').filter(Boolean);
+  const daily = body.properties.parameter;
+  const parameter = {};
+  const messages = [];
+
+  for (const name of requested) {
+    const generate = HOURLY_GENERATORS[name];
+    if (!generate) {
+      messages.push(`${name} no está disponible en el stand-in horario, se devuelve ${POWER_FILL_VALUE}`);
+    }
+    parameter[name] = {};
+
+    for (const dateStr of Object.keys(daily.T2M_MIN)) {
+      const day = Object.fromEntries(Object.keys(daily).map(param => [param, daily[param][dateStr]]));
+      const missing = Object.values(day).some(value => value === POWER_FILL_VALUE);
+      for (let hour = 0; hour < 24; hour++) {
+        const value = generate && !missing ? generate(day, hour) : POWER_FILL_VALUE;
+        parameter[name][`${dateStr}${String(hour).padStart(2, '0')}`] = Math.round(value * 100) / 100;
+      }
+    }
+  }
+
+  return {
+    status: 200,
+    body: {
+      ...body,
+      properties: { parameter },
+      header: { ...body.header, title: 'NASA/POWER CERES/MERRA2 Native Resolution Hourly Data', time_standard: 'LST' },
+      messages,
+      parameters: Object.fromEntries(requested.map(name => [name, loadFixture('power/daily.json').parameters[name] || {}]))
+    }
+  };
+}
+
+/**
+ * Elige la respuesta grabada de Gemini según el prompt que envía server.js
+ */
+function selectGeminiFixture(prompt) {
+  if (prompt.includes('extrae la siguiente información')) return 'gemini/extraction.json';
+  if (prompt.includes('coordenadas geográficas')) return 'gemini/coordinates.json';
+  return 'gemini/classification.json';
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Crea el servidor stand-in (sin iniciarlo) para poder usarlo también desde scripts de prueba
+ */
+export function createStandInServer() {
+  return http.createServer(async (req, res) => {
+    const parsedUrl = url.parse(req.url, true);
+    const { pathname, query } = parsedUrl;
+    console.log(`📼 ${req.method} ${pathname}`);
+
+    try {
+      if (pathname === '/power/api/temporal/daily/point') {
+        const { status, body } = buildPowerDailyResponse(query);
+        sendJson(res, status, body);
+        return;
+      }
+
+      if (pathname === '/power/api/temporal/hourly/point') {
+        const { status, body } = buildPowerHourlyResponse(query);
+        sendJson(res, status, body);
+        return;
+      }
+
+      if (pathname === '/opentopodata/v1/srtm30m') {
+        const [lat, lng] = (query.locations || '').split(',').map(parseFloat);
+        const fixture = loadFixture('opentopodata/srtm30m.json');
+        sendJson(res, 200, {
+          ...fixture,
+          results: fixture.results.map(result => ({ ...result, location: { lat, lng } }))
+        });
+        return;
+      }
+
+      if (pathname === '/photon/reverse') {
+        sendJson(res, 200, loadFixture('photon/reverse.json'));
+        return;
+      }
+
+      if (pathname === '/nominatim/reverse') {
+        sendJson(res, 200, loadFixture('nominatim/reverse.json'));
+        return;
+      }
+
+      // Gemini: /gemini/{apiVersion}/models/{model}:generateContent
+      if (pathname.startsWith('/gemini/') && pathname.endsWith(':generateContent') && req.method === 'POST') {
+        const request = JSON.parse(await readBody(req));
+        const prompt = (request.contents || [])
+          .flatMap(content => content.parts || [])
+          .map(part => part.text || '')
+          .join('\n');
+        sendJson(res, 200, loadFixture(selectGeminiFixture(prompt)));
+        return;
+      }
+
+      sendJson(res, 404, { error: `Sin fixture para ${pathname}` });
+    } catch (error) {
+      console.error('❌ Error en stand-in:', error.message);
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+// Iniciar solo si se ejecuta directamente (node stand-in-server.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  createStandInServer().listen(STAND_IN_PORT, () => {
+    console.log(`\n📼 Stand-in de APIs externas en http://localhost:${STAND_IN_PORT}`);
+    console.log(`   Usar con: UPSTREAM_BASE_URL=http://localhost:${STAND_IN_PORT} npm run dev\n`);
+  });
+}
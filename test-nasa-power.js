@@ -1,186 +1,1197 @@
 /**
- * Script de prueba para NASA POWER API
- * Obtiene datos históricos de clima para una ubicación específica
+ * Suite de regresión del análisis NASA POWER
+ * Reproduce respuestas grabadas (fixtures/recorded/) en modo replay, sin red,
+ * y compara el análisis diario y la predicción horaria contra snapshots
+ *
+ *   npm test                      # verificar
+ *   UPDATE_SNAPSHOTS=1 npm test   # regenerar snapshots tras un cambio intencional
  */
 
-// Configuración de la API
-const BASE_URL = 'https://power.larc.nasa.gov/api/temporal/monthly/point';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 
-/**
- * Obtiene datos climatológicos históricos de NASA POWER
- * @param {number} lat - Latitud
- * @param {number} lon - Longitud
- * @param {string} startDate - Fecha inicio (YYYYMMDD)
- * @param {string} endDate - Fecha fin (YYYYMMDD)
- */
-async function getNasaPowerData(lat, lon, startDate, endDate) {
-  // Parámetros que necesitamos para el desafío:
-  const parameters = [
-    'T2M',        // Temperatura a 2m (°C)
-    'T2M_MAX',    // Temperatura máxima (°C)
-    'T2M_MIN',    // Temperatura mínima (°C)
-    'PRECTOTCORR',// Precipitación (mm)
-    'RH2M',       // Humedad relativa (%)
-    'WS2M',       // Velocidad del viento a 2m (m/s)
-    'WS2M_MAX',   // Velocidad máxima del viento (m/s)
-  ].join(',');
-
-  const url = `${BASE_URL}?parameters=${parameters}&community=RE&longitude=${lon}&latitude=${lat}&start=${startDate}&end=${endDate}&format=JSON`;
-  console.log('🔍 Consultando NASA POWER API...');
-  console.log('📍 Ubicación:', { lat, lon });
-  console.log('📅 Período:', startDate, '-', endDate);
-  console.log('🔗 URL:', url);
-  console.log('');
+// El modo se lee al importar data-sources.js, por eso los módulos se importan dinámicamente
+process.env.UPSTREAM_MODE = 'replay';
+// El almacén de calibración de los tests vive en un directorio temporal
+process.env.CALIBRATION_FILE = path.join(os.tmpdir(), `calibration-test-${process.pid}.json`);
+process.env.VERIFICATION_FILE = path.join(os.tmpdir(), `verification-test-${process.pid}.json`);
+const { fetchPowerDaily, fetchPowerHourly, fetchElevation } = await import('./data-sources.js');
+const {
+  calculateDailyProbabilities,
+  buildHourlyForecast,
+  buildHourlyProfile,
+  interpolateHourlyTemperature,
+  extractWindowSamples,
+  calculateWetDayModel,
+  calculateExceedance,
+  EXTENDED_PARAMETERS
+} = await import('./analysis.js');
+const {
+  HOURLY_PARAMETERS,
+  getHourlyClimatologyYears,
+  getHourlyRequestPeriods,
+  fetchHourlyPeriods,
+  mergePowerResponses,
+  buildHourlyClimatology
+} = await import('./hourly-climatology.js');
+const { calculateRiskScores } = await import('./risk-scores.js');
+const { runBacktest } = await import('./backtest.js');
+const { mannKendallTest } = await import('./trend-significance.js');
+const { analyzeExtremes } = await import('./extreme-values.js');
+const { jeffreysInterval } = await import('./uncertainty.js');
+const { findSpells } = await import('./persistence.js');
+const { heatIndex, humidex, windChill } = await import('./apparent-temperature.js');
+const { parseCustomThresholds } = await import('./custom-thresholds.js');
+const { recordPrediction, runVerification, buildVerificationReport } = await import('./verification-log.js');
+const { calculateSolarTimes } = await import('./solar-geometry.js');
+const {
+  addObservations,
+  parseObservationsCsv,
+  findCalibrationLocation,
+  listCalibrationLocations
+} = await import('./calibration-store.js');
+const { validatePrediction, getValidationSummary } = await import('./validation.js');
+const { singleFlight, getPowerCacheKey } = await import('./cache.js');
+const { getPowerGridCell } = await import('./power-grid.js');
+const { resolveBaselinePeriod, getDownloadPeriod } = await import('./baseline-periods.js');
+const { createStandInServer } = await import('./stand-in-server.js');
+const { GoogleGenerativeAI } = await import('@google/generative-ai');
 
-  try {
-    const response = await fetch(url);
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SNAPSHOTS_DIR = path.join(__dirname, 'fixtures', 'snapshots');
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Response:', errorText);
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Mismas consultas que hace /weather?lat=-17.3935&lon=-66.157&date=1004 (grabada en 2026):
+// elevación del punto exacto y POWER en el centro de su celda, con el margen de la ventana de días
+const COCHABAMBA = { lat: -17.3935, lon: -66.157 };
+const COCHABAMBA_CELL = getPowerGridCell(COCHABAMBA.lat, COCHABAMBA.lon);
+const DAILY_PARAMETERS = ['T2M', 'T2M_MAX', 'T2M_MIN', 'PRECTOTCORR', 'RH2M', 'WS2M', 'WS2M_MAX'];
+const RECORDED_PERIOD = { startDate: '19951202', endDate: '20260130' };
+const REFERENCE_YEAR = 2026;
+const BASELINE = resolveBaselinePeriod({}, new Date('2026-10-19T12:00:00Z'));
+const COCHABAMBA_SOLAR = calculateSolarTimes(COCHABAMBA.lat, COCHABAMBA.lon, REFERENCE_YEAR, 10, 4);
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('❌ Error al consultar NASA POWER API:', error.message);
-    throw error;
+/**
+ * Ejecuta una función sin los logs de consola del análisis
+ */
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
   }
 }
 
 /**
- * Analiza los datos para calcular probabilidades
+ * Compara un valor contra su snapshot JSON (o lo regenera con UPDATE_SNAPSHOTS=1)
  */
-function analyzeWeatherData(data) {
-  console.log('📊 ANÁLISIS DE DATOS CLIMATOLÓGICOS');
-  console.log('=====================================\n');
+function assertMatchesSnapshot(name, value) {
+  const filePath = path.join(SNAPSHOTS_DIR, `${name}.json`);
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(actual, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(filePath), `Falta el snapshot ${name}; ejecutar con UPDATE_SNAPSHOTS=1`);
+  assert.deepEqual(actual, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+const data = await fetchPowerDaily({
+  lat: COCHABAMBA_CELL.lat,
+  lon: COCHABAMBA_CELL.lon,
+  parameters: DAILY_PARAMETERS,
+  ...RECORDED_PERIOD
+});
+const elevationData = await fetchElevation(COCHABAMBA.lat, COCHABAMBA.lon);
+const elevation = elevationData.results[0].elevation;
+
+const analyze = (targetDate, options = {}) => quietly(() =>
+  calculateDailyProbabilities(data, targetDate, elevation, COCHABAMBA_CELL.lat, COCHABAMBA_CELL.lon, {
+    referenceYear: REFERENCE_YEAR,
+    baseline: BASELINE,
+    ...options
+  })
+);
+
+test('replay devuelve la respuesta grabada de POWER y de elevación', () => {
+  assert.deepEqual(Object.keys(data.properties.parameter).sort(), DAILY_PARAMETERS.slice().sort());
+  assert.equal(elevation, 2558);
+});
+
+test('replay falla si no hay grabación para la consulta', async () => {
+  await assert.rejects(
+    fetchPowerDaily({ lat: 0, lon: 0, parameters: DAILY_PARAMETERS, ...RECORDED_PERIOD }),
+    error => error.status === 404
+  );
+});
+
+test('los puntos se resuelven a la celda POWER que los contiene', () => {
+  assert.deepEqual(
+    { id: COCHABAMBA_CELL.id, lat: COCHABAMBA_CELL.lat, lon: COCHABAMBA_CELL.lon },
+    { id: '-35_-106', lat: -17.5, lon: -66.25 }
+  );
+  assert.deepEqual(COCHABAMBA_CELL.bounds, { south: -17.75, north: -17.25, west: -66.5625, east: -65.9375 });
+
+  // Unos cientos de metros no cambian la celda; cruzar un borde sí
+  assert.equal(getPowerGridCell(-17.40, -66.16).id, COCHABAMBA_CELL.id);
+  assert.notEqual(getPowerGridCell(-17.24, -66.16).id, COCHABAMBA_CELL.id);
+
+  // 180° y -180° son el mismo meridiano
+  assert.equal(getPowerGridCell(10, 180).id, getPowerGridCell(10, -180).id);
+});
+
+test('resolveBaselinePeriod resuelve y valida los períodos de referencia', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.deepEqual(
+    resolveBaselinePeriod({}, now),
+    { name: 'recent-30', description: 'Últimos 30 años completos', startYear: 1996, endYear: 2025, startDate: '19960101', endDate: '20251231' }
+  );
+  assert.equal(resolveBaselinePeriod({ baseline: 'wmo-1991-2020' }, now).startDate, '19910101');
+
+  // El año en curso se corta en el último día publicado por POWER, nunca en días futuros
+  assert.equal(resolveBaselinePeriod({ startYear: '2000', endYear: '2026' }, now).endDate, '20261012');
+
+  assert.match(resolveBaselinePeriod({ startYear: '1975' }, now).error, /desde 1981/);
+  assert.match(resolveBaselinePeriod({ startYear: '2020', endYear: '2025' }, now).error, /al menos 10 años/);
+  assert.match(resolveBaselinePeriod({ startYear: '2010', endYear: '2000' }, now).error, /menor o igual/);
+  assert.match(resolveBaselinePeriod({ baseline: 'foo' }, now).error, /baseline desconocido/);
+});
+
+test('getDownloadPeriod amplía el período con el margen de la ventana sin salir de la cobertura', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.deepEqual(getDownloadPeriod(BASELINE, 30, now), RECORDED_PERIOD);
+  assert.deepEqual(
+    getDownloadPeriod(resolveBaselinePeriod({ baseline: 'full' }, now), 30, now),
+    { startDate: '19810101', endDate: '20260130' }
+  );
+  assert.equal(getDownloadPeriod(resolveBaselinePeriod({ startYear: '2000', endYear: '2026' }, now), 30, now).endDate, '20261012');
+});
+
+test('la ventana de días cruza límites de mes y año y maneja el 29 de febrero', () => {
+  const series = {};
+  for (let time = Date.UTC(2019, 11, 1); time <= Date.UTC(2021, 2, 31); time += 24 * 60 * 60 * 1000) {
+    const date = new Date(time).toISOString().substring(0, 10).replace(/-/g, '');
+    series[date] = parseInt(date.substring(4));
+  }
+  series['20200103'] = -999;
+
+  // El 2 de enero de 2020 toma días de diciembre de 2019 y descarta el faltante
+  const january = extractWindowSamples(series, 1, 2, { window: 3, startYear: 2020, endYear: 2020 });
+  assert.deepEqual(january.map(s => s.date), ['20191230', '20191231', '20200101', '20200102', '20200104', '20200105']);
+  assert.ok(january.every(s => s.year === 2020));
+
+  // En 2020 (bisiesto) el 29 de febrero existe; en 2021 se centra en el 28
+  const leap = extractWindowSamples(series, 2, 29, { window: 1, startYear: 2020, endYear: 2021 });
+  assert.deepEqual(leap.map(s => s.date), ['20200228', '20200229', '20200301', '20210227', '20210228', '20210301']);
+  assert.deepEqual(extractWindowSamples(series, 3, 1, { window: 1, startYear: 2020, endYear: 2020 }).map(s => s.date),
+    ['20200229', '20200301', '20200302']);
+
+  // Los núcleos ponderan más el centro y nunca anulan los bordes
+  const triangular = extractWindowSamples(series, 1, 10, { window: 3, kernel: 'triangular', startYear: 2020, endYear: 2020 });
+  assert.deepEqual(triangular.map(s => s.weight), [0.25, 0.5, 0.75, 1, 0.75, 0.5, 0.25]);
+
+  assert.deepEqual(extractWindowSamples(series, 2, 30), []);
+});
+
+test('window=0 usa solo el mismo día de cada año', () => {
+  const analysis = analyze('1004', { window: 0 });
+
+  assert.equal(analysis.sampling.samples, 30);
+  assert.equal(analysis.temperature.max.statistics.count, 30);
+  assert.equal(analysis.temperature.conditions.veryHot.sampleSize, 30);
+
+  const octoberFourth = Object.entries(data.properties.parameter.T2M_MAX)
+    .filter(([date]) => date.endsWith('1004') && date >= '1996' && date < '2026')
+    .map(([, value]) => value)
+    .sort((a, b) => a - b);
+  assert.equal(analysis.temperature.max.statistics.min, octoberFourth[0]);
+  assert.equal(analysis.temperature.max.statistics.max, octoberFourth[octoberFourth.length - 1]);
+});
+
+test('la ventana amplía la muestra y el núcleo reduce el tamaño efectivo', () => {
+  const uniform = analyze('1004');
+  assert.equal(uniform.sampling.samples, 30 * 15);
+  assert.equal(uniform.sampling.effectiveSampleSize, 450);
+  assert.equal(uniform.temperature.conditions.veryHot.totalYears, 30);
+  assert.equal(uniform.temperature.conditions.veryHot.sampleSize, 450);
+
+  const gaussian = analyze('1004', { kernel: 'gaussian' });
+  assert.equal(gaussian.sampling.samples, 450);
+  assert.ok(gaussian.sampling.effectiveSampleSize < 450);
+  assert.ok(gaussian.temperature.max.statistics.confidenceInterval95.margin >= uniform.temperature.max.statistics.confidenceInterval95.margin);
+});
+
+test('el análisis usa solo los años del período de referencia', () => {
+  const baseline = { name: 'custom', description: 'Período personalizado', startYear: 2001, endYear: 2020 };
+  const analysis = quietly(() => calculateDailyProbabilities(data, '1004', elevation, COCHABAMBA_CELL.lat, COCHABAMBA_CELL.lon, {
+    referenceYear: REFERENCE_YEAR,
+    baseline
+  }));
+
+  assert.equal(analysis.baseline.yearsWithData, 20);
+  assert.equal(analysis.temperature.max.statistics.count, 20 * 15);
+  assert.equal(analysis.temperature.conditions.veryHot.totalYears, 20);
+});
+
+test('el ajuste estacional sale de la anomalía reciente del mes en la propia serie', () => {
+  const { seasonalAdjustment } = analyze('1004').trendPrediction;
+  const { temperature, precipitation } = seasonalAdjustment.anomalies;
+
+  assert.equal(seasonalAdjustment.method, 'recent-monthly-anomaly');
+  assert.equal(seasonalAdjustment.season, 'Primavera');
+  assert.deepEqual(seasonalAdjustment.recentYears, { start: 2021, end: 2025, count: 5 });
+  // Los años recientes no entran en la referencia contra la que se miden
+  assert.deepEqual(seasonalAdjustment.baselineYears, { start: 1996, end: 2020, count: 25 });
+  // La anomalía se encoge según su error estándar, nunca se amplifica
+  assert.equal(seasonalAdjustment.tempAdjustment, temperature.adjustment);
+  assert.ok(Math.abs(temperature.adjustment) <= Math.abs(temperature.anomaly));
+  assert.ok(Math.abs(seasonalAdjustment.precipFactor - 1) <= Math.abs(precipitation.anomaly / precipitation.baselineMean) + 0.01);
+
+  // Período cerrado: enero de 2021 llega completo con el margen de la descarga, pero no es del período
+  const closed = resolveBaselinePeriod({ baseline: 'wmo-1991-2020' }, new Date('2026-10-19T12:00:00Z'));
+  for (const date of ['0115', '1004']) {
+    const adjustment = analyze(date, { baseline: closed }).trendPrediction.seasonalAdjustment;
+    assert.deepEqual(adjustment.recentYears, { start: 2016, end: 2020, count: 5 }, date);
+    assert.deepEqual(adjustment.baselineYears, { start: 1996, end: 2015, count: 20 }, date);
+    assert.match(adjustment.note, /últimos años del período de referencia/);
+  }
+
+  // Las estaciones se invierten en el hemisferio norte
+  const north = quietly(() => calculateDailyProbabilities(data, '1004', elevation, 40.5, COCHABAMBA_CELL.lon, {
+    referenceYear: REFERENCE_YEAR,
+    baseline: BASELINE
+  }));
+  assert.equal(north.trendPrediction.seasonalAdjustment.season, 'Otoño');
+});
+
+test('las observaciones se validan y se leen desde CSV', async () => {
+  const csv = parseObservationsCsv('date;tempMax;tempMin\n2025-10-04;26.1;11.4\n# comentario\n2025-10-05;;12\n');
+  assert.deepEqual(csv.observations, [
+    { date: '2025-10-04', tempMax: '26.1', tempMin: '11.4' },
+    { date: '2025-10-05', tempMax: '', tempMin: '12' }
+  ]);
+  assert.ok(parseObservationsCsv('tempMax\n20').error);
+
+  const upload = observations => addObservations({ lat: -17.42, lon: -66.18, observations });
+  assert.match((await upload([{ date: '2025-02-30', tempMax: 20 }])).error, /date/);
+  assert.match((await upload([{ date: '2025-10-04', tempMax: 80 }])).error, /tempMax fuera de rango/);
+  assert.match((await upload([{ date: '2025-10-04', tempMax: 10, tempMin: 15 }])).error, /tempMin/);
+  assert.match((await upload([{ date: '2025-10-04' }])).error, /al menos una/);
+  assert.match((await upload([{ date: '2025-10-04', tempMax: 20 }, null])).error, /Observación 2: debe ser un objeto/);
+  assert.match((await upload(['2025-10-04'])).error, /Observación 1: debe ser un objeto/);
+  assert.match((await addObservations({ lat: 'x', lon: 0, observations: [] })).error, /lat y lon/);
+  assert.match((await addObservations(null)).error, /debe ser un objeto/);
+});
+
+test('la calibración corrige el sesgo observado sin reemplazar al modelo', async () => {
+  // Estación 2°C más cálida que POWER en las máximas de octubre 2024-2025
+  // (pocos pares para el mapeo de cuantiles: se usa el sesgo medio)
+  const observations = Object.entries(data.properties.parameter.T2M_MAX)
+    .filter(([date]) => date.substring(4, 6) === '10' && date >= '20240101' && date <= '20251231')
+    .map(([date, value]) => ({ date: `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`, tempMax: value + 2 }));
+
+  const { location, added } = await addObservations({
+    id: 'cochabamba-test',
+    name: 'Estación de prueba',
+    lat: COCHABAMBA.lat,
+    lon: COCHABAMBA.lon,
+    radiusKm: 10,
+    observations
+  });
+  assert.equal(added, 62);
+  assert.equal(location.observations, 62);
+  assert.deepEqual(location.period, { start: '20241001', end: '20251031' });
+  assert.equal((await listCalibrationLocations()).length, 1);
+
+  // Solo se aplica dentro del radio
+  assert.equal(await findCalibrationLocation(-16.5, -68.15), null);
+  const calibration = await findCalibrationLocation(COCHABAMBA.lat + 0.01, COCHABAMBA.lon);
+  assert.equal(calibration.id, 'cochabamba-test');
+
+  const raw = analyze('1004');
+  const calibrated = analyze('1004', { calibration });
+  const result = calibrated.trendPrediction.calibration;
 
-  const parameters = data.properties.parameter;
+  assert.equal(result.applied, true);
+  assert.equal(result.location.name, 'Estación de prueba');
+  assert.equal(result.variables.tempMax.matchedDays, 62);
+  assert.equal(result.variables.tempMax.bias, 2);
+  // Mezcla: peso n / (n + 30), no reemplazo
+  assert.equal(result.variables.tempMax.weight, 0.67);
+  assert.equal(calibrated.quantileMapping.applied, false);
+  assert.equal(result.variables.tempMin, undefined);
+  assert.equal(calibrated.trendPrediction.tempMax, parseFloat((raw.trendPrediction.tempMax + result.variables.tempMax.correction).toFixed(2)));
+  assert.equal(calibrated.trendPrediction.tempMin, raw.trendPrediction.tempMin);
+  assert.equal(raw.trendPrediction.calibration, undefined);
 
-  // Mostrar información de cada parámetro
-  for (const [param, monthlyData] of Object.entries(parameters)) {
-    console.log(`\n🌡️  ${param}:`);
+  // En otro mes no hay observaciones que coincidan
+  assert.equal(analyze('0715', { calibration }).trendPrediction.calibration.applied, false);
 
-    // Los datos vienen como YYYYMM: valor
-    const allValues = Object.values(monthlyData).filter(v => typeof v === 'number');
+  fs.rmSync(process.env.CALIBRATION_FILE, { force: true });
+});
 
-    if (allValues.length > 0) {
-      const avg = allValues.reduce((a, b) => a + b, 0) / allValues.length;
-      const max = Math.max(...allValues);
-      const min = Math.min(...allValues);
+test('el mapeo de cuantiles corrige estadísticas, umbrales y probabilidades', async () => {
+  // Estación con máximas más dispersas (+1°C y 1.5× la anomalía) y 30% más lluvia que POWER
+  const { T2M_MAX, PRECTOTCORR } = data.properties.parameter;
+  const observations = Object.keys(T2M_MAX)
+    .filter(date => date >= '20060101' && date <= '20251231' && ['09', '10', '11'].includes(date.substring(4, 6)))
+    .map(date => ({
+      date,
+      tempMax: parseFloat((26 + 1 + (T2M_MAX[date] - 26) * 1.5).toFixed(2)),
+      precipitation: parseFloat((PRECTOTCORR[date] * 1.3).toFixed(2))
+    }));
 
-      console.log(`   Promedio: ${avg.toFixed(2)}`);
-      console.log(`   Máximo: ${max.toFixed(2)}`);
-      console.log(`   Mínimo: ${min.toFixed(2)}`);
-      console.log(`   Total de datos: ${allValues.length} puntos`);
+  // Misma estación del test anterior: las fechas nuevas reemplazan a las anteriores
+  await addObservations({ id: 'cochabamba-test', lat: COCHABAMBA.lat, lon: COCHABAMBA.lon, radiusKm: 10, observations });
+  const calibration = await findCalibrationLocation(COCHABAMBA.lat, COCHABAMBA.lon);
+  const raw = analyze('1004');
+  const corrected = analyze('1004', { calibration });
+  const { quantileMapping } = corrected;
+
+  assert.equal(quantileMapping.applied, true);
+  assert.deepEqual(Object.keys(quantileMapping.variables), ['tempMax', 'precipitation']);
+  assert.equal(quantileMapping.variables.tempMax.pairs, 20 * 31);
+  // tempMax ya está corregida por cuantiles: no se suma además el sesgo medio
+  assert.equal(corrected.trendPrediction.calibration.variables.tempMax, undefined);
+
+  // Estadísticas, umbrales y probabilidades salen de los valores mapeados
+  const rawMax = raw.temperature.max.statistics;
+  const correctedMax = corrected.temperature.max.statistics;
+  assert.ok(Math.abs(correctedMax.median - (27 + (rawMax.median - 26) * 1.5)) < 0.2);
+  assert.ok(Math.abs(correctedMax.stdDev - rawMax.stdDev * 1.5) < 0.1);
+  assert.ok(Math.abs(corrected.precipitation.statistics.mean - raw.precipitation.statistics.mean * 1.3) < 0.05);
+  assert.ok(corrected.temperature.conditions.veryHot.probability > raw.temperature.conditions.veryHot.probability);
+
+  // La media diaria (tempAvg) se deriva el mismo día: con solo la máxima mapeada, se mueve la mitad
+  assert.deepEqual(quantileMapping.derived, { tempAvg: { parameter: 'T2M', from: ['T2M_MAX'], method: 'mean-shift' } });
+  assert.deepEqual(quantileMapping.unmapped, ['T2M_MIN', 'RH2M', 'WS2M_MAX', 'WS2M']);
+  const rawAvg = raw.temperature.statistics;
+  const correctedAvg = corrected.temperature.statistics;
+  assert.ok(Math.abs((correctedAvg.mean - rawAvg.mean) - (correctedMax.mean - rawMax.mean) / 2) < 0.05);
+  assert.equal(quantileMapping.comparison.statistics.tempAvg.mean.corrected, correctedAvg.mean);
+  assert.deepEqual(corrected.wind.statistics, raw.wind.statistics);
+
+  // La respuesta muestra los valores sin corregir y corregidos
+  const { comparison } = quantileMapping;
+  assert.equal(comparison.statistics.tempMax.median.raw, rawMax.median);
+  assert.equal(comparison.statistics.tempMax.median.corrected, correctedMax.median);
+  assert.equal(comparison.trendPrediction.tempMax.raw, raw.trendPrediction.tempMax);
+  assert.equal(comparison.conditions.veryHot.threshold.corrected, corrected.temperature.conditions.veryHot.threshold);
+  assert.deepEqual(comparison.riskScores.frost, { raw: raw.riskScores.frost.score, corrected: corrected.riskScores.frost.score });
+
+  fs.rmSync(process.env.CALIBRATION_FILE, { force: true });
+});
+
+test('calculateDailyProbabilities coincide con el snapshot (4 de octubre)', () => {
+  assertMatchesSnapshot('analysis-cochabamba-1004', analyze('1004'));
+});
+
+test('calculateDailyProbabilities coincide con el snapshot (15 de julio)', () => {
+  assertMatchesSnapshot('analysis-cochabamba-0715', analyze('0715'));
+});
+
+test('Mann-Kendall detecta tendencias y corrige la autocorrelación', () => {
+  const years = Array.from({ length: 30 }, (_, i) => 1996 + i);
+
+  const linear = mannKendallTest(years.map((year, i) => ({ year, value: 10 + 0.05 * i + 0.3 * Math.sin(i * 2.1) })));
+  assert.equal(linear.significant, true);
+  assert.equal(linear.direction, 'increasing');
+  assert.ok(Math.abs(linear.senSlope - 0.05) < 0.005);
+  assert.ok(linear.senSlopeCI95.lower <= linear.senSlope && linear.senSlope <= linear.senSlopeCI95.upper);
+
+  const flat = mannKendallTest(years.map((year, i) => ({ year, value: 10 + Math.sin(i * 2.1) })));
+  assert.equal(flat.significant, false);
+  assert.equal(flat.direction, 'none');
+
+  // Una oscilación lenta es persistente: la varianza de S se infla y el p-valor sube
+  const persistent = mannKendallTest(years.map((year, i) => ({ year, value: 10 + 0.03 * i + 1.5 * Math.sin(i * 0.35) })));
+  const n = years.length;
+  const naiveZ = (persistent.s - 1) / Math.sqrt(n * (n - 1) * (2 * n + 5) / 18);
+  assert.ok(persistent.autocorrelation.significantLags.includes(1));
+  assert.ok(persistent.autocorrelation.varianceFactor > 1);
+  assert.ok(Math.abs(persistent.z) < Math.abs(naiveZ));
+
+  assert.equal(mannKendallTest(years.slice(0, 9).map(year => ({ year, value: year }))), null, 'menos de 10 años');
+});
+
+test('solo las tendencias significativas ajustan los umbrales', () => {
+  const analysis = analyze('1004');
+  const { max, min } = analysis.trendPrediction.trend;
+  const { veryHot, veryCold } = analysis.temperature.conditions;
+
+  for (const trend of Object.values(analysis.trendPrediction.trend)) {
+    assert.equal(trend.significant, trend.mannKendall.pValue < 0.05);
+    if (!trend.significant) assert.equal(trend.confidence, 'low');
+  }
+
+  // Máxima sin tendencia significativa: el umbral base no se mueve
+  assert.equal(max.significant, false);
+  assert.equal(veryHot.trendProjection.applied, false);
+  assert.equal(veryHot.trendProjection.adjustment, 0);
+  assert.equal(veryHot.threshold, Math.max(analysis.temperature.max.statistics.percentiles.p90, 35));
+
+  // Mínima con tendencia significativa: se proyecta la pendiente de Sen 10 años
+  assert.equal(min.significant, true);
+  assert.equal(veryCold.trendProjection.applied, true);
+  assert.equal(veryCold.trendProjection.adjustment, parseFloat((min.senSlope * 10).toFixed(2)));
+});
+
+test('el análisis de extremos recupera los niveles de retorno de una Gumbel', () => {
+  // Máximos anuales en las posiciones de graficación de una Gumbel(20, 5), en orden mezclado
+  const n = 50;
+  const gumbel = p => 20 - 5 * Math.log(-Math.log(p));
+  const samples = Array.from({ length: n }, (_, i) => ({ year: 1976 + i, value: gumbel(((i * 17) % n + 0.65) / n) }));
+
+  const extremes = analyzeExtremes(samples, { unit: 'mm', windowDays: 7 });
+  assert.equal(extremes.fitted, true);
+  assert.equal(extremes.distribution, 'gev');
+  assert.ok(Math.abs(extremes.parameters.shape) < 0.1);
+  for (const level of extremes.returnLevels) {
+    assert.ok(Math.abs(level.value - gumbel(1 - 1 / level.period)) < 0.05 * level.value, `nivel de ${level.period} años`);
+    assert.ok(level.lower <= level.value && level.value <= level.upper, `banda de ${level.period} años`);
+  }
+
+  // Años sin lluvia: el nivel de 5 años es 0 si más del 80 % de los años no llueve
+  const dry = samples.map((sample, i) => ({ ...sample, value: i % 10 < 9 ? 0 : sample.value }));
+  assert.equal(analyzeExtremes(dry, { unit: 'mm', windowDays: 7 }).fitted, false, 'menos de 10 años con lluvia');
+  const mostlyDry = samples.map((sample, i) => ({ ...sample, value: i % 5 < 4 ? 0 : sample.value }));
+  const mostlyDryExtremes = analyzeExtremes([...mostlyDry, ...mostlyDry.map(s => ({ ...s, year: s.year - 50 }))], { unit: 'mm', windowDays: 7 });
+  assert.equal(mostlyDryExtremes.yearsWithoutEvent, 80);
+  assert.equal(mostlyDryExtremes.returnLevels.find(l => l.period === 5).value, 0);
+  assert.ok(mostlyDryExtremes.returnLevels.find(l => l.period === 50).value > 0);
+});
+
+test('el análisis diario incluye niveles de retorno de lluvia y viento', () => {
+  const analysis = analyze('1004');
+  for (const name of ['precipitation', 'windMax']) {
+    const extreme = analysis.extremes[name];
+    assert.equal(extreme.fitted, true);
+    assert.equal(extreme.years, 30);
+    assert.deepEqual(extreme.returnLevels.map(l => l.period), [5, 10, 25, 50]);
+    for (let i = 1; i < extreme.returnLevels.length; i++) {
+      assert.ok(extreme.returnLevels[i].value >= extreme.returnLevels[i - 1].value, `${name}: crece con el período`);
     }
+    assert.ok(extreme.returnLevels.every(l => l.lower <= l.value && l.value <= l.upper), `${name}: banda de confianza`);
   }
-}
+});
 
-/**
- * Calcula probabilidades de condiciones extremas
- */
-function calculateProbabilities(data, month) {
-  console.log(`\n\n🎯 PROBABILIDADES PARA EL MES ${month}`);
-  console.log('=====================================\n');
+test('la lluvia se separa en probabilidad de día con lluvia y monto si llueve', () => {
+  const analysis = analyze('1004');
+  const { wetDay } = analysis.precipitation;
+  const rain = extractWindowSamples(data.properties.parameter.PRECTOTCORR, 10, 4, { window: 7, startYear: BASELINE.startYear, endYear: BASELINE.endYear });
+  const wet = rain.filter(s => s.value >= 1);
 
-  const params = data.properties.parameter;
+  assert.equal(wetDay.threshold, 1);
+  assert.equal(wetDay.wetDays, wet.length);
+  assert.equal(wetDay.probability, parseFloat((wet.length / rain.length * 100).toFixed(2)));
+  assert.equal(wetDay.confidenceInterval.n, 30);
+
+  // El monto se describe solo con días con lluvia: su mediana supera la mediana de todos los días
+  const amounts = wetDay.amountIfWet.statistics;
+  assert.equal(amounts.count, wet.length);
+  assert.ok(amounts.min >= 1);
+  assert.ok(amounts.median > analysis.precipitation.statistics.median);
+  for (const { probability, probabilityIfWet } of wetDay.amountIfWet.exceedance) {
+    assert.ok(Math.abs(probability - wetDay.probability * probabilityIfWet / 100) < 0.01);
+  }
+
+  // Los montos se cuentan desde el valor inclusive, como el umbral de día con lluvia
+  const exact = calculateWetDayModel([0, 1, 10, 10, 20].map((value, i) => ({ value, weight: 1, year: 2000 + i })));
+  assert.deepEqual(exact.amountIfWet.exceedance.map(e => e.probabilityIfWet), [75, 75, 25]);
+
+  assert.match(analysis.alerts.rain.description, /día con lluvia: \d+%/);
+  const hours = buildHourlyProfile(analysis, COCHABAMBA_SOLAR);
+  assert.ok(hours.every(hour => hour.precipitation.probability <= wetDay.probability));
+  assert.ok(hours[15].precipitation.probability > hours[4].precipitation.probability, 'pico convectivo de la tarde');
+});
+
+test('los índices de temperatura aparente coinciden con las tablas de referencia', () => {
+  // NWS: 90°F con 70% → 106°F; Environment Canada: 30°C con 70% → 41; -20°C con 30 km/h a 10 m → -33
+  assert.ok(Math.abs(heatIndex(32.22, 70) - 41.1) < 0.3);
+  assert.ok(Math.abs(humidex(30, 70) - 41) < 0.5);
+  const wind2m = 30 / 3.6 / (Math.log(10 / 0.03) / Math.log(2 / 0.03));
+  assert.ok(Math.abs(windChill(-20, wind2m) - -33) < 0.5);
+  // Fuera de su rango de validez el wind chill es la temperatura
+  assert.equal(windChill(15, 10), 15);
+  assert.equal(windChill(-5, 0.5), -5);
+});
+
+test('la temperatura aparente alimenta las alertas de calor y helada', () => {
+  const analysis = analyze('0715');
+  const { apparentTemperature, alerts } = analysis;
+
+  assert.equal(apparentTemperature.years.length, 30);
+  assert.equal(apparentTemperature.sampleSize, 450);
+  for (const categories of Object.values(apparentTemperature.exceedance)) {
+    for (let i = 1; i < categories.length; i++) {
+      assert.ok(categories[i].probability <= categories[i - 1].probability, 'una categoría más grave es menos probable');
+    }
+  }
+
+  // Noches de invierno con viento: la sensación térmica baja de la mínima y aparece en la alerta
+  const { windChill: predictedWindChill } = apparentTemperature.predicted;
+  assert.ok(predictedWindChill.value < analysis.trendPrediction.tempMin);
+  assert.match(alerts.frost.description, /sensación térmica -?\d/);
+  assert.match(alerts.heat.description, /índice de calor/);
 
-  // Definir umbrales para condiciones extremas
-  const thresholds = {
-    veryHot: 35,      // > 35°C
-    veryCold: 5,      // < 5°C
-    veryWindy: 10,    // > 10 m/s
-    veryHumid: 80,    // > 80%
-    heavyRain: 100    // > 100mm/mes
+  const hours = buildHourlyProfile(analysis, COCHABAMBA_SOLAR);
+  assert.ok(hours.every(hour => hour.apparentTemperature.unit === '°C'));
+  assert.ok(hours[5].apparentTemperature.windChill <= hours[5].temperature.expected);
+});
+
+test('las rachas cruzan meses y años y se cortan en días sin dato', () => {
+  const series = {
+    '20191229': 2, '20191230': -1, '20191231': -2, '20200101': -3, '20200102': 1,
+    '20200228': -1, '20200229': -1, '20200301': -1,
+    '20200310': -1, '20200311': -999, '20200312': -1, '20200314': -1, '20200315': -1
   };
+  assert.deepEqual(findSpells(series, value => value < 0, 2), [
+    { start: '20191230', end: '20200101', days: 3 },
+    { start: '20200228', end: '20200301', days: 3 },
+    { start: '20200314', end: '20200315', days: 2 }
+  ]);
+  assert.equal(findSpells(series, value => value < 0, 3).length, 2);
+});
+
+test('la persistencia mide rachas que cubren la fecha y su duración', () => {
+  const analysis = analyze('0715');
+  const { frostNights, drySpell, heatWave } = analysis.persistence;
+
+  // Julio es invierno seco en Cochabamba: rachas secas largas y heladas de varias noches
+  assert.equal(drySpell.years, 30);
+  assert.ok(drySpell.probability > 90);
+  assert.ok(drySpell.duration.median > 30, 'la racha seca dura semanas');
+  assert.ok(drySpell.durationCoveringDate >= drySpell.minDays);
+  assert.ok(frostNights.probability > 0 && frostNights.probability < 100);
+  assert.ok(frostNights.duration.max >= frostNights.duration.median);
 
-  // Obtener promedios del mes específico de todos los años
-  const getMonthlyAverage = (paramName) => {
-    const values = [];
-    const paramData = params[paramName];
+  // El umbral de la ola de calor es el P90 de la máxima de la época
+  assert.equal(heatWave.threshold, parseFloat(analysis.temperature.max.statistics.percentiles.p90.toFixed(2)));
+  for (const event of [frostNights, drySpell, heatWave]) {
+    assert.equal(event.confidenceInterval.n, event.years);
+    assert.ok(event.yearsCoveringDate <= event.years);
+  }
+});
 
-    if (!paramData) return 0;
+test('el intervalo de Jeffreys no colapsa con 0 años observados', () => {
+  assert.deepEqual(jeffreysInterval(0, 30), { lower: 0, upper: 7.97 });
+  assert.deepEqual(jeffreysInterval(100, 30), { lower: 92.03, upper: 100 });
+  const half = jeffreysInterval(50, 30);
+  assert.ok(Math.abs(half.lower + half.upper - 100) < 0.02, 'simétrico en 50%');
+  assert.ok(jeffreysInterval(50, 60).upper < half.upper, 'más años, intervalo más angosto');
+});
 
-    // Los datos vienen como "YYYYMM": valor
-    for (const [yearMonth, value] of Object.entries(paramData)) {
-      const monthStr = yearMonth.substring(4, 6); // Extraer MM de YYYYMM
-      if (parseInt(monthStr) === month && typeof value === 'number') {
-        values.push(value);
-      }
+test('las estadísticas y las probabilidades traen sus intervalos de confianza', () => {
+  const analysis = analyze('1004');
+  for (const section of [analysis.temperature.max, analysis.temperature.min, analysis.wind.max, analysis.humidity, analysis.precipitation]) {
+    const { statistics } = section;
+    const { intervals } = statistics;
+    assert.equal(intervals.method, 'bootstrap-by-year');
+    assert.equal(intervals.years, 30);
+    assert.ok(intervals.mean.lower <= statistics.mean && statistics.mean <= intervals.mean.upper, 'la media cae en su intervalo');
+    for (const [name, interval] of Object.entries(intervals.percentiles)) {
+      assert.ok(interval.lower <= statistics.percentiles[name] && statistics.percentiles[name] <= interval.upper, `${name} cae en su intervalo`);
     }
+  }
+
+  for (const condition of Object.values(analysis.temperature.conditions)) {
+    const { confidenceInterval } = condition;
+    assert.equal(confidenceInterval.method, 'jeffreys');
+    assert.equal(confidenceInterval.n, 30);
+    assert.ok(confidenceInterval.lower <= condition.probability && condition.probability <= confidenceInterval.upper);
+  }
+});
+
+test('los umbrales propios se validan y piden su curva', () => {
+  assert.deepEqual(parseCustomThresholds({ thresholds: 'tempMax>32, precipitation>20,tempMin<-2.5' }), {
+    thresholds: [
+      { variable: 'tempMax', operator: '>', value: 32 },
+      { variable: 'precipitation', operator: '>', value: 20 },
+      { variable: 'tempMin', operator: '<', value: -2.5 }
+    ],
+    curves: ['tempMax', 'tempMin', 'precipitation']
+  });
+  assert.deepEqual(parseCustomThresholds({ curves: 'all' }).curves, ['tempMax', 'tempMin', 'windMax', 'humidity', 'precipitation']);
+  assert.deepEqual(parseCustomThresholds({}), { thresholds: [], curves: [] });
+
+  assert.ok(parseCustomThresholds({ thresholds: 'tempMax=32' }).error);
+  assert.ok(parseCustomThresholds({ thresholds: 'snow>3' }).error);
+  assert.ok(parseCustomThresholds({ thresholds: 'humidity>120' }).error);
+  assert.ok(parseCustomThresholds({ curves: 'tempMax,snow' }).error);
+});
+
+test('las curvas de excedencia salen de las mismas muestras que las condiciones', () => {
+  const reference = analyze('1004');
+  const { veryCold } = reference.temperature.conditions;
+  const customThresholds = parseCustomThresholds({ thresholds: `tempMin<${veryCold.threshold},precipitation>5`, curves: 'tempMax' });
+  const { exceedance } = analyze('1004', { customThresholds });
+
+  // Mismo umbral que veryCold: misma probabilidad
+  const [cold, rain] = exceedance.thresholds;
+  assert.equal(cold.probability, veryCold.probability);
+  assert.equal(cold.sampleSize, veryCold.sampleSize);
+  assert.equal(rain.unit, 'mm');
+  assert.ok(rain.probability > 0 && rain.probability < 100);
 
-    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  assert.deepEqual(Object.keys(exceedance.curves), ['tempMax', 'tempMin', 'precipitation']);
+  for (const [name, curve] of Object.entries(exceedance.curves)) {
+    const { points } = curve;
+    assert.equal(points.length, 50, `${name}: puntos de la curva`);
+    assert.equal(points[points.length - 1].exceedance, 0, `${name}: nada supera al máximo`);
+    for (let i = 0; i < points.length; i++) {
+      assert.ok(Math.abs(points[i].exceedance + points[i].cdf - 100) < 0.02);
+      if (i > 0) assert.ok(points[i].exceedance <= points[i - 1].exceedance, `${name}: curva no creciente`);
+    }
+  }
+
+  assert.equal(reference.exceedance, undefined, 'sin umbrales propios no hay curvas');
+});
+
+test('yearsExceeded cuenta los años con al menos una excedencia', () => {
+  // Dos años con la mitad de los días sobre 30°C y tres años sin ninguno: 20% de los días, pero 2 de 5 años
+  const samples = [2000, 2001, 2002, 2003, 2004].flatMap(year =>
+    Array.from({ length: 10 }, (_, i) => ({ year, value: year <= 2001 && i < 5 ? 35 : 20, weight: 1 }))
+  );
+  const { thresholds } = calculateExceedance({ tempMax: samples }, {
+    thresholds: [{ variable: 'tempMax', operator: '>', value: 30 }, { variable: 'tempMax', operator: '<', value: 30 }],
+    curves: []
+  });
+
+  assert.equal(thresholds[0].probability, 20);
+  assert.equal(thresholds[0].yearsExceeded, 2);
+  assert.equal(thresholds[1].yearsExceeded, 5);
+  assert.equal(thresholds[0].totalYears, 5);
+});
+
+test('el backtest deja fuera cada año y compara con la mediana climatológica', () => {
+  const report = runBacktest(data, '1004', { baseline: BASELINE, searchWeights: true });
+
+  assert.equal(report.method, 'leave-one-year-out');
+  assert.equal(report.years.count, BASELINE.endYear - BASELINE.startYear + 1);
+  assert.equal(report.years.start, BASELINE.startYear);
+  assert.equal(report.years.end, BASELINE.endYear);
+
+  for (const [name, variable] of Object.entries(report.variables)) {
+    const { model, climatology, skill, bestWeights } = variable;
+    assert.equal(variable.years.length, report.years.count, `${name}: un resultado por año`);
+    assert.ok([model.mae, model.rmse, model.bias].every(Number.isFinite), `${name}: métricas finitas`);
+    assert.ok(model.rmse >= model.mae, `${name}: RMSE >= MAE`);
+    assert.ok(Math.abs(skill - (1 - model.mae / climatology.mae)) < 0.01, `${name}: skill relativo a la mediana`);
+
+    // La grilla incluye los pesos por defecto, así que la búsqueda nunca empeora el MAE
+    const weightSum = Object.values(bestWeights.weights).reduce((sum, w) => sum + w, 0);
+    assert.ok(Math.abs(weightSum - 1) < 1e-9, `${name}: los pesos suman 1`);
+    assert.ok(bestWeights.mae <= model.mae, `${name}: la búsqueda no empeora el MAE`);
+  }
+
+  // Cada año lleva el ajuste estacional de /weather calculado solo con los años anteriores
+  const { seasonalAdjustment } = report;
+  const first = seasonalAdjustment.byYear[BASELINE.startYear];
+  const last = seasonalAdjustment.byYear[BASELINE.endYear];
+  assert.deepEqual(first, { temp: 0, precip: 1, humidity: 1 }, 'sin años previos no se ajusta');
+  assert.deepEqual(last.recentYears, { start: BASELINE.endYear - 5, end: BASELINE.endYear - 1, count: 5 });
+  assert.ok(seasonalAdjustment.yearsAdjusted > 0 && seasonalAdjustment.yearsAdjusted < report.years.count);
+  assert.match(report.note, /ajuste estacional/);
+});
+
+test('el análisis es físicamente coherente', () => {
+  for (const targetDate of ['0101', '0715', '1004']) {
+    const analysis = analyze(targetDate);
+    const { trendPrediction } = analysis;
+
+    assert.ok(trendPrediction.tempMax > trendPrediction.tempMin, `${targetDate}: tempMax > tempMin`);
+    assert.ok(trendPrediction.humidity >= 0 && trendPrediction.humidity <= 100);
+    assert.ok(trendPrediction.precipitation >= 0);
+
+    const { percentiles } = analysis.temperature.max.statistics;
+    assert.ok(percentiles.p10 <= percentiles.p25 && percentiles.p25 <= percentiles.p50 &&
+      percentiles.p50 <= percentiles.p75 && percentiles.p75 <= percentiles.p90);
+
+    const conditions = [
+      ...Object.values(analysis.temperature.conditions),
+      ...Object.values(analysis.wind.conditions),
+      ...Object.values(analysis.humidity.conditions),
+      ...Object.values(analysis.precipitation.conditions)
+    ];
+    for (const condition of conditions) {
+      assert.ok(condition.probability >= 0 && condition.probability <= 100);
+    }
+
+    assert.doesNotMatch(JSON.stringify(analysis), /NaN|null/, `${targetDate}: sin valores NaN`);
+  }
+});
+
+test('los índices de riesgo están en 0-100 y validatePrediction los acepta', () => {
+  for (const targetDate of ['0101', '0715', '1004']) {
+    const analysis = analyze(targetDate);
+
+    for (const risk of ['frost', 'storm', 'heatStress']) {
+      const { score, level, recommendations } = analysis.riskScores[risk];
+      assert.ok(score >= 0 && score <= 100, `${targetDate} ${risk}: score ${score}`);
+      assert.equal(level, score >= 70 ? 'ALTO' : score >= 30 ? 'MEDIO' : 'BAJO');
+      assert.ok(recommendations.length > 0);
+    }
+
+    const validation = validatePrediction(analysis, COCHABAMBA);
+    assert.equal(validation.isValid, true, validation.errors.join(', '));
+  }
+
+  // Invierno en el altiplano: más riesgo de helada que en primavera
+  assert.ok(analyze('0715').riskScores.frost.score > analyze('1004').riskScores.frost.score);
+});
+
+test('validatePrediction detecta predicciones físicamente imposibles', () => {
+  const analysis = analyze('1004');
+  const valid = validatePrediction(analysis, COCHABAMBA);
+  assert.equal(getValidationSummary(valid).status, valid.confidence < 50 ? 'low' : valid.confidence < 70 ? 'warning' : 'excellent');
+
+  const impossible = {
+    ...analysis,
+    trendPrediction: { ...analysis.trendPrediction, tempMax: 5, tempMin: 12 }
   };
+  const validation = validatePrediction(impossible, COCHABAMBA);
+  assert.equal(validation.isValid, false);
+  assert.equal(validation.confidence, 0);
+  assert.match(validation.errors[0], /máxima no puede ser menor/);
+  assert.equal(getValidationSummary(validation).status, 'error');
+
+  // Confianza baja: "low" tiene prioridad sobre "warning"
+  assert.equal(getValidationSummary({ isValid: true, confidence: 40, warnings: [] }).status, 'low');
+  assert.equal(getValidationSummary({ isValid: true, confidence: 60, warnings: [] }).status, 'warning');
+});
 
-  const temp = getMonthlyAverage('T2M_MAX');
-  const tempMin = getMonthlyAverage('T2M_MIN');
-  const wind = getMonthlyAverage('WS2M_MAX');
-  const humidity = getMonthlyAverage('RH2M');
-  const rain = getMonthlyAverage('PRECTOTCORR');
+test('calculateRiskScores responde a la predicción y a las probabilidades', () => {
+  const base = {
+    predicted: { tempMax: 24, tempMin: 8, humidity: 50 },
+    stdDev: { tempMax: 2, tempMin: 2 },
+    probabilities: { veryHot: 10, veryCold: 10, veryWindy: 10, heavyRain: 10, wetDay: 20 },
+    frostFrequency: 0,
+    heatFrequency: 0
+  };
+  const calm = calculateRiskScores(base);
+  assert.deepEqual([calm.frost.level, calm.storm.level, calm.heatStress.level], ['BAJO', 'BAJO', 'BAJO']);
 
-  console.log(`☀️  Muy caluroso (>${thresholds.veryHot}°C):`);
-  console.log(`   Temp máxima promedio: ${temp.toFixed(1)}°C`);
-  console.log(`   Probabilidad: ${temp > thresholds.veryHot ? 'ALTA' : temp > 30 ? 'MEDIA' : 'BAJA'}\n`);
+  const frost = calculateRiskScores({ ...base, predicted: { ...base.predicted, tempMin: -3 }, frostFrequency: 80 });
+  assert.equal(frost.frost.level, 'ALTO');
 
-  console.log(`❄️  Muy frío (<${thresholds.veryCold}°C):`);
-  console.log(`   Temp mínima promedio: ${tempMin.toFixed(1)}°C`);
-  console.log(`   Probabilidad: ${tempMin < thresholds.veryCold ? 'ALTA' : tempMin < 10 ? 'MEDIA' : 'BAJA'}\n`);
+  const storm = calculateRiskScores({
+    ...base,
+    predicted: { ...base.predicted, humidity: 90 },
+    probabilities: { ...base.probabilities, heavyRain: 90, veryWindy: 70, wetDay: 90 }
+  });
+  assert.equal(storm.storm.level, 'ALTO');
 
-  console.log(`💨 Muy ventoso (>${thresholds.veryWindy} m/s):`);
-  console.log(`   Viento máximo promedio: ${wind.toFixed(1)} m/s`);
-  console.log(`   Probabilidad: ${wind > thresholds.veryWindy ? 'ALTA' : wind > 7 ? 'MEDIA' : 'BAJA'}\n`);
+  // La humedad agrava el calor
+  const hot = { ...base, predicted: { ...base.predicted, tempMax: 33 }, heatFrequency: 40 };
+  const dryHeat = calculateRiskScores({ ...hot, predicted: { ...hot.predicted, humidity: 30 } });
+  const humidHeat = calculateRiskScores({ ...hot, predicted: { ...hot.predicted, humidity: 85 } });
+  assert.ok(humidHeat.heatStress.score > dryHeat.heatStress.score);
+});
 
-  console.log(`💧 Muy húmedo (>${thresholds.veryHumid}%):`);
-  console.log(`   Humedad promedio: ${humidity.toFixed(1)}%`);
-  console.log(`   Probabilidad: ${humidity > thresholds.veryHumid ? 'ALTA' : humidity > 70 ? 'MEDIA' : 'BAJA'}\n`);
+test('las variables extendidas se analizan solo si se piden', async () => {
+  assert.equal(analyze('1004').solarRadiation, undefined);
 
-  console.log(`🌧️  Lluvia intensa (>${thresholds.heavyRain}mm):`);
-  console.log(`   Precipitación promedio: ${rain.toFixed(1)}mm`);
-  console.log(`   Probabilidad: ${rain > thresholds.heavyRain ? 'ALTA' : rain > 50 ? 'MEDIA' : 'BAJA'}\n`);
-}
+  const extendedData = await fetchPowerDaily({
+    lat: COCHABAMBA_CELL.lat,
+    lon: COCHABAMBA_CELL.lon,
+    parameters: [...DAILY_PARAMETERS, ...EXTENDED_PARAMETERS],
+    ...RECORDED_PERIOD
+  });
+  const analysis = quietly(() => calculateDailyProbabilities(extendedData, '1004', elevation, COCHABAMBA_CELL.lat, COCHABAMBA_CELL.lon, {
+    referenceYear: REFERENCE_YEAR,
+    baseline: BASELINE,
+    extended: true
+  }));
 
-// EJEMPLO DE USO
-async function main() {
-  try {
-    // Coordenadas de ejemplo (Ciudad de México)
-    const lat = 19.4326;
-    const lon = -99.1332;
+  // Las variables básicas no cambian al pedir las extendidas
+  assert.deepEqual(analysis.temperature, analyze('1004').temperature);
+
+  for (const name of ['solarRadiation', 'dewPoint', 'pressure']) {
+    const { statistics, conditions } = analysis[name];
+    assert.equal(statistics.count, 450);
+    assert.ok(typeof analysis.trendPrediction[name] === 'number');
+    assert.ok(analysis.trendPrediction.trend[name]);
+    assert.ok(analysis.trendPrediction.confidence[name]);
+    for (const condition of Object.values(conditions)) {
+      assert.ok(condition.probability >= 0 && condition.probability <= 100);
+      assert.ok(Number.isInteger(condition.yearsExceeded) && condition.yearsExceeded <= condition.totalYears);
+      assert.equal(condition.yearsExceeded === 0, condition.probability === 0);
+    }
+  }
+  assert.ok(analysis.dewPoint.statistics.mean < analysis.temperature.statistics.mean);
+
+  // Dirección: estadística circular en [0, 360) con sectores que suman 100%
+  const { statistics } = analysis.windDirection;
+  assert.ok(statistics.meanDirection >= 0 && statistics.meanDirection < 360);
+  assert.ok(statistics.resultantLength >= 0 && statistics.resultantLength <= 1);
+  const totalSectors = Object.values(statistics.sectors).reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(totalSectors - 100) < 0.1);
+  assert.equal(analysis.windDirection.conditions.prevailingWind.sector, statistics.prevailingSector);
+
+  assert.doesNotMatch(JSON.stringify(analysis), /NaN|null/);
+});
+
+test('la predicción horaria coincide con el snapshot', () => {
+  const analysis = analyze('1004');
+  const hours = buildHourlyProfile(analysis, COCHABAMBA_SOLAR);
+  assertMatchesSnapshot('hourly-cochabamba-1004', hours);
+});
+
+test('los períodos horarios cubren solo la ventana de cada año', () => {
+  assert.deepEqual(getHourlyClimatologyYears(BASELINE), { startYear: 2016, endYear: 2025 });
+  assert.deepEqual(getHourlyClimatologyYears({ startYear: 1981, endYear: 2010 }), { startYear: 2001, endYear: 2010 });
+
+  const periods = getHourlyRequestPeriods(1, 2, { window: 3, startYear: 2024, endYear: 2026, maxDate: '20260101' });
+  assert.deepEqual(periods, [
+    { year: 2024, startDate: '20231230', endDate: '20240105' },
+    { year: 2025, startDate: '20241230', endDate: '20250105' },
+    { year: 2026, startDate: '20251230', endDate: '20260101' }
+  ]);
+});
+
+test('la predicción horaria usa la climatología horaria de POWER', async () => {
+  const years = getHourlyClimatologyYears(BASELINE);
+  const periods = getHourlyRequestPeriods(10, 4, { window: 7, ...years, maxDate: RECORDED_PERIOD.endDate });
+  const { responses } = await fetchHourlyPeriods(periods, period => fetchPowerHourly({
+    lat: COCHABAMBA_CELL.lat,
+    lon: COCHABAMBA_CELL.lon,
+    parameters: HOURLY_PARAMETERS,
+    startDate: period.startDate,
+    endDate: period.endDate
+  }));
+  const climatology = buildHourlyClimatology(mergePowerResponses(responses), 10, 4, { window: 7, kernel: 'uniform', ...years });
+
+  assert.equal(climatology.hours.length, 24);
+  assert.equal(climatology.hours[15].temperature.count, 10 * 15);
+
+  const analysis = analyze('1004');
+  const hours = buildHourlyProfile(analysis, COCHABAMBA_SOLAR, climatology);
+  assert.ok(hours.every(hour => hour.source === 'power-hourly'));
+
+  // hourly=all: 24 horas con valor esperado dentro de su banda, probabilidad de lluvia y percentiles
+  assert.deepEqual(hours.map(hour => hour.hour), Array.from({ length: 24 }, (_, hour) => hour));
+  for (const hour of hours) {
+    assert.ok(hour.temperature.range.min <= hour.temperature.expected);
+    assert.ok(hour.temperature.expected <= hour.temperature.range.max);
+    assert.ok(hour.precipitation.probability >= 0 && hour.precipitation.probability <= 100);
+    assert.ok(hour.precipitation.probability <= analysis.precipitation.wetDay.probability, 'una hora no llueve más seguido que el día');
+    assert.ok(hour.historicalComparison.p25 <= hour.historicalComparison.p75);
+  }
+  assertMatchesSnapshot('hourly-power-cochabamba-1004', hours);
+
+  // La curva observada se reescala a la mínima y máxima predichas
+  const temps = hours.map(hour => hour.temperature.expected);
+  assert.equal(Math.min(...temps), parseFloat(analysis.trendPrediction.tempMin.toFixed(1)));
+  assert.equal(Math.max(...temps), parseFloat(analysis.trendPrediction.tempMax.toFixed(1)));
+
+  // Sin datos horarios no hay climatología y se usa el modelo sinusoidal
+  assert.equal(buildHourlyClimatology({ properties: { parameter: {} } }, 10, 4, { window: 7, ...years }), null);
+  assert.equal(buildHourlyForecast(analysis, 15, COCHABAMBA_SOLAR, null).source, 'sinusoidal');
+});
+
+test('la descarga horaria conserva los años obtenidos y respeta el plazo', async () => {
+  const periods = getHourlyRequestPeriods(10, 4, { window: 7, startYear: 2016, endYear: 2025 });
+  const empty = { properties: { parameter: {} } };
+
+  // Un año que falla no descarta los demás
+  const partial = await fetchHourlyPeriods(periods, async period => {
+    if (period.year === 2018) throw new Error('POWER caído');
+    return empty;
+  });
+  assert.equal(partial.responses.length, 9);
+  assert.deepEqual(partial.missingYears, [2018]);
 
-    // Período climatológico (30 años es estándar)
-    const startDate = '1991';
-    const endDate = '2020';
+  // Pasado el plazo no se piden más años, y cada consulta recibe solo el tiempo que queda
+  const timeouts = [];
+  const late = await fetchHourlyPeriods(periods, async (period, timeoutMs) => {
+    timeouts.push(timeoutMs);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    return empty;
+  }, { deadlineMs: 100 });
+  assert.ok(late.years.length > 0 && late.years.length < periods.length);
+  assert.equal(late.years.length + late.missingYears.length, periods.length);
+  assert.ok(timeouts.every(timeout => timeout <= 100));
+});
 
-    console.log('🚀 INICIANDO PRUEBA DE NASA POWER API\n');
+test('la curva horaria va de la mínima a la máxima predichas', () => {
+  const analysis = analyze('1004');
+  const { tempMin, tempMax } = analysis.trendPrediction;
+  const temps = buildHourlyProfile(analysis, COCHABAMBA_SOLAR).map(hour => hour.temperature.expected);
 
-    const data = await getNasaPowerData(lat, lon, startDate, endDate);
+  // Las fases caen entre horas enteras: los extremos de la curva quedan cerca de la predicción
+  // (más los 0.05°C del redondeo de cada hora)
+  assert.ok(temps.every(temp => temp >= tempMin - 0.05 && temp <= tempMax + 0.05));
+  assert.ok(Math.min(...temps) - tempMin < 0.35);
+  assert.ok(tempMax - Math.max(...temps) < 0.35);
+});
 
-    // Guardar datos completos para inspección
-    console.log('\n✅ Datos obtenidos exitosamente!\n');
+test('las horas solares dependen de la latitud, la longitud y la fecha', () => {
+  // Cochabamba a inicios de octubre: ~12 h de luz, amanecer cerca de las 6 solares
+  assert.equal(COCHABAMBA_SOLAR.timeStandard, 'LST');
+  assert.ok(COCHABAMBA_SOLAR.dayLength > 12 && COCHABAMBA_SOLAR.dayLength < 12.5);
+  assert.ok(COCHABAMBA_SOLAR.hours.sunrise > 5.5 && COCHABAMBA_SOLAR.hours.sunrise < 6);
+  assert.equal(COCHABAMBA_SOLAR.utcOffset, -4.41);
 
-    // Debug: mostrar estructura
-    console.log('📋 Estructura de datos recibida:');
-    console.log(JSON.stringify(data, null, 2).substring(0, 1000));
-    console.log('\n');
+  // Solsticio de junio: días largos en el norte y cortos en el sur
+  const oslo = calculateSolarTimes(59.91, 10.75, 2026, 6, 21);
+  const ushuaia = calculateSolarTimes(-54.8, -68.3, 2026, 6, 21);
+  assert.ok(oslo.dayLength > 18.5 && oslo.dayLength < 19);
+  assert.ok(ushuaia.dayLength > 7 && ushuaia.dayLength < 7.5);
+  // El mediodía solar es el mismo en ambos: solo depende de la ecuación del tiempo
+  assert.equal(oslo.solarNoon, ushuaia.solarNoon);
 
-    analyzeWeatherData(data);
+  // Noche y día polar
+  const tromso = calculateSolarTimes(69.65, 18.96, 2026, 12, 21);
+  assert.equal(tromso.polar, 'night');
+  assert.equal(tromso.sunrise, null);
+  assert.equal(tromso.dayLength, 0);
+  assert.equal(calculateSolarTimes(69.65, 18.96, 2026, 6, 21).polar, 'day');
+});
 
-    // Ejemplo: calcular probabilidades para marzo (mes 3)
-    calculateProbabilities(data, 3);
+test('la curva sinusoidal sigue el amanecer y el mediodía solar del punto', () => {
+  const oslo = calculateSolarTimes(59.91, 10.75, 2026, 6, 21);
+  const ushuaia = calculateSolarTimes(-54.8, -68.3, 2026, 6, 21);
+  const curve = solar => Array.from({ length: 24 }, (_, hour) => interpolateHourlyTemperature(10, 20, hour, solar));
+  const coldestHour = temps => temps.indexOf(Math.min(...temps));
 
-    console.log('\n\n📄 Datos completos guardados en: data-sample.json');
+  // La mínima cae al amanecer de cada punto
+  assert.equal(coldestHour(curve(oslo)), Math.round(oslo.hours.sunrise));
+  assert.equal(coldestHour(curve(ushuaia)), Math.round(ushuaia.hours.sunrise));
+  // En verano boreal Oslo ya se calienta a las 6 mientras Ushuaia sigue en la mínima de la noche
+  assert.ok(curve(oslo)[6] > 12);
+  assert.ok(curve(ushuaia)[6] < curve(ushuaia)[0]);
 
-    // Opcional: guardar a archivo si necesitas inspeccionar
-    // await import('fs').then(fs =>
-    //   fs.promises.writeFile('data-sample.json', JSON.stringify(data, null, 2))
-    // );
+  // Sin sol (noche polar) la curva sigue siendo continua y acotada
+  const polar = curve(calculateSolarTimes(69.65, 18.96, 2026, 12, 21));
+  assert.ok(polar.every(temp => temp >= 10 && temp <= 20));
+});
 
-  } catch (error) {
-    console.error('\n💥 Error en la ejecución:', error);
-    process.exit(1);
+test('las predicciones se registran, se verifican contra POWER y se puntúan', async () => {
+  const past = analyze('1004', { referenceYear: 2025 });
+  const future = analyze('1004');
+  const id = `${COCHABAMBA_CELL.id}|1004`;
+
+  await recordPrediction({ id, location: COCHABAMBA, gridCell: COCHABAMBA_CELL, date: '1004', analysis: past });
+  const repeated = await recordPrediction({ id, location: COCHABAMBA, gridCell: COCHABAMBA_CELL, date: '1004', analysis: past });
+  await recordPrediction({ id, location: COCHABAMBA, gridCell: COCHABAMBA_CELL, date: '1004', analysis: future });
+  assert.equal(repeated.requests, 2, 'repetir la consulta no duplica la predicción');
+  assert.equal(repeated.targetDate, '20251004');
+
+  // La grabación llega hasta enero de 2026: el 4 de octubre de 2026 queda pendiente
+  const requested = [];
+  const options = {
+    now: new Date('2026-10-19T12:00:00Z'),
+    fetchDaily: async query => { requested.push(query); return data; }
+  };
+  // Una segunda ejecución simultánea (job periódico + /verification/run) se une a la primera
+  const [result, concurrent] = await quietly(() => Promise.all([runVerification(options), runVerification(options)]));
+  assert.equal(concurrent, result);
+  assert.deepEqual(result, { checked: 2, verified: 1, failed: 0, pending: 1 });
+  assert.equal(requested.length, 1, 'una sola descarga por celda');
+  assert.equal(requested[0].startDate, '20251004');
+
+  const report = await buildVerificationReport({ gridCellId: COCHABAMBA_CELL.id });
+  assert.equal(report.predictions, 2);
+  assert.equal(report.verified, 1);
+  assert.equal(report.pending, 1);
+
+  const params = data.properties.parameter;
+  const observedMax = params.T2M_MAX['20251004'];
+  assert.equal(report.variables.tempMax.mae, parseFloat(Math.abs(past.trendPrediction.tempMax - observedMax).toFixed(2)));
+
+  const { probability, threshold } = past.temperature.conditions.veryCold;
+  const outcome = params.T2M_MIN['20251004'] < threshold ? 1 : 0;
+  const veryCold = report.conditions.veryCold;
+  assert.equal(veryCold.count, 1);
+  assert.ok(Math.abs(veryCold.brierScore - (probability / 100 - outcome) ** 2) < 1e-4);
+  assert.equal(veryCold.diagram.length, 1);
+  assert.equal(veryCold.observedFrequency, outcome * 100);
+  // Con un solo caso la incertidumbre es 0: Brier = confiabilidad
+  assert.equal(veryCold.brierSkillScore, null);
+  assert.ok(Math.abs(veryCold.brierScore - veryCold.reliability) < 1e-4);
+
+  assert.equal((await buildVerificationReport({ gridCellId: 'otra-celda' })).predictions, 0);
+
+  fs.rmSync(process.env.VERIFICATION_FILE, { force: true });
+});
+
+test('singleFlight comparte una carga entre peticiones concurrentes', async () => {
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { loads };
+  };
+
+  const results = await quietly(() => Promise.all([
+    singleFlight('test|cell', loader),
+    singleFlight('test|cell', loader),
+    singleFlight('test|cell', loader)
+  ]));
+  assert.equal(loads, 1);
+  assert.ok(results.every(result => result === results[0]));
+
+  // Una vez resuelta, la siguiente petición inicia una carga nueva
+  await singleFlight('test|cell', loader);
+  assert.equal(loads, 2);
+});
+
+test('singleFlight propaga el error a todas las peticiones y lo libera', async () => {
+  const failing = async () => {
+    throw new Error('POWER caído');
+  };
+
+  const pending = quietly(() => [singleFlight('test|error', failing), singleFlight('test|error', failing)]);
+  for (const promise of pending) {
+    await assert.rejects(promise, /POWER caído/);
+  }
+
+  assert.deepEqual(await singleFlight('test|error', async () => 'ok'), 'ok');
+});
+
+// El cache lee su configuración al importarse y se desactiva en replay: cada arranque del servidor
+// se simula con una importación nueva de cache.js en modo live sobre un directorio temporal
+const POWER_CACHE_TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'power-cache-test-'));
+
+async function startPowerCache(instance) {
+  const overrides = {
+    UPSTREAM_MODE: 'live',
+    POWER_CACHE: 'on',
+    POWER_CACHE_DIR: POWER_CACHE_TEST_DIR,
+    POWER_CACHE_RECENT_TTL_HOURS: '12',
+    POWER_CACHE_TTL_DAYS: '30'
+  };
+  const previous = Object.fromEntries(Object.keys(overrides).map(name => [name, process.env[name]]));
+  Object.assign(process.env, overrides);
+  try {
+    return await import(`./cache.js?instance=${instance}`);
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
   }
 }
 
-// Ejecutar
-main();
+const cacheEntryPath = key =>
+  path.join(POWER_CACHE_TEST_DIR, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+const readCacheEntry = key => JSON.parse(fs.readFileSync(cacheEntryPath(key), 'utf8'));
+
+test('la clave de cache se comparte por celda y no depende del orden de los parámetros', () => {
+  const key = getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M', 'PRECTOTCORR'], '20200101', '20201231');
+
+  // Otro punto de la misma celda y los parámetros en otro orden reutilizan la entrada
+  assert.equal(getPowerCacheKey(COCHABAMBA_CELL.lat, COCHABAMBA_CELL.lon, ['PRECTOTCORR', 'T2M'], '20200101', '20201231'), key);
+  assert.ok(key.includes(COCHABAMBA_CELL.id));
+
+  assert.notEqual(getPowerCacheKey(COCHABAMBA.lat + 0.5, COCHABAMBA.lon, ['T2M', 'PRECTOTCORR'], '20200101', '20201231'), key);
+  assert.notEqual(getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M'], '20200101', '20201231'), key);
+  assert.notEqual(getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M', 'PRECTOTCORR'], '20200101', '20201231', 'hourly'), key);
+});
+
+test('las entradas recientes caducan antes que las históricas y sobreviven un reinicio', async () => {
+  const cache = await startPowerCache('ttl');
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const recentKey = getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M'], '20250101', today);
+  const historicalKey = getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M'], '20000101', '20201231');
+
+  await cache.setCachedPowerData(recentKey, today, { recent: true });
+  await cache.setCachedPowerData(historicalKey, '20201231', { recent: false });
+
+  const recent = readCacheEntry(recentKey);
+  const historical = readCacheEntry(historicalKey);
+  assert.equal(recent.expiresAt - recent.createdAt, 12 * 60 * 60 * 1000);
+  assert.equal(historical.expiresAt - historical.createdAt, 30 * 24 * 60 * 60 * 1000);
+
+  // Un proceso nuevo lee lo que escribió el anterior
+  const restarted = await startPowerCache('ttl-restart');
+  assert.deepEqual(await restarted.getCachedPowerData(recentKey), { recent: true });
+  assert.deepEqual(await restarted.getCachedPowerData(historicalKey), { recent: false });
+});
+
+test('el cache elimina las entradas vencidas, corruptas o de otra versión', async () => {
+  const cache = await startPowerCache('eviction');
+  const keyFor = endDate => getPowerCacheKey(COCHABAMBA.lat, COCHABAMBA.lon, ['T2M_MAX'], '20000101', endDate);
+
+  const expiredKey = keyFor('20101231');
+  await cache.setCachedPowerData(expiredKey, '20101231', { value: 1 });
+  fs.writeFileSync(cacheEntryPath(expiredKey), JSON.stringify({ ...readCacheEntry(expiredKey), expiresAt: Date.now() - 1 }));
+
+  const versionKey = keyFor('20111231');
+  await cache.setCachedPowerData(versionKey, '20111231', { value: 2 });
+  fs.writeFileSync(cacheEntryPath(versionKey), JSON.stringify({ ...readCacheEntry(versionKey), version: 0 }));
+
+  const corruptKey = keyFor('20121231');
+  fs.writeFileSync(cacheEntryPath(corruptKey), '{"version": 1, "key": ');
+
+  for (const key of [expiredKey, versionKey, corruptKey]) {
+    assert.equal(await cache.getCachedPowerData(key), null, key);
+    assert.equal(fs.existsSync(cacheEntryPath(key)), false, `${key}: la entrada se elimina`);
+  }
+
+  fs.rmSync(POWER_CACHE_TEST_DIR, { recursive: true, force: true });
+});
+
+test('el stand-in sirve los fixtures en las rutas que arma UPSTREAM_BASE_URL', async () => {
+  const server = createStandInServer();
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    // Las URLs base se leen al importar: una importación nueva de data-sources.js apunta al stand-in
+    process.env.UPSTREAM_BASE_URL = `http://localhost:${server.address().port}`;
+    let dataSources;
+    try {
+      ({ dataSources } = await import('./data-sources.js?stand-in'));
+    } finally {
+      delete process.env.UPSTREAM_BASE_URL;
+    }
+
+    // data-sources.js sigue en replay, así que las peticiones se hacen directamente a sus URLs base
+    const getJson = async url => {
+      const response = await fetch(url);
+      assert.equal(response.status, 200, url);
+      return response.json();
+    };
+    const readFixture = relativePath =>
+      JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', relativePath), 'utf8'));
+    const { lat, lon } = COCHABAMBA;
+
+    const power = readFixture('power/daily.json').properties.parameter;
+    const daily = await getJson(
+      `${dataSources.power.baseUrl}/temporal/daily/point?parameters=T2M_MAX,PRECTOTCORR,SNOW&community=RE` +
+      `&longitude=${lon}&latitude=${lat}&start=20200101&end=20200105&format=JSON`
+    );
+    const dates = ['20200101', '20200102', '20200103', '20200104', '20200105'];
+    assert.deepEqual(daily.properties.parameter.T2M_MAX, Object.fromEntries(dates.map(date => [date, power.T2M_MAX[date]])));
+    assert.deepEqual(daily.properties.parameter.PRECTOTCORR, Object.fromEntries(dates.map(date => [date, power.PRECTOTCORR[date]])));
+    assert.ok(Object.values(daily.properties.parameter.SNOW).every(value => value === -999), 'parámetro sin grabar');
+
+    const elevation = await getJson(`${dataSources.elevation.baseUrl}/srtm30m?locations=${lat},${lon}`);
+    assert.equal(elevation.results[0].elevation, readFixture('opentopodata/srtm30m.json').results[0].elevation);
+    assert.deepEqual(elevation.results[0].location, { lat, lng: lon });
+
+    assert.deepEqual(await getJson(`${dataSources.photon.baseUrl}/reverse?lat=${lat}&lon=${lon}&lang=es`),
+      readFixture('photon/reverse.json'));
+    assert.deepEqual(await getJson(`${dataSources.nominatim.baseUrl}/reverse?lat=${lat}&lon=${lon}&format=json&zoom=10`),
+      readFixture('nominatim/reverse.json'));
+
+    // Gemini con el SDK real, como en modo live, y el prompt de extracción de server.js
+    const model = new GoogleGenerativeAI('offline').getGenerativeModel({ model: 'gemini-2.5-flash' }, { baseUrl: dataSources.gemini.baseUrl });
+    const result = await model.generateContent('Analiza este mensaje y extrae la siguiente información: ...');
+    assert.equal(result.response.text(), readFixture('gemini/extraction.json').candidates[0].content.parts[0].text);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,154 @@
+/**
+ * Significancia de tendencias: test de Mann-Kendall y pendiente de Sen
+ * Se aplican a la serie anual (media ponderada de las muestras de la ventana de cada año).
+ * La autocorrelación se corrige con la varianza modificada de Hamed y Rao (1998): una serie
+ * persistente tiene menos información independiente y su p-valor sin corregir sería optimista
+ */
+
+import { normalCdf } from './risk-scores.js';
+
+// Nivel de significancia del test (bilateral)
+export const TREND_SIGNIFICANCE_LEVEL = 0.05;
+// Años mínimos para testear una tendencia
+const MIN_TREND_YEARS = 10;
+// Cuantil 0.975 de la normal estándar (intervalo de la pendiente de Sen)
+const Z_975 = 1.959964;
+
+const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Serie anual: media ponderada (por el núcleo de la ventana) de las muestras de cada año
+ */
+export function getAnnualSeries(samples) {
+  const byYear = new Map();
+  for (const { year, value, weight = 1 } of samples) {
+    const entry = byYear.get(year) || { sum: 0, weight: 0 };
+    entry.sum += value * weight;
+    entry.weight += weight;
+    byYear.set(year, entry);
+  }
+
+  return [...byYear.entries()]
+    .filter(([, entry]) => entry.weight > 0)
+    .map(([year, entry]) => ({ year, value: entry.sum / entry.weight }))
+    .sort((a, b) => a.year - b.year);
+}
+
+// Pendiente de Sen: mediana de las pendientes entre todos los pares de años
+function getPairwiseSlopes(series) {
+  const slopes = [];
+  for (let i = 0; i < series.length - 1; i++) {
+    for (let j = i + 1; j < series.length; j++) {
+      slopes.push((series[j].value - series[i].value) / (series[j].year - series[i].year));
+    }
+  }
+  return slopes.sort((a, b) => a - b);
+}
+
+const median = sorted => sorted.length % 2 === 1
+  ? sorted[(sorted.length - 1) / 2]
+  : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2;
+
+// Rangos (promedio en empates)
+function getRanks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Factor de corrección n/n* de Hamed y Rao: autocorrelaciones significativas de los rangos de
+ * la serie sin tendencia (se quita la pendiente de Sen antes de medirlas)
+ */
+function getAutocorrelationCorrection(series, senSlope) {
+  const n = series.length;
+  const ranks = getRanks(series.map(d => d.value - senSlope * d.year));
+  const mean = ranks.reduce((sum, r) => sum + r, 0) / n;
+  const variance = ranks.reduce((sum, r) => sum + (r - mean) ** 2, 0);
+  const limit = Z_975 / Math.sqrt(n);
+
+  let sum = 0;
+  let lag1 = 0;
+  const significantLags = [];
+  for (let k = 1; k < n - 2; k++) {
+    let covariance = 0;
+    for (let i = 0; i < n - k; i++) covariance += (ranks[i] - mean) * (ranks[i + k] - mean);
+    const rho = variance > 0 ? covariance / variance : 0;
+    if (k === 1) lag1 = rho;
+    if (Math.abs(rho) > limit) {
+      significantLags.push(k);
+      sum += (n - k) * (n - k - 1) * (n - k - 2) * rho;
+    }
+  }
+
+  // La corrección solo infla la varianza: una autocorrelación negativa no vuelve más significativa una tendencia
+  const factor = Math.max(1, 1 + 2 * sum / (n * (n - 1) * (n - 2)));
+  return { factor, lag1, significantLags };
+}
+
+/**
+ * Test de Mann-Kendall modificado y pendiente de Sen de una serie anual
+ * Devuelve null si hay menos de MIN_TREND_YEARS años
+ */
+export function mannKendallTest(series, { alpha = TREND_SIGNIFICANCE_LEVEL } = {}) {
+  const n = series.length;
+  if (n < MIN_TREND_YEARS) return null;
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(series[j].value - series[i].value);
+    }
+  }
+
+  // Varianza de S con corrección por empates
+  const counts = new Map();
+  for (const { value } of series) counts.set(value, (counts.get(value) || 0) + 1);
+  const tiesTerm = [...counts.values()].reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+  const variance = (n * (n - 1) * (2 * n + 5) - tiesTerm) / 18;
+
+  const slopes = getPairwiseSlopes(series);
+  const senSlope = median(slopes);
+  const autocorrelation = getAutocorrelationCorrection(series, senSlope);
+  const correctedVariance = variance * autocorrelation.factor;
+
+  const z = correctedVariance > 0 ? (s > 0 ? s - 1 : s < 0 ? s + 1 : 0) / Math.sqrt(correctedVariance) : 0;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  const significant = pValue < alpha;
+
+  // Intervalo de confianza 95% de la pendiente de Sen (Gilbert, 1987)
+  const spread = Z_975 * Math.sqrt(correctedVariance);
+  const lowerIndex = Math.max(0, Math.round((slopes.length - spread) / 2) - 1);
+  const upperIndex = Math.min(slopes.length - 1, Math.round((slopes.length + spread) / 2));
+
+  return {
+    method: 'mann-kendall-hamed-rao',
+    years: n,
+    s,
+    tau: round(s / (n * (n - 1) / 2), 3),
+    z: round(z, 3),
+    pValue: round(pValue, 4),
+    significant,
+    direction: !significant ? 'none' : s > 0 ? 'increasing' : 'decreasing',
+    senSlope: round(senSlope, 4),
+    senSlopeCI95: { lower: round(slopes[lowerIndex], 4), upper: round(slopes[upperIndex], 4) },
+    autocorrelation: {
+      lag1: round(autocorrelation.lag1, 3),
+      significantLags: autocorrelation.significantLags,
+      varianceFactor: round(autocorrelation.factor, 3)
+    }
+  };
+}
+
+/**
+ * Significancia de la tendencia de una variable a partir de sus muestras de la ventana
+ */
+export function testTrendSignificance(samples, options = {}) {
+  return mannKendallTest(getAnnualSeries(samples), options);
+}
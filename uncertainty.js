@@ -0,0 +1,151 @@
+/**
+ * Intervalos de confianza de estadísticas y probabilidades
+ * Las muestras de la ventana no son independientes (los días de un mismo año se parecen), así
+ * que el bootstrap remuestrea años completos y las probabilidades usan los años como tamaño
+ * de muestra en el intervalo de Jeffreys
+ */
+
+// Nivel de los intervalos
+export const CONFIDENCE_LEVEL = 0.95;
+// Remuestreos del bootstrap por año
+export const BOOTSTRAP_RESAMPLES = 500;
+// Semilla fija: la misma consulta devuelve siempre los mismos intervalos
+const BOOTSTRAP_SEED = 20250101;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Generador pseudoaleatorio reproducible (mulberry32)
+ */
+export function createRandom(seed = BOOTSTRAP_SEED) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Logaritmo de la función gamma (Lanczos)
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const c of coefficients) series += c / ++y;
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Fracción continua de la beta incompleta (Numerical Recipes, betacf)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    for (const aa of [m * (b - m) * x / ((a - 1 + m2) * (a + m2)), -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2))]) {
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 3e-14) break;
+  }
+
+  return h;
+}
+
+// Función de distribución de la Beta(a, b)
+function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Cuantil de la Beta(a, b) por bisección
+function betaQuantile(p, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (betaCdf(mid, a, b) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Intervalo de Jeffreys de una proporción: cuantiles de la Beta(x + ½, n - x + ½)
+ * probability en %; n: años de la muestra. A diferencia de la aproximación normal, con 0 años
+ * observados el límite superior no es 0
+ */
+export function jeffreysInterval(probability, n, level = CONFIDENCE_LEVEL) {
+  if (n === 0) return { lower: 0, upper: 100 };
+  const successes = Math.min(n, Math.max(0, probability / 100 * n));
+  const tail = (1 - level) / 2;
+  const a = successes + 0.5;
+  const b = n - successes + 0.5;
+
+  return {
+    lower: successes === 0 ? 0 : round(betaQuantile(tail, a, b) * 100),
+    upper: successes === n ? 100 : round(betaQuantile(1 - tail, a, b) * 100)
+  };
+}
+
+// Percentil de un arreglo ordenado (interpolación lineal)
+export function percentileOfSorted(sorted, p) {
+  const index = p * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Bootstrap por año: remuestrea años completos con reposición y recalcula cada estimador
+ * estimators: { nombre: (values, weights) => número }; values llega ordenado de menor a mayor
+ * (la muestra se ordena una sola vez y cada réplica repite los años elegidos sin reordenar)
+ * Devuelve { nombre: { lower, upper } } con el intervalo percentil
+ */
+export function bootstrapByYear(samples, estimators, { resamples = BOOTSTRAP_RESAMPLES, level = CONFIDENCE_LEVEL } = {}) {
+  const years = [...new Set(samples.map(s => s.year))];
+  if (years.length < 2) return null;
+
+  const yearIndex = new Map(years.map((year, i) => [year, i]));
+  const sorted = [...samples].sort((a, b) => a.value - b.value);
+  const names = Object.keys(estimators);
+  const random = createRandom();
+  const counts = new Array(years.length);
+  const replicates = Object.fromEntries(names.map(name => [name, []]));
+
+  for (let r = 0; r < resamples; r++) {
+    counts.fill(0);
+    for (let i = 0; i < years.length; i++) counts[Math.floor(random() * years.length)]++;
+
+    const values = [];
+    const weights = [];
+    for (const sample of sorted) {
+      for (let k = counts[yearIndex.get(sample.year)]; k > 0; k--) {
+        values.push(sample.value);
+        weights.push(sample.weight ?? 1);
+      }
+    }
+    for (const name of names) replicates[name].push(estimators[name](values, weights));
+  }
+
+  const tail = (1 - level) / 2;
+  return Object.fromEntries(names.map(name => {
+    const replicateValues = replicates[name].sort((a, b) => a - b);
+    return [name, { lower: round(percentileOfSorted(replicateValues, tail)), upper: round(percentileOfSorted(replicateValues, 1 - tail)) }];
+  }));
+}
@@ -0,0 +1,76 @@
+/**
+ * Grabación y reproducción de respuestas de APIs externas
+ *
+ * UPSTREAM_MODE=live    (default) consulta las APIs normalmente
+ * UPSTREAM_MODE=record  consulta las APIs y guarda cada respuesta en fixtures/recorded/
+ * UPSTREAM_MODE=replay  responde solo con grabaciones, sin tocar la red
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VALID_MODES = ['live', 'record', 'replay'];
+
+export const UPSTREAM_MODE = process.env.UPSTREAM_MODE || 'live';
+if (!VALID_MODES.includes(UPSTREAM_MODE)) {
+  throw new Error(`UPSTREAM_MODE inválido: ${UPSTREAM_MODE} (usar ${VALID_MODES.join(', ')})`);
+}
+
+const RECORDINGS_DIR = process.env.UPSTREAM_RECORDINGS_DIR || path.join(__dirname, 'fixtures', 'recorded');
+
+// La fecha de hoy aparece en el prompt de extracción del chatbot; se normaliza
+// para que una grabación siga siendo reproducible en días posteriores
+const VOLATILE_PATTERNS = [/FECHA DE HOY: .*/g];
+
+/**
+ * Normaliza la petición (ruta relativa o prompt) para que la clave no dependa del día ni de la URL base
+ */
+function normalizeRequest(request) {
+  return VOLATILE_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), request);
+}
+
+function getRecordingPath(source, request) {
+  const hash = crypto.createHash('sha1').update(`${source}|${normalizeRequest(request)}`).digest('hex');
+  return path.join(RECORDINGS_DIR, source, `${hash}.json`);
+}
+
+/**
+ * Lee la grabación de una petición. Lanza un error si no existe
+ */
+export async function readRecording(source, request) {
+  const filePath = getRecordingPath(source, request);
+
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const missing = new Error(`Sin grabación de ${source} para: ${request.substring(0, 120)}`);
+      missing.status = 404;
+      throw missing;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Guarda la respuesta de una petición (incluye respuestas con error HTTP)
+ */
+export async function writeRecording(source, request, status, body) {
+  const filePath = getRecordingPath(source, request);
+  const recording = {
+    source,
+    request: normalizeRequest(request),
+    status,
+    recordedAt: new Date().toISOString(),
+    body
+  };
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(recording));
+  console.log(`   📼 Grabado ${source}: ${path.relative(__dirname, filePath)}`);
+}
@@ -65,9 +65,10 @@ export function validatePrediction(analysis, location) {
     warnings.push(`R² de tendencia máxima fuera del rango válido: ${analysis.trendPrediction.trend.max.rSquared}`);
   }
 
-  // 8. Validar cantidad de datos históricos
-  if (analysis.temperature.statistics.count < 10) {
-    warnings.push(`Pocos datos históricos para análisis confiable (${analysis.temperature.statistics.count} años)`);
+  // 8. Validar cantidad de datos históricos (años, no días de la ventana)
+  const yearsWithData = getYearsWithData(analysis);
+  if (yearsWithData < 10) {
+    warnings.push(`Pocos datos históricos para análisis confiable (${yearsWithData} años)`);
   }
 
   // 9. Validar coherencia de percentiles
@@ -94,6 +95,11 @@ export function validatePrediction(analysis, location) {
   };
 }
 
+// Años analizados: con la ventana de días, count es la cantidad de días, no de años
+function getYearsWithData(analysis) {
+  return analysis.baseline ? analysis.baseline.yearsWithData : analysis.temperature.statistics.count;
+}
+
 /**
  * Calcula un score de confianza basado en la calidad de los datos
  */
@@ -116,8 +122,9 @@ function calculateConfidenceScore(analysis, errors, warnings) {
   else if (avgRSquared < 0.1) score -= 15;
 
   // Bonificar por cantidad de datos históricos
-  if (analysis.temperature.statistics.count >= 25) score += 5;
-  else if (analysis.temperature.statistics.count < 15) score -= 10;
+  const yearsWithData = getYearsWithData(analysis);
+  if (yearsWithData >= 25) score += 5;
+  else if (yearsWithData < 15) score -= 10;
 
   // Penalizar por desviación estándar muy alta (datos muy variables)
   if (analysis.temperature.statistics.stdDev > 8) score -= 10;
@@ -140,12 +147,12 @@ export function getValidationSummary(validation) {
   let status = 'excellent';
   let message = 'Los datos son confiables y las predicciones son coherentes';
 
-  if (validation.confidence < 70) {
-    status = 'warning';
-    message = 'Los datos son válidos pero presentan algunas advertencias';
-  } else if (validation.confidence < 50) {
+  if (validation.confidence < 50) {
     status = 'low';
     message = 'Los datos son válidos pero la confianza es baja';
+  } else if (validation.confidence < 70) {
+    status = 'warning';
+    message = 'Los datos son válidos pero presentan algunas advertencias';
   }
 
   return {
@@ -0,0 +1,342 @@
+/**
+ * Registro de verificación de pronósticos
+ * Cada predicción de /weather se guarda con su ubicación, fecha, valores y probabilidades.
+ * El job de verificación descarga después lo que POWER registró esa fecha y el reporte
+ * calcula MAE para los valores continuos y Brier/confiabilidad para las condiciones
+ *
+ * Job por línea de comandos: npm run verify
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchPowerDaily } from './data-sources.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORE_VERSION = 1;
+const STORE_FILE = process.env.VERIFICATION_FILE || path.join(__dirname, 'data', 'verification.json');
+
+// Días que tarda POWER en publicar el dato diario de una fecha
+export const POWER_LATENCY_DAYS = 5;
+// Ancho (en puntos porcentuales) de los intervalos del diagrama de confiabilidad
+const RELIABILITY_BIN_WIDTH = 10;
+
+// Valores continuos verificados y su parámetro de POWER
+export const VERIFIED_VARIABLES = {
+  tempMax: { parameter: 'T2M_MAX', unit: '°C' },
+  tempMin: { parameter: 'T2M_MIN', unit: '°C' },
+  windMax: { parameter: 'WS2M_MAX', unit: 'm/s' },
+  humidity: { parameter: 'RH2M', unit: '%' },
+  precipitation: { parameter: 'PRECTOTCORR', unit: 'mm' }
+};
+
+// Condiciones verificadas: la variable observada y si el evento es superar (o no alcanzar) el umbral
+export const VERIFIED_CONDITIONS = {
+  veryHot: { variable: 'tempMax', above: true, get: analysis => analysis.temperature.conditions.veryHot },
+  veryCold: { variable: 'tempMin', above: false, get: analysis => analysis.temperature.conditions.veryCold },
+  veryWindy: { variable: 'windMax', above: true, get: analysis => analysis.wind.conditions.veryWindy },
+  veryHumid: { variable: 'humidity', above: true, get: analysis => analysis.humidity.conditions.veryHumid },
+  heavyRain: { variable: 'precipitation', above: true, get: analysis => analysis.precipitation.conditions.heavyRain }
+};
+
+// Contenido del archivo en memoria (se carga una sola vez)
+let store = null;
+// Las escrituras se encadenan, igual que en calibration-store.js
+let writeQueue = Promise.resolve();
+
+async function loadStore() {
+  if (store) return store;
+
+  try {
+    const content = JSON.parse(await fs.readFile(STORE_FILE, 'utf8'));
+    store = content.version === STORE_VERSION ? content : { version: STORE_VERSION, predictions: {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Registro de verificación inválido (${error.message}), se usa uno vacío`);
+    }
+    store = { version: STORE_VERSION, predictions: {} };
+  }
+
+  return store;
+}
+
+async function saveStore() {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tmpPath = `${STORE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(store, null, 2));
+  await fs.rename(tmpPath, STORE_FILE);
+}
+
+// Ejecuta una modificación del registro en la cola de escrituras
+function updateStore(change) {
+  const pending = writeQueue.then(async () => {
+    await loadStore();
+    const result = await change(store);
+    await saveStore();
+    return result;
+  });
+  writeQueue = pending.catch(() => {});
+  return pending;
+}
+
+const toDateString = date => date.toISOString().substring(0, 10).replace(/-/g, '');
+
+/**
+ * Guarda la predicción de un análisis de /weather
+ * id: clave del análisis (celda, fecha, período, ventana, calibración); repetir la misma
+ * consulta no duplica la predicción, solo cuenta la petición
+ */
+export function recordPrediction({ id, location, gridCell, date, analysis }) {
+  const year = analysis.trendPrediction.year;
+  const entryId = `${id}|${year}`;
+  // El 29 de febrero de un año no bisiesto se verifica contra el 28 (igual que la ventana de días)
+  const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const targetDate = date === '0229' && !isLeapYear ? `${year}0228` : `${year}${date}`;
+
+  const predicted = Object.fromEntries(Object.keys(VERIFIED_VARIABLES).map(name =>
+    [name, analysis.trendPrediction[name]]
+  ));
+  const conditions = Object.fromEntries(Object.entries(VERIFIED_CONDITIONS).map(([name, condition]) => {
+    const { probability, threshold } = condition.get(analysis);
+    return [name, { probability, threshold }];
+  }));
+
+  return updateStore(current => {
+    const existing = current.predictions[entryId];
+    const now = new Date().toISOString();
+
+    current.predictions[entryId] = {
+      id: entryId,
+      targetDate,
+      location,
+      gridCell: { id: gridCell.id, lat: gridCell.lat, lon: gridCell.lon },
+      baseline: { name: analysis.baseline.name, startYear: analysis.baseline.startYear, endYear: analysis.baseline.endYear },
+      window: analysis.sampling.window,
+      kernel: analysis.sampling.kernel,
+      calibrated: Boolean(analysis.trendPrediction.calibration?.applied || analysis.quantileMapping?.applied),
+      firstIssuedAt: existing?.firstIssuedAt || now,
+      issuedAt: now,
+      requests: (existing?.requests || 0) + 1,
+      predicted,
+      conditions,
+      observed: existing?.observed || null,
+      verifiedAt: existing?.verifiedAt || null
+    };
+
+    return current.predictions[entryId];
+  });
+}
+
+// Valores observados de una fecha, o null si POWER todavía no tiene alguno
+function getObservedValues(params, date) {
+  const observed = {};
+  for (const [name, variable] of Object.entries(VERIFIED_VARIABLES)) {
+    const value = params[variable.parameter]?.[date];
+    if (typeof value !== 'number' || value <= -900) return null;
+    observed[name] = value;
+  }
+  return observed;
+}
+
+// Verificación en curso: el job periódico y /verification/run comparten la misma ejecución
+let runningVerification = null;
+
+/**
+ * Job de verificación: completa lo observado en las predicciones cuya fecha ya pasó
+ * Una descarga por celda cubre todas sus fechas pendientes
+ * fetchDaily: fuente de datos diarios (por defecto NASA POWER)
+ * Si ya hay una verificación en curso, devuelve esa misma (como singleFlight en cache.js)
+ */
+export function runVerification(options = {}) {
+  if (runningVerification) {
+    console.log('🔗 Uniéndose a la verificación en curso');
+    return runningVerification;
+  }
+
+  runningVerification = verifyDuePredictions(options)
+    .finally(() => { runningVerification = null; });
+  return runningVerification;
+}
+
+async function verifyDuePredictions({ now = new Date(), fetchDaily = fetchPowerDaily }) {
+  await loadStore();
+  const lastAvailable = toDateString(new Date(now.getTime() - POWER_LATENCY_DAYS * 86400000));
+
+  const due = Object.values(store.predictions).filter(p => !p.observed && p.targetDate <= lastAvailable);
+  const byCell = new Map();
+  for (const prediction of due) {
+    if (!byCell.has(prediction.gridCell.id)) byCell.set(prediction.gridCell.id, []);
+    byCell.get(prediction.gridCell.id).push(prediction);
+  }
+
+  const observedById = {};
+  let failed = 0;
+
+  for (const predictions of byCell.values()) {
+    const { lat, lon } = predictions[0].gridCell;
+    const dates = predictions.map(p => p.targetDate).sort();
+    try {
+      const data = await fetchDaily({
+        lat,
+        lon,
+        parameters: Object.values(VERIFIED_VARIABLES).map(v => v.parameter),
+        startDate: dates[0],
+        endDate: dates[dates.length - 1]
+      });
+      for (const prediction of predictions) {
+        const observed = getObservedValues(data.properties.parameter, prediction.targetDate);
+        if (observed) observedById[prediction.id] = observed;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Verificación: no se pudo descargar POWER para la celda ${predictions[0].gridCell.id} (${error.message})`);
+      failed += predictions.length;
+    }
+  }
+
+  const verified = Object.keys(observedById).length;
+  if (verified > 0) {
+    await updateStore(current => {
+      const verifiedAt = new Date().toISOString();
+      for (const [id, observed] of Object.entries(observedById)) {
+        if (!current.predictions[id]) continue;
+        current.predictions[id].observed = observed;
+        current.predictions[id].verifiedAt = verifiedAt;
+      }
+    });
+  }
+
+  console.log(`🔎 Verificación: ${verified} de ${due.length} predicciones vencidas verificadas${failed > 0 ? `, ${failed} con error de descarga` : ''}`);
+
+  return {
+    checked: due.length,
+    verified,
+    failed,
+    pending: Object.values(store.predictions).filter(p => !p.observed).length
+  };
+}
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Brier y su descomposición de Murphy (confiabilidad - resolución + incertidumbre)
+ * pairs: { forecast (0-1), outcome (0/1) }
+ */
+function scoreProbabilities(pairs) {
+  const n = pairs.length;
+  const brierScore = pairs.reduce((sum, p) => sum + (p.forecast - p.outcome) ** 2, 0) / n;
+  const baseRate = pairs.reduce((sum, p) => sum + p.outcome, 0) / n;
+  const uncertainty = baseRate * (1 - baseRate);
+
+  // Intervalos de probabilidad pronosticada: 0-10, 10-20, ..., 90-100 %
+  const binCount = 100 / RELIABILITY_BIN_WIDTH;
+  const bins = Array.from({ length: binCount }, () => []);
+  for (const pair of pairs) {
+    bins[Math.min(binCount - 1, Math.floor(pair.forecast * binCount))].push(pair);
+  }
+
+  let reliability = 0;
+  let resolution = 0;
+  const diagram = [];
+  bins.forEach((binPairs, i) => {
+    if (binPairs.length === 0) return;
+    const meanForecast = binPairs.reduce((sum, p) => sum + p.forecast, 0) / binPairs.length;
+    const observedFrequency = binPairs.reduce((sum, p) => sum + p.outcome, 0) / binPairs.length;
+    reliability += binPairs.length * (meanForecast - observedFrequency) ** 2 / n;
+    resolution += binPairs.length * (observedFrequency - baseRate) ** 2 / n;
+    diagram.push({
+      range: `${i * RELIABILITY_BIN_WIDTH}-${(i + 1) * RELIABILITY_BIN_WIDTH}`,
+      count: binPairs.length,
+      meanForecast: round(meanForecast * 100, 1),
+      observedFrequency: round(observedFrequency * 100, 1)
+    });
+  });
+
+  return {
+    count: n,
+    brierScore: round(brierScore, 4),
+    // Skill frente a pronosticar siempre la frecuencia observada; null si el evento nunca (o siempre) ocurrió
+    brierSkillScore: uncertainty > 0 ? round(1 - brierScore / uncertainty, 3) : null,
+    reliability: round(reliability, 4),
+    resolution: round(resolution, 4),
+    uncertainty: round(uncertainty, 4),
+    meanForecast: round(pairs.reduce((sum, p) => sum + p.forecast, 0) / n * 100, 1),
+    observedFrequency: round(baseRate * 100, 1),
+    diagram
+  };
+}
+
+/**
+ * Reporte de verificación sobre las predicciones ya verificadas
+ * gridCellId: opcional, limita el reporte a una celda POWER
+ */
+export async function buildVerificationReport({ gridCellId = null } = {}) {
+  await loadStore();
+  const predictions = Object.values(store.predictions).filter(p => !gridCellId || p.gridCell.id === gridCellId);
+  const verified = predictions.filter(p => p.observed);
+
+  const variables = {};
+  for (const [name, variable] of Object.entries(VERIFIED_VARIABLES)) {
+    const errors = verified
+      .filter(p => typeof p.predicted[name] === 'number')
+      .map(p => p.predicted[name] - p.observed[name]);
+    if (errors.length === 0) continue;
+
+    variables[name] = {
+      count: errors.length,
+      mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length),
+      bias: round(errors.reduce((sum, e) => sum + e, 0) / errors.length),
+      unit: variable.unit
+    };
+  }
+
+  const conditions = {};
+  for (const [name, condition] of Object.entries(VERIFIED_CONDITIONS)) {
+    // El evento se evalúa contra el umbral con el que se emitió la predicción
+    const pairs = verified
+      .filter(p => p.conditions[name])
+      .map(p => {
+        const { probability, threshold } = p.conditions[name];
+        const value = p.observed[condition.variable];
+        return {
+          forecast: Math.min(1, Math.max(0, probability / 100)),
+          outcome: (condition.above ? value > threshold : value < threshold) ? 1 : 0
+        };
+      });
+    if (pairs.length === 0) continue;
+
+    conditions[name] = scoreProbabilities(pairs);
+  }
+
+  const dates = verified.map(p => p.targetDate).sort();
+
+  return {
+    gridCell: gridCellId,
+    predictions: predictions.length,
+    verified: verified.length,
+    pending: predictions.length - verified.length,
+    period: dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null,
+    variables,
+    conditions,
+    note: verified.length > 0
+      ? 'MAE y sesgo (predicho - observado) frente a POWER en la fecha pronosticada. Brier: 0 es perfecto; ' +
+        'reliability mide la distancia entre probabilidad pronosticada y frecuencia observada en cada intervalo del diagrama'
+      : 'Todavía no hay predicciones verificadas: el job completa las fechas cuando POWER publica el dato'
+  };
+}
+
+/**
+ * Ejecución por línea de comandos
+ */
+async function main() {
+  const result = await runVerification();
+  console.log(`📋 ${result.verified} verificadas, ${result.pending} pendientes, ${result.failed} con error`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}